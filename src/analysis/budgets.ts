@@ -0,0 +1,197 @@
+import type { BenchmarkSuiteResult, CombinedBenchmarkResult } from '../types/benchmark.js';
+import type { Budget, BudgetStat } from '../types/budgets.js';
+import { BudgetSchema } from '../types/budgets.js';
+import { compareVersions, sortVersions } from '../utils/version-filter.js';
+import { mean, percentile } from '../utils/statistics.js';
+import { formatBytes } from '../utils/progress.js';
+
+export type BudgetStatus = 'pass' | 'fail' | 'skip';
+
+export interface BudgetCheck {
+  /** Budget name or description */
+  budget: string;
+  version: string;
+  status: BudgetStatus;
+  /** Measured value, formatted */
+  actual: string;
+  /** Limit, formatted */
+  expected: string;
+}
+
+export interface BudgetReport {
+  runNumber: number;
+  checks: BudgetCheck[];
+  violations: BudgetCheck[];
+  passed: boolean;
+}
+
+/**
+ * Human-readable budget, e.g. `interactive p95 < 1500ms for >=2.0.0`
+ */
+export function describeBudget(budget: Budget): string {
+  if (budget.name) return budget.name;
+
+  const range = [
+    budget.min && `>=${budget.min}`,
+    budget.max && `<=${budget.max}`,
+  ].filter(Boolean).join(' ');
+  const condition = budget.state
+    ? `state = ${budget.state}`
+    : `${budget.metric} ${budget.stat} < ${formatValue(budget.limit!, budget.metric === 'memory')}`;
+  return range ? `${condition} for ${range}` : condition;
+}
+
+function formatValue(value: number, bytes: boolean): string {
+  return bytes ? formatBytes(value) : `${Math.round(value)}ms`;
+}
+
+function appliesTo(budget: Budget, version: string): boolean {
+  return (
+    (!budget.min || compareVersions(version, budget.min) >= 0) &&
+    (!budget.max || compareVersions(version, budget.max) <= 0)
+  );
+}
+
+function statOf(values: number[], stat: BudgetStat): number {
+  switch (stat) {
+    case 'avg': return mean(values);
+    case 'median': return percentile(values, 50);
+    case 'p90': return percentile(values, 90);
+    case 'p95': return percentile(values, 95);
+    case 'max': return Math.max(...values);
+  }
+}
+
+/**
+ * Samples of a budget metric (all samples, including non-`ready` ones, so
+ * timeouts count against time budgets)
+ */
+function metricSamples(result: CombinedBenchmarkResult, metric: Budget['metric']): number[] {
+  switch (metric) {
+    case 'spawn':
+      return result.versionBenchmark?.runs ?? [];
+    case 'interactive':
+      return (result.interactiveBenchmark?.runs ?? []).map((run) => run.time);
+    case 'memory':
+      return (result.interactiveBenchmark?.runs ?? [])
+        .map((run) => run.resources?.peakRssBytes)
+        .filter((rss): rss is number => rss !== undefined);
+    default:
+      return [];
+  }
+}
+
+function checkBudget(budget: Budget, result: CombinedBenchmarkResult): BudgetCheck {
+  const base = { budget: describeBudget(budget), version: result.version };
+
+  if (budget.state) {
+    const state = result.error ? 'failed' : result.interactiveBenchmark?.result;
+    if (!state) {
+      return { ...base, status: 'skip', actual: 'no interactive result', expected: budget.state };
+    }
+    return { ...base, status: state === budget.state ? 'pass' : 'fail', actual: state, expected: budget.state };
+  }
+
+  const bytes = budget.metric === 'memory';
+  const expected = `< ${formatValue(budget.limit!, bytes)}`;
+  const samples = metricSamples(result, budget.metric);
+  if (samples.length === 0) {
+    return { ...base, status: 'skip', actual: 'no samples', expected };
+  }
+
+  const value = statOf(samples, budget.stat);
+  return {
+    ...base,
+    status: value < budget.limit! ? 'pass' : 'fail',
+    actual: formatValue(value, bytes),
+    expected,
+  };
+}
+
+/**
+ * Check every budget against the versions of a suite it applies to
+ *
+ * Versions without data for a budget are skipped rather than failed; pair
+ * time budgets with a `state` budget to catch versions that did not run.
+ */
+export function evaluateBudgets(suite: BenchmarkSuiteResult, budgets: Budget[]): BudgetReport {
+  const byVersion = new Map(suite.results.map((r) => [r.version, r]));
+  const versions = sortVersions([...byVersion.keys()]);
+
+  const checks = budgets.flatMap((budget) =>
+    versions
+      .filter((version) => appliesTo(budget, version))
+      .map((version) => checkBudget(budget, byVersion.get(version)!))
+  );
+  const violations = checks.filter((c) => c.status === 'fail');
+
+  return { runNumber: suite.runNumber, checks, violations, passed: violations.length === 0 };
+}
+
+/**
+ * Render a budget report as a plain-text table
+ */
+export function formatBudgetTable(report: BudgetReport): string {
+  const header = ['Budget', 'Version', 'Actual', 'Limit', 'Result'];
+  const rows = report.checks.map((c) => [
+    c.budget,
+    c.version,
+    c.actual,
+    c.expected,
+    c.status === 'pass' ? '✓ pass' : c.status === 'fail' ? '✗ FAIL' : '- skip',
+  ]);
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells: string[]) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(header), widths.map((w) => '─'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const interactive = (version: string, times: number[], result: 'ready' | 'timeout') => ({
+    version, timestamp: '', runs: times.map((time) => ({ time, result })) as any,
+    avgTime: mean(times), minTime: Math.min(...times), maxTime: Math.max(...times), stdDev: 0, result, reason: '',
+  });
+
+  const suite: BenchmarkSuiteResult = {
+    runNumber: 3,
+    timestamp: '',
+    config: {},
+    results: [
+      { version: '1.0.20', interactiveBenchmark: interactive('1.0.20', [100], 'timeout') },
+      { version: '1.0.30', interactiveBenchmark: interactive('1.0.30', [900, 1000, 1100], 'ready') },
+      { version: '2.0.1', interactiveBenchmark: interactive('2.0.1', [1000, 1200, 1800], 'ready') },
+      { version: '2.0.2', error: 'boom' },
+    ],
+    errors: [],
+    metadata: { totalVersions: 4, successfulVersions: 3, failedVersions: 1, duration: 0 },
+  };
+
+  describe('evaluateBudgets', () => {
+    it('should apply time budgets to their version range', () => {
+      const budget = BudgetSchema.parse({ min: '2.0.0', metric: 'interactive', stat: 'p95', limit: 1500 });
+      const report = evaluateBudgets(suite, [budget]);
+      expect(report.checks.map((c) => [c.version, c.status])).toEqual([['2.0.1', 'fail'], ['2.0.2', 'skip']]);
+      expect(report.passed).toBe(false);
+      expect(describeBudget(budget)).toBe('interactive p95 < 1500ms for >=2.0.0');
+    });
+
+    it('should require states', () => {
+      const report = evaluateBudgets(suite, [BudgetSchema.parse({ min: '1.0.24', state: 'ready' })]);
+      expect(report.violations.map((c) => [c.version, c.actual])).toEqual([['2.0.2', 'failed']]);
+      expect(formatBudgetTable(report)).toContain('✗ FAIL');
+    });
+
+    it('should pass within budget', () => {
+      const report = evaluateBudgets(suite, [BudgetSchema.parse({ max: '1.9.0', min: '1.0.24', metric: 'interactive', limit: 1500 })]);
+      expect(report.passed).toBe(true);
+    });
+
+    it('should reject incomplete budgets', () => {
+      expect(() => BudgetSchema.parse({ metric: 'spawn' })).toThrow();
+    });
+  });
+}
@@ -0,0 +1,317 @@
+import type {
+  BenchmarkResultState,
+  BenchmarkSuiteResult,
+  CombinedBenchmarkResult,
+  EnvironmentFingerprint,
+} from '../types/benchmark.js';
+import { sortVersions } from '../utils/version-filter.js';
+import { formatBytes } from '../utils/progress.js';
+import { compareFingerprints } from '../utils/fingerprint.js';
+import type { FingerprintDifference } from '../utils/fingerprint.js';
+
+export interface TimingSummary {
+  avgTime: number;
+  stdDev: number;
+}
+
+/** Outcome of a version in a single run (`error` = the version threw) */
+export type VersionOutcome = BenchmarkResultState | 'error';
+
+export interface RunMetrics {
+  spawn?: TimingSummary;
+  interactive?: TimingSummary;
+  /** Average peak RSS of the process tree (bytes) */
+  peakRssBytes?: number;
+  state?: VersionOutcome;
+}
+
+export interface MetricDeltas {
+  spawn?: TimingSummary;
+  interactive?: TimingSummary;
+  peakRssBytes?: number;
+}
+
+/** Metric versions can be ranked by (`version` keeps semver order) */
+export type RankMetric = 'version' | 'spawn' | 'interactive' | 'memory';
+
+export const RANK_METRICS: RankMetric[] = ['version', 'spawn', 'interactive', 'memory'];
+
+export interface VersionComparison {
+  version: string;
+  /** Metrics per run, in the order the runs were given (null = not in that run) */
+  runs: Array<RunMetrics | null>;
+  /** Deltas of each later run against the first run (index 0 = second run) */
+  deltas: Array<MetricDeltas | null>;
+  /** True when the outcome differs between any two runs that include the version */
+  stateChanged: boolean;
+}
+
+export interface RunComparison {
+  runNumbers: number[];
+  versions: VersionComparison[];
+  /** Environment of each run (null = recorded before fingerprints existed) */
+  environments: Array<EnvironmentFingerprint | null>;
+  /**
+   * Environment differences of each later run against the first run
+   * (index 0 = second run; null = a fingerprint is missing)
+   */
+  environmentDifferences: Array<FingerprintDifference[] | null>;
+}
+
+function toMetrics(result: CombinedBenchmarkResult): RunMetrics {
+  const metrics: RunMetrics = {};
+  if (result.versionBenchmark) {
+    metrics.spawn = {
+      avgTime: result.versionBenchmark.avgTime,
+      stdDev: result.versionBenchmark.stdDev,
+    };
+  }
+  if (result.interactiveBenchmark) {
+    metrics.interactive = {
+      avgTime: result.interactiveBenchmark.avgTime,
+      stdDev: result.interactiveBenchmark.stdDev,
+    };
+  }
+  metrics.peakRssBytes = getPeakRss(result);
+  metrics.state = result.error ? 'error' : result.interactiveBenchmark?.result;
+  return metrics;
+}
+
+/**
+ * Average peak RSS of a version, preferring the interactive benchmark
+ *
+ * The interactive session loads the full UI, so its footprint is the one
+ * users notice; spawn numbers are used for runs without it.
+ */
+export function getPeakRss(result: CombinedBenchmarkResult): number | undefined {
+  return (
+    result.interactiveBenchmark?.resources?.peakRssBytes.avg ??
+    result.versionBenchmark?.resources?.peakRssBytes.avg
+  );
+}
+
+/**
+ * Value of a rank metric for one run of a version
+ */
+function rankValue(run: RunMetrics | null, metric: RankMetric): number | undefined {
+  if (!run) return undefined;
+  switch (metric) {
+    case 'spawn': return run.spawn?.avgTime;
+    case 'interactive': return run.interactive?.avgTime;
+    case 'memory': return run.peakRssBytes;
+    default: return undefined;
+  }
+}
+
+function diff(a?: TimingSummary, b?: TimingSummary): TimingSummary | undefined {
+  if (!a || !b) return undefined;
+  return { avgTime: b.avgTime - a.avgTime, stdDev: b.stdDev - a.stdDev };
+}
+
+/**
+ * Compare two or more suite runs version by version
+ *
+ * The first suite is the baseline; deltas for every later suite are
+ * computed against it.
+ */
+export function compareSuiteResults(suites: BenchmarkSuiteResult[]): RunComparison {
+  if (suites.length < 2) {
+    throw new Error('At least two runs are required for a comparison');
+  }
+
+  const byRun = suites.map(
+    (suite) => new Map(suite.results.map((r) => [r.version, toMetrics(r)]))
+  );
+  const allVersions = sortVersions([...new Set(suites.flatMap((s) => s.results.map((r) => r.version)))]);
+
+  const versions = allVersions.map((version): VersionComparison => {
+    const runs = byRun.map((m) => m.get(version) ?? null);
+    const [baseline, ...rest] = runs;
+
+    const deltas = rest.map((run) =>
+      baseline && run
+        ? {
+          spawn: diff(baseline.spawn, run.spawn),
+          interactive: diff(baseline.interactive, run.interactive),
+          peakRssBytes: baseline.peakRssBytes !== undefined && run.peakRssBytes !== undefined
+            ? run.peakRssBytes - baseline.peakRssBytes
+            : undefined,
+        }
+        : null
+    );
+
+    const states = new Set(runs.filter((r): r is RunMetrics => r !== null).map((r) => r.state));
+
+    return { version, runs, deltas, stateChanged: states.size > 1 };
+  });
+
+  const environments = suites.map((s) => s.metadata.environment ?? null);
+  const [baselineEnvironment, ...laterEnvironments] = environments;
+  const environmentDifferences = laterEnvironments.map((environment) =>
+    baselineEnvironment && environment ? compareFingerprints(baselineEnvironment, environment) : null
+  );
+
+  return { runNumbers: suites.map((s) => s.runNumber), versions, environments, environmentDifferences };
+}
+
+/**
+ * Order a comparison by a metric of its latest run, highest first
+ *
+ * Versions without the metric in the latest run sort last, in semver
+ * order. `version` returns the comparison unchanged.
+ */
+export function rankVersions(comparison: RunComparison, metric: RankMetric): RunComparison {
+  if (metric === 'version') return comparison;
+
+  const latest = comparison.runNumbers.length - 1;
+  const ranked = comparison.versions
+    .map((v, index) => ({ v, index, value: rankValue(v.runs[latest], metric) }))
+    .sort((a, b) => {
+      if (a.value === undefined || b.value === undefined) {
+        return a.value === b.value ? a.index - b.index : a.value === undefined ? 1 : -1;
+      }
+      return b.value - a.value || a.index - b.index;
+    })
+    .map(({ v }) => v);
+
+  return { ...comparison, versions: ranked };
+}
+
+function formatTiming(t?: TimingSummary): string {
+  return t ? `${t.avgTime}±${t.stdDev}` : '—';
+}
+
+function formatDelta(d?: TimingSummary): string {
+  if (!d) return '';
+  const sign = d.avgTime > 0 ? '+' : '';
+  return ` (${sign}${d.avgTime})`;
+}
+
+function formatMemory(bytes?: number): string {
+  return bytes !== undefined ? formatBytes(bytes) : '—';
+}
+
+function formatMemoryDelta(bytes?: number): string {
+  if (bytes === undefined) return '';
+  return ` (${bytes > 0 ? '+' : bytes < 0 ? '-' : ''}${formatBytes(Math.abs(bytes))})`;
+}
+
+/**
+ * Render a comparison as a plain-text table
+ */
+export function formatComparisonTable(comparison: RunComparison): string {
+  const header = ['Version'];
+  for (const n of comparison.runNumbers) header.push(`spawn #${n}`);
+  for (const n of comparison.runNumbers) header.push(`interactive #${n}`);
+  const hasMemory = comparison.versions.some((v) => v.runs.some((r) => r?.peakRssBytes !== undefined));
+  if (hasMemory) {
+    for (const n of comparison.runNumbers) header.push(`rss #${n}`);
+  }
+  header.push('State');
+
+  const rows = comparison.versions.map((v) => {
+    const row = [v.version];
+    v.runs.forEach((run, i) => {
+      row.push(run ? formatTiming(run.spawn) + (i > 0 ? formatDelta(v.deltas[i - 1]?.spawn) : '') : '—');
+    });
+    v.runs.forEach((run, i) => {
+      row.push(run ? formatTiming(run.interactive) + (i > 0 ? formatDelta(v.deltas[i - 1]?.interactive) : '') : '—');
+    });
+    if (hasMemory) {
+      v.runs.forEach((run, i) => {
+        row.push(run ? formatMemory(run.peakRssBytes) + (i > 0 ? formatMemoryDelta(v.deltas[i - 1]?.peakRssBytes) : '') : '—');
+      });
+    }
+    const states = v.runs.map((r) => r?.state ?? '—').join(' → ');
+    row.push(v.stateChanged ? `⚠ ${states}` : states);
+    return row;
+  });
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells: string[]) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(header), widths.map((w) => '─'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const suite = (runNumber: number, results: CombinedBenchmarkResult[]): BenchmarkSuiteResult => ({
+    runNumber,
+    timestamp: '',
+    config: {},
+    results,
+    errors: [],
+    metadata: { totalVersions: results.length, successfulVersions: results.length, failedVersions: 0, duration: 0 },
+  });
+
+  const interactive = (version: string, avgTime: number, stdDev: number, result: BenchmarkResultState) => ({
+    version, timestamp: '', runs: [], avgTime, minTime: avgTime, maxTime: avgTime, stdDev, result, reason: '',
+  });
+
+  describe('compareSuiteResults', () => {
+    it('should compute deltas against the first run', () => {
+      const a = suite(1, [{ version: '2.0.1', interactiveBenchmark: interactive('2.0.1', 1000, 20, 'ready') }]);
+      const b = suite(2, [{ version: '2.0.1', interactiveBenchmark: interactive('2.0.1', 1100, 30, 'ready') }]);
+      const [v] = compareSuiteResults([a, b]).versions;
+      expect(v.deltas[0]?.interactive).toEqual({ avgTime: 100, stdDev: 10 });
+      expect(v.stateChanged).toBe(false);
+    });
+
+    it('should flag state changes and missing versions', () => {
+      const a = suite(1, [
+        { version: '2.0.1', interactiveBenchmark: interactive('2.0.1', 1000, 0, 'ready') },
+        { version: '2.0.2', interactiveBenchmark: interactive('2.0.2', 1000, 0, 'ready') },
+      ]);
+      const b = suite(2, [{ version: '2.0.1', interactiveBenchmark: interactive('2.0.1', 120000, 0, 'timeout') }]);
+      const result = compareSuiteResults([a, b]);
+      expect(result.versions[0].stateChanged).toBe(true);
+      expect(result.versions[1].runs[1]).toBeNull();
+      expect(result.versions[1].deltas[0]).toBeNull();
+      expect(formatComparisonTable(result)).toContain('⚠ ready → timeout');
+    });
+
+    it('should rank by memory of the latest run', () => {
+      const withRss = (version: string, peakRssBytes?: number): CombinedBenchmarkResult => ({
+        version,
+        interactiveBenchmark: {
+          ...interactive(version, 1000, 0, 'ready'),
+          ...(peakRssBytes !== undefined && {
+            resources: Object.fromEntries(
+              ['peakRssBytes', 'userCpuMs', 'systemCpuMs', 'peakOpenFds', 'readBytes', 'writeBytes']
+                .map((k) => [k, { avg: k === 'peakRssBytes' ? peakRssBytes : 0, min: 0, max: 0, stdDev: 0 }])
+            ) as any,
+          }),
+        },
+      });
+      const a = suite(1, [withRss('2.0.1', 100e6), withRss('2.0.2', 100e6), withRss('2.0.3', 100e6)]);
+      const b = suite(2, [withRss('2.0.1', 150e6), withRss('2.0.2'), withRss('2.0.3', 300e6)]);
+
+      const ranked = rankVersions(compareSuiteResults([a, b]), 'memory');
+      expect(ranked.versions.map((v) => v.version)).toEqual(['2.0.3', '2.0.1', '2.0.2']);
+      expect(ranked.versions[0].deltas[0]?.peakRssBytes).toBe(200e6);
+      expect(formatComparisonTable(ranked)).toContain('rss #2');
+    });
+
+    it('should report environment differences against the baseline', () => {
+      const environment = (nodeVersion: string) => ({
+        host: 'a', platform: 'linux', arch: 'x64', osRelease: '6.1', nodeVersion, nodeExecPath: '/usr/bin/node',
+        cpuModel: 'cpu', cpuCores: 4, totalMemoryBytes: 8e9, freeMemoryBytes: 4e9,
+      });
+      const a = suite(1, []);
+      a.metadata.environment = environment('v20.0.0');
+      const b = suite(2, []);
+      b.metadata.environment = environment('v22.0.0');
+      const c = suite(3, []);
+
+      const { environmentDifferences } = compareSuiteResults([a, b, c]);
+      expect(environmentDifferences[0]?.map((d) => d.field)).toEqual(['nodeVersion']);
+      expect(environmentDifferences[1]).toBeNull();
+    });
+
+    it('should require two runs', () => {
+      expect(() => compareSuiteResults([suite(1, [])])).toThrow();
+    });
+  });
+}
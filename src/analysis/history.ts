@@ -0,0 +1,252 @@
+import type {
+  BenchmarkSuiteResult,
+  CombinedBenchmarkResult,
+  EnvironmentFingerprint,
+  HistoryEntry,
+  HistoryScenario,
+  InteractiveBenchmarkResult,
+  VersionBenchmarkResult,
+} from '../types/benchmark.js';
+import { sortVersions } from '../utils/version-filter.js';
+
+export interface HistoryQuery {
+  version?: string;
+  host?: string;
+  runNumber?: number;
+  /** Only entries that finished without error and, if interactive, reached `ready` */
+  good?: boolean;
+}
+
+export interface HistoryRun {
+  runNumber: number;
+  timestamp: string;
+  host?: string;
+  versions: string[];
+}
+
+export interface HistoryTrendPoint {
+  entry: HistoryEntry;
+  scenario: HistoryScenario;
+  /** Change of the average against the previous point (ms) */
+  deltaMs?: number;
+}
+
+function toScenario(
+  result: VersionBenchmarkResult | InteractiveBenchmarkResult
+): HistoryScenario {
+  const isInteractive = 'result' in result;
+  return {
+    avgTime: result.avgTime,
+    stdDev: result.stdDev,
+    minTime: result.minTime,
+    maxTime: result.maxTime,
+    median: result.stats?.median,
+    samples: isInteractive ? result.runs.map((r) => r.time) : result.runs,
+    result: isInteractive ? result.result : undefined,
+    peakRssBytes: result.resources?.peakRssBytes.avg,
+  };
+}
+
+function toEntry(suite: BenchmarkSuiteResult, result: CombinedBenchmarkResult): HistoryEntry {
+  const scenarios: Record<string, HistoryScenario> = {};
+  if (result.versionBenchmark) scenarios.version = toScenario(result.versionBenchmark);
+  if (result.interactiveBenchmark) scenarios.interactive = toScenario(result.interactiveBenchmark);
+  for (const [id, scenario] of Object.entries(result.scenarios ?? {})) {
+    scenarios[id] = toScenario(scenario);
+  }
+
+  return {
+    runNumber: suite.runNumber,
+    timestamp: suite.timestamp,
+    host: suite.metadata.environment?.host,
+    version: result.version,
+    state: result.error ? 'error' : result.interactiveBenchmark?.result,
+    ...(result.error && { error: result.error }),
+    scenarios,
+  };
+}
+
+/**
+ * Flatten a suite into history entries, one per version
+ */
+export function toHistoryEntries(suite: BenchmarkSuiteResult): HistoryEntry[] {
+  return suite.results.map((result) => toEntry(suite, result));
+}
+
+/**
+ * True when the version finished without error and, if it has an
+ * interactive benchmark, reached `ready`
+ */
+export function isGoodEntry(entry: HistoryEntry): boolean {
+  return entry.state === undefined || entry.state === 'ready';
+}
+
+/**
+ * Filter history entries, in run order
+ */
+export function queryHistory(entries: HistoryEntry[], query: HistoryQuery = {}): HistoryEntry[] {
+  return entries
+    .filter((e) =>
+      (query.version === undefined || e.version === query.version) &&
+      (query.host === undefined || e.host === query.host) &&
+      (query.runNumber === undefined || e.runNumber === query.runNumber) &&
+      (!query.good || isGoodEntry(e))
+    )
+    .sort((a, b) => a.runNumber - b.runNumber);
+}
+
+/**
+ * All samples of a version across runs, keyed by run number
+ */
+export function getVersionSamples(
+  entries: HistoryEntry[],
+  version: string,
+  scenario = 'interactive'
+): Map<number, number[]> {
+  const samples = new Map<number, number[]>();
+  for (const entry of queryHistory(entries, { version })) {
+    const summary = entry.scenarios[scenario];
+    if (summary) samples.set(entry.runNumber, summary.samples);
+  }
+  return samples;
+}
+
+/**
+ * Most recent good entry of every version, in semver order
+ */
+export function latestGoodRuns(entries: HistoryEntry[], host?: string): HistoryEntry[] {
+  const latest = new Map<string, HistoryEntry>();
+  for (const entry of queryHistory(entries, { host, good: true })) {
+    latest.set(entry.version, entry);
+  }
+  return sortVersions([...latest.keys()]).map((v) => latest.get(v)!);
+}
+
+/**
+ * Average of one scenario in the most recent good entry of every version
+ */
+export function latestAverages(entries: HistoryEntry[], scenario: string, host?: string): Map<string, number> {
+  const averages = new Map<string, number>();
+  for (const entry of latestGoodRuns(entries, host)) {
+    const summary = entry.scenarios[scenario];
+    if (summary) averages.set(entry.version, summary.avgTime);
+  }
+  return averages;
+}
+
+/**
+ * Runs in the history, optionally limited to one host
+ */
+export function listHistoryRuns(entries: HistoryEntry[], host?: string): HistoryRun[] {
+  const runs = new Map<number, HistoryRun>();
+  for (const entry of queryHistory(entries, { host })) {
+    const run = runs.get(entry.runNumber) ??
+      { runNumber: entry.runNumber, timestamp: entry.timestamp, host: entry.host, versions: [] };
+    run.versions.push(entry.version);
+    runs.set(entry.runNumber, run);
+  }
+  return [...runs.values()];
+}
+
+/**
+ * Trend of one scenario of a version across runs
+ *
+ * Deltas are taken between consecutive good entries, so a timeout in
+ * between does not show up as a huge swing.
+ */
+export function versionTrend(
+  entries: HistoryEntry[],
+  version: string,
+  options: { scenario?: string; host?: string } = {}
+): HistoryTrendPoint[] {
+  const { scenario = 'interactive', host } = options;
+  let previous: HistoryScenario | undefined;
+
+  return queryHistory(entries, { version, host }).flatMap((entry) => {
+    const summary = entry.scenarios[scenario];
+    if (!summary) return [];
+    const point: HistoryTrendPoint = { entry, scenario: summary };
+    if (isGoodEntry(entry)) {
+      if (previous) point.deltaMs = summary.avgTime - previous.avgTime;
+      previous = summary;
+    }
+    return [point];
+  });
+}
+
+/**
+ * Render a version trend as a plain-text table
+ */
+export function formatTrendTable(points: HistoryTrendPoint[]): string {
+  const header = ['Run', 'Date', 'Host', 'State', 'avg±sd', 'median', 'Δ', 'samples'];
+  const rows = points.map(({ entry, scenario, deltaMs }) => [
+    `#${entry.runNumber}`,
+    entry.timestamp.slice(0, 10),
+    entry.host ?? '—',
+    entry.state ?? 'ok',
+    `${scenario.avgTime}±${scenario.stdDev}`,
+    scenario.median !== undefined ? String(scenario.median) : '—',
+    deltaMs !== undefined ? `${deltaMs > 0 ? '+' : ''}${deltaMs}` : '',
+    scenario.samples.join(' '),
+  ]);
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells: string[]) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(header), widths.map((w) => '─'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const interactive = (version: string, avgTime: number, result: 'ready' | 'timeout'): InteractiveBenchmarkResult => ({
+    version, timestamp: '', runs: [{ time: avgTime, result }] as any, avgTime, minTime: avgTime, maxTime: avgTime,
+    stdDev: 0, result, reason: '',
+  });
+
+  const suite = (runNumber: number, host: string, results: CombinedBenchmarkResult[]): BenchmarkSuiteResult => ({
+    runNumber,
+    timestamp: `2025-01-0${runNumber}T00:00:00.000Z`,
+    config: {},
+    results,
+    errors: [],
+    metadata: {
+      totalVersions: results.length, successfulVersions: results.length, failedVersions: 0, duration: 0,
+      environment: { host } as EnvironmentFingerprint,
+    },
+  });
+
+  const entries = [
+    suite(1, 'a', [
+      { version: '2.0.1', interactiveBenchmark: interactive('2.0.1', 1000, 'ready') },
+      { version: '2.0.2', error: 'not installed' },
+    ]),
+    suite(2, 'b', [{ version: '2.0.1', interactiveBenchmark: interactive('2.0.1', 120000, 'timeout') }]),
+    suite(3, 'a', [
+      { version: '2.0.1', interactiveBenchmark: interactive('2.0.1', 1100, 'ready') },
+      { version: '2.0.2', interactiveBenchmark: interactive('2.0.2', 900, 'ready') },
+    ]),
+  ].flatMap(toHistoryEntries);
+
+  describe('history', () => {
+    it('should collect samples of a version across runs', () => {
+      expect([...getVersionSamples(entries, '2.0.1')]).toEqual([[1, [1000]], [2, [120000]], [3, [1100]]]);
+    });
+
+    it('should find the latest good run per version', () => {
+      const latest = latestGoodRuns(entries);
+      expect(latest.map((e) => [e.version, e.runNumber])).toEqual([['2.0.1', 3], ['2.0.2', 3]]);
+    });
+
+    it('should filter runs by host', () => {
+      expect(listHistoryRuns(entries, 'a').map((r) => r.runNumber)).toEqual([1, 3]);
+    });
+
+    it('should skip bad entries when computing trend deltas', () => {
+      const trend = versionTrend(entries, '2.0.1');
+      expect(trend.map((p) => p.deltaMs)).toEqual([undefined, undefined, 100]);
+      expect(formatTrendTable(trend)).toContain('timeout');
+    });
+  });
+}
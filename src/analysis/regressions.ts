@@ -0,0 +1,223 @@
+import type { BenchmarkSuiteResult, CombinedBenchmarkResult } from '../types/benchmark.js';
+import { sortVersions } from '../utils/version-filter.js';
+import { median } from '../utils/statistics.js';
+
+export type RegressionMetric = 'spawn' | 'interactive';
+
+export interface RegressionThreshold {
+  /** Minimum relative change, in percent of the previous version's median */
+  percent: number;
+  /** Minimum absolute change (ms) — keeps tiny, fast timings from tripping the percent check */
+  minAbsoluteMs: number;
+}
+
+export const DEFAULT_REGRESSION_THRESHOLD: RegressionThreshold = {
+  percent: 10,
+  minAbsoluteMs: 50,
+};
+
+export interface RegressionOptions {
+  metrics?: RegressionMetric[];
+  threshold?: RegressionThreshold;
+}
+
+export interface VersionChange {
+  metric: RegressionMetric;
+  kind: 'regression' | 'improvement';
+  /** Previous version with usable samples */
+  fromVersion: string;
+  toVersion: string;
+  fromMedian: number;
+  toMedian: number;
+  deltaMs: number;
+  /** Change relative to the previous median (absent when that median is 0) */
+  deltaPercent?: number;
+  fromSamples: number[];
+  toSamples: number[];
+}
+
+export interface RegressionReport {
+  runNumber: number;
+  threshold: RegressionThreshold;
+  regressions: VersionChange[];
+  improvements: VersionChange[];
+  /** Number of consecutive version pairs that were compared */
+  comparedPairs: number;
+}
+
+/**
+ * Extract the timing samples for a metric
+ *
+ * Interactive samples only count when the run reached `ready`; timings of
+ * versions that error out or exit measure something else entirely.
+ */
+function getSamples(result: CombinedBenchmarkResult, metric: RegressionMetric): number[] {
+  if (result.error) return [];
+  if (metric === 'spawn') {
+    return result.versionBenchmark?.runs ?? [];
+  }
+  return (result.interactiveBenchmark?.runs ?? [])
+    .filter((run) => run.result === 'ready')
+    .map((run) => run.time);
+}
+
+/**
+ * Classify the change between two sample sets
+ *
+ * A change counts when the median moves by more than both thresholds and
+ * the shift is consistent across samples: for a regression every new sample
+ * must be slower than the old median (and vice versa for an improvement),
+ * so a single noisy sample cannot trigger it.
+ */
+function classifyChange(
+  fromSamples: number[],
+  toSamples: number[],
+  threshold: RegressionThreshold
+): { kind: VersionChange['kind']; fromMedian: number; toMedian: number } | null {
+  const fromMedian = median(fromSamples);
+  const toMedian = median(toSamples);
+  const delta = toMedian - fromMedian;
+  const limit = Math.max((fromMedian * threshold.percent) / 100, threshold.minAbsoluteMs);
+
+  if (delta > limit && Math.min(...toSamples) > fromMedian) {
+    return { kind: 'regression', fromMedian, toMedian };
+  }
+  if (-delta > limit && Math.max(...toSamples) < fromMedian) {
+    return { kind: 'improvement', fromMedian, toMedian };
+  }
+  return null;
+}
+
+/**
+ * Detect startup regressions and improvements between consecutive versions
+ *
+ * Versions are walked in ascending semver order; each version is compared
+ * against the nearest previous version that has samples for the metric.
+ */
+export function detectRegressions(
+  suite: BenchmarkSuiteResult,
+  options: RegressionOptions = {}
+): RegressionReport {
+  const { metrics = ['interactive', 'spawn'], threshold = DEFAULT_REGRESSION_THRESHOLD } = options;
+
+  const byVersion = new Map(suite.results.map((r) => [r.version, r]));
+  const versions = sortVersions([...byVersion.keys()]);
+
+  const regressions: VersionChange[] = [];
+  const improvements: VersionChange[] = [];
+  let comparedPairs = 0;
+
+  for (const metric of metrics) {
+    let previous: { version: string; samples: number[] } | null = null;
+
+    for (const version of versions) {
+      const samples = getSamples(byVersion.get(version)!, metric);
+      if (samples.length === 0) continue;
+
+      if (previous) {
+        comparedPairs++;
+        const change = classifyChange(previous.samples, samples, threshold);
+        if (change) {
+          const entry: VersionChange = {
+            metric,
+            kind: change.kind,
+            fromVersion: previous.version,
+            toVersion: version,
+            fromMedian: change.fromMedian,
+            toMedian: change.toMedian,
+            deltaMs: change.toMedian - change.fromMedian,
+            ...(change.fromMedian > 0 && {
+              deltaPercent: Math.round(((change.toMedian - change.fromMedian) / change.fromMedian) * 1000) / 10,
+            }),
+            fromSamples: previous.samples,
+            toSamples: samples,
+          };
+          (change.kind === 'regression' ? regressions : improvements).push(entry);
+        }
+      }
+
+      previous = { version, samples };
+    }
+  }
+
+  return { runNumber: suite.runNumber, threshold, regressions, improvements, comparedPairs };
+}
+
+/**
+ * Render a single change as a one-line summary
+ */
+export function formatVersionChange(change: VersionChange): string {
+  const sign = change.deltaMs > 0 ? '+' : '';
+  const percent = change.deltaPercent !== undefined ? `, ${sign}${change.deltaPercent}%` : '';
+  return (
+    `[${change.metric}] ${change.fromVersion} → ${change.toVersion}: ` +
+    `${change.fromMedian}ms → ${change.toMedian}ms (${sign}${change.deltaMs}ms${percent}) ` +
+    `samples [${change.toSamples.join(', ')}]`
+  );
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const spawnResult = (version: string, runs: number[]): CombinedBenchmarkResult => ({
+    version,
+    versionBenchmark: { version, timestamp: '', runs, avgTime: 0, minTime: 0, maxTime: 0, stdDev: 0 },
+  });
+
+  const suite = (results: CombinedBenchmarkResult[]): BenchmarkSuiteResult => ({
+    runNumber: 1,
+    timestamp: '',
+    config: {},
+    results,
+    errors: [],
+    metadata: { totalVersions: results.length, successfulVersions: results.length, failedVersions: 0, duration: 0 },
+  });
+
+  describe('detectRegressions', () => {
+    it('should flag a consistent slowdown between consecutive versions', () => {
+      const report = detectRegressions(
+        suite([spawnResult('2.0.10', [200, 210, 205]), spawnResult('2.0.9', [200, 205, 210]), spawnResult('2.0.11', [300, 310, 305])]),
+        { metrics: ['spawn'] }
+      );
+      expect(report.comparedPairs).toBe(2);
+      expect(report.regressions).toHaveLength(1);
+      expect(report.regressions[0]).toMatchObject({ fromVersion: '2.0.10', toVersion: '2.0.11', deltaMs: 100 });
+    });
+
+    it('should ignore changes below the absolute minimum', () => {
+      const report = detectRegressions(
+        suite([spawnResult('2.0.1', [100, 100, 100]), spawnResult('2.0.2', [130, 130, 130])]),
+        { metrics: ['spawn'], threshold: { percent: 10, minAbsoluteMs: 50 } }
+      );
+      expect(report.regressions).toHaveLength(0);
+    });
+
+    it('should ignore a slowdown the fastest new sample does not confirm', () => {
+      const report = detectRegressions(
+        suite([spawnResult('2.0.1', [200, 200, 200]), spawnResult('2.0.2', [190, 400, 410])]),
+        { metrics: ['spawn'] }
+      );
+      expect(report.regressions).toHaveLength(0);
+    });
+
+    it('should report improvements', () => {
+      const report = detectRegressions(
+        suite([spawnResult('2.0.1', [400, 410, 405]), spawnResult('2.0.2', [200, 210, 205])]),
+        { metrics: ['spawn'] }
+      );
+      expect(report.improvements).toHaveLength(1);
+      expect(report.improvements[0].deltaPercent).toBeLessThan(0);
+    });
+
+    it('should leave out the percentage against a zero baseline', () => {
+      const report = detectRegressions(
+        suite([spawnResult('2.0.1', [0, 0, 0]), spawnResult('2.0.2', [100, 110, 105])]),
+        { metrics: ['spawn'] }
+      );
+      expect(report.regressions).toHaveLength(1);
+      expect(report.regressions[0].deltaPercent).toBeUndefined();
+      expect(formatVersionChange(report.regressions[0])).toContain('(+105ms)');
+    });
+  });
+}
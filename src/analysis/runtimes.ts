@@ -0,0 +1,130 @@
+import type { BenchmarkSuiteResult, CombinedBenchmarkResult } from '../types/benchmark.js';
+import { sortVersions } from '../utils/version-filter.js';
+import { formatBytes } from '../utils/progress.js';
+import { getPeakRss } from './compare-runs.js';
+import type { VersionOutcome } from './compare-runs.js';
+
+export interface RuntimeMetrics {
+  /** Node.js version (e.g. 22.11.0) */
+  runtime: string;
+  spawn?: number;
+  interactive?: number;
+  peakRssBytes?: number;
+  state?: VersionOutcome;
+  /** Change of the interactive average against the first runtime (%) */
+  interactiveChange?: number;
+}
+
+export interface RuntimeImpact {
+  /** Version or target label */
+  version: string;
+  runtimes: RuntimeMetrics[];
+}
+
+function percentChange(baseline?: number, value?: number): number | undefined {
+  if (baseline === undefined || value === undefined || baseline === 0) return undefined;
+  return ((value - baseline) / baseline) * 100;
+}
+
+/**
+ * Group the results of a runtime matrix by version
+ *
+ * Runtimes appear in the order they were configured; changes are relative
+ * to the first one. Results benchmarked without a runtime are ignored.
+ */
+export function summarizeRuntimes(suite: BenchmarkSuiteResult): RuntimeImpact[] {
+  const byVersion = new Map<string, CombinedBenchmarkResult[]>();
+  for (const result of suite.results) {
+    if (!result.runtime) continue;
+    const version = result.version.slice(0, -`@node${result.runtime.version}`.length);
+    byVersion.set(version, [...(byVersion.get(version) ?? []), result]);
+  }
+
+  return sortVersions([...byVersion.keys()]).map((version) => {
+    const runtimes = byVersion.get(version)!.map((r): RuntimeMetrics => ({
+      runtime: r.runtime!.version,
+      spawn: r.versionBenchmark?.avgTime,
+      interactive: r.interactiveBenchmark?.avgTime,
+      peakRssBytes: getPeakRss(r),
+      state: r.error ? 'error' : r.interactiveBenchmark?.result,
+    }));
+    for (const metrics of runtimes.slice(1)) {
+      metrics.interactiveChange = percentChange(runtimes[0].interactive, metrics.interactive);
+    }
+    return { version, runtimes };
+  });
+}
+
+/**
+ * Render the runtime impact as a plain-text table, one row per version and runtime
+ */
+export function formatRuntimeTable(impacts: RuntimeImpact[]): string {
+  const header = ['Version', 'Node.js', 'spawn', 'interactive', 'rss', 'State'];
+  const rows = impacts.flatMap(({ version, runtimes }) =>
+    runtimes.map((m, i) => {
+      const change = m.interactiveChange !== undefined
+        ? ` (${m.interactiveChange > 0 ? '+' : ''}${m.interactiveChange.toFixed(1)}%)`
+        : '';
+      return [
+        i === 0 ? version : '',
+        m.runtime,
+        m.spawn !== undefined ? String(Math.round(m.spawn)) : '—',
+        m.interactive !== undefined ? `${Math.round(m.interactive)}${change}` : '—',
+        m.peakRssBytes !== undefined ? formatBytes(m.peakRssBytes) : '—',
+        m.state ?? '—',
+      ];
+    })
+  );
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells: string[]) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(header), widths.map((w) => '─'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const result = (version: string, runtime: string | undefined, avgTime: number): CombinedBenchmarkResult => ({
+    version: runtime ? `${version}@node${runtime}` : version,
+    ...(runtime && { runtime: { path: `/opt/node-${runtime}/bin/node`, version: runtime } }),
+    interactiveBenchmark: {
+      version, timestamp: '', runs: [], avgTime, minTime: avgTime, maxTime: avgTime, stdDev: 0, result: 'ready', reason: '',
+    },
+  });
+
+  const suite = (results: CombinedBenchmarkResult[]): BenchmarkSuiteResult => ({
+    runNumber: 1,
+    timestamp: '',
+    config: {},
+    results,
+    errors: [],
+    metadata: { totalVersions: results.length, successfulVersions: results.length, failedVersions: 0, duration: 0 },
+  });
+
+  describe('summarizeRuntimes', () => {
+    it('should group versions and compare against the first runtime', () => {
+      const impacts = summarizeRuntimes(suite([
+        result('2.0.10', '20.19.5', 1000),
+        result('2.0.10', '22.11.0', 900),
+        result('2.0.9', '20.19.5', 800),
+        result('2.0.9', '22.11.0', 1000),
+        result('2.0.8', undefined, 700),
+      ]));
+      expect(impacts.map((i) => i.version)).toEqual(['2.0.9', '2.0.10']);
+      expect(impacts[0].runtimes.map((r) => [r.runtime, r.interactiveChange])).toEqual([['20.19.5', undefined], ['22.11.0', 25]]);
+      expect(impacts[1].runtimes[1].interactiveChange).toBe(-10);
+    });
+  });
+
+  describe('formatRuntimeTable', () => {
+    it('should show the change on later runtimes', () => {
+      const table = formatRuntimeTable(summarizeRuntimes(suite([result('2.0.1', '18.20.4', 1000), result('2.0.1', '22.11.0', 900)])));
+      expect(table.split('\n').slice(2)).toEqual([
+        '2.0.1    18.20.4  —      1000          —    ready',
+        '         22.11.0  —      900 (-10.0%)  —    ready',
+      ]);
+    });
+  });
+}
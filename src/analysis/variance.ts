@@ -0,0 +1,96 @@
+import type { BenchmarkSuiteResult } from '../types/benchmark.js';
+import { median } from '../utils/statistics.js';
+
+export interface VarianceComparison {
+  baselineRun: number;
+  /** Versions present in both runs */
+  comparedVersions: number;
+  /** Median coefficient of variation (stdDev / avg) in the current run */
+  currentCv: number;
+  /** Median coefficient of variation in the baseline run */
+  baselineCv: number;
+  /** currentCv / baselineCv */
+  ratio: number;
+  /** True when the ratio exceeds the tolerance */
+  elevated: boolean;
+}
+
+/**
+ * Coefficients of variation of every spawn and interactive result
+ */
+function coefficients(suite: BenchmarkSuiteResult, versions: Set<string>): number[] {
+  const values: number[] = [];
+  for (const result of suite.results) {
+    if (result.error || !versions.has(result.version)) continue;
+    for (const bench of [result.versionBenchmark, result.interactiveBenchmark]) {
+      if (bench && bench.avgTime > 0) values.push(bench.stdDev / bench.avgTime);
+    }
+  }
+  return values;
+}
+
+/**
+ * Compare measurement noise of a run against a baseline run
+ *
+ * Only versions benchmarked successfully in both runs are considered.
+ * Returns null when the runs share no usable versions or the baseline has
+ * no spread to compare against.
+ *
+ * @param tolerance Ratio above which the current run counts as noisier
+ */
+export function compareVariance(
+  current: BenchmarkSuiteResult,
+  baseline: BenchmarkSuiteResult,
+  tolerance = 1.5
+): VarianceComparison | null {
+  const ok = (suite: BenchmarkSuiteResult) =>
+    new Set(suite.results.filter((r) => !r.error).map((r) => r.version));
+  const baselineVersions = ok(baseline);
+  const common = new Set([...ok(current)].filter((v) => baselineVersions.has(v)));
+
+  const currentValues = coefficients(current, common);
+  const baselineValues = coefficients(baseline, common);
+  if (currentValues.length === 0 || baselineValues.length === 0) return null;
+
+  const currentCv = median(currentValues);
+  const baselineCv = median(baselineValues);
+  if (baselineCv === 0) return null;
+  const ratio = currentCv / baselineCv;
+
+  return {
+    baselineRun: baseline.runNumber,
+    comparedVersions: common.size,
+    currentCv,
+    baselineCv,
+    ratio,
+    elevated: ratio > tolerance,
+  };
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const suite = (runNumber: number, stdDev: number): BenchmarkSuiteResult => ({
+    runNumber,
+    timestamp: '',
+    config: {},
+    results: ['2.0.1', '2.0.2'].map((version) => ({
+      version,
+      versionBenchmark: { version, timestamp: '', runs: [], avgTime: 100, minTime: 0, maxTime: 0, stdDev },
+    })),
+    errors: [],
+    metadata: { totalVersions: 2, successfulVersions: 2, failedVersions: 0, duration: 0 },
+  });
+
+  describe('compareVariance', () => {
+    it('should flag runs noisier than the baseline', () => {
+      const result = compareVariance(suite(2, 20), suite(1, 5));
+      expect(result).toMatchObject({ baselineRun: 1, comparedVersions: 2, ratio: 4, elevated: true });
+    });
+
+    it('should accept comparable noise', () => {
+      expect(compareVariance(suite(2, 6), suite(1, 5))?.elevated).toBe(false);
+    });
+  });
+}
@@ -0,0 +1,337 @@
+import { MIN_VIABLE_VERSION } from '../types/benchmark.js';
+import { DetectorRuleSchema, DetectorRuleSetSchema } from '../types/detectors.js';
+import type {
+  DetectorOverrides,
+  DetectorRule,
+  DetectorRuleSet,
+  DetectorSignal,
+} from '../types/detectors.js';
+
+/**
+ * Version of the built-in rule set; bump whenever a rule changes meaning
+ */
+export const DETECTOR_RULES_VERSION = '1';
+
+/**
+ * Built-in rules for classifying Claude Code startup output
+ */
+export const DEFAULT_DETECTOR_RULES: DetectorRuleSet = {
+  version: DETECTOR_RULES_VERSION,
+  expectedMinVersion: MIN_VIABLE_VERSION,
+  readyWhen: ['bracketedPaste', 'focusEvents', 'prompt'],
+  rules: [
+    {
+      id: 'trust-prompt',
+      description: 'Accept the "Do you trust the files" dialog of older versions',
+      type: 'respond',
+      pattern: 'Do you trust the files',
+      scope: 'output',
+      stripAnsi: false,
+      enabled: true,
+      input: '\r',
+      delayMs: 100,
+    },
+    {
+      id: 'version-requirement',
+      description: 'Versions below the minimum refuse to start and ask for an update',
+      type: 'error',
+      pattern: 'needs update|newer version|requires|minimum version',
+      scope: 'output',
+      stripAnsi: false,
+      enabled: true,
+      reason: 'version_requirement_not_met',
+      minVersionPatterns: [
+        '(\\d+\\.\\d+\\.\\d+)\\s+or higher',
+        'version\\s+\\((\\d+\\.\\d+\\.\\d+)',
+        'requires\\s+(\\d+\\.\\d+\\.\\d+)',
+        'minimum\\s+version[:\\s]+(\\d+\\.\\d+\\.\\d+)',
+        'v?(\\d+\\.\\d+\\.\\d+)\\+',
+      ],
+    },
+    {
+      id: 'bracketed-paste',
+      description: 'Input handling enabled bracketed paste mode',
+      type: 'signal',
+      pattern: '\\x1b\\[\\?2004h',
+      scope: 'chunk',
+      stripAnsi: false,
+      enabled: true,
+      signal: 'bracketedPaste',
+    },
+    {
+      id: 'focus-events',
+      description: 'UI subscribed to terminal focus events',
+      type: 'signal',
+      pattern: '\\x1b\\[\\?1004h',
+      scope: 'chunk',
+      stripAnsi: false,
+      enabled: true,
+      signal: 'focusEvents',
+    },
+    {
+      id: 'prompt',
+      description: 'Input prompt rendered',
+      type: 'signal',
+      pattern: '>\\s',
+      scope: 'chunk',
+      stripAnsi: true,
+      enabled: true,
+      signal: 'prompt',
+    },
+  ],
+};
+
+/**
+ * Apply config overrides to the built-in rules
+ *
+ * Overrides with the id of a built-in rule are merged into it; new ids are
+ * appended. The result is validated, so invalid overrides throw here rather
+ * than misclassifying samples later.
+ */
+export function resolveDetectorRules(
+  overrides?: DetectorOverrides,
+  base: DetectorRuleSet = DEFAULT_DETECTOR_RULES
+): DetectorRuleSet {
+  if (!overrides || (overrides.rules.length === 0 && !overrides.expectedMinVersion && !overrides.readyWhen)) {
+    return base;
+  }
+
+  const rules: DetectorRule[] = [...base.rules];
+  for (const override of overrides.rules) {
+    const index = rules.findIndex((r) => r.id === override.id);
+    const parsed = DetectorRuleSchema.safeParse(index >= 0 ? { ...rules[index], ...override } : override);
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map((i) => `${i.path.join('.') || 'rule'}: ${i.message}`).join(', ');
+      throw new Error(`Invalid detector rule "${override.id}": ${issues}`);
+    }
+    if (index >= 0) {
+      rules[index] = parsed.data;
+    } else {
+      rules.push(parsed.data);
+    }
+  }
+
+  for (const rule of rules) {
+    for (const source of [rule.pattern, ...(rule.type === 'error' ? rule.minVersionPatterns : [])]) {
+      try {
+        new RegExp(source, rule.flags);
+      } catch (error) {
+        throw new Error(`Invalid pattern in detector rule "${rule.id}": ${error instanceof Error ? error.message : error}`);
+      }
+    }
+  }
+
+  return DetectorRuleSetSchema.parse({
+    version: overrides.version ?? `${base.version}+config`,
+    expectedMinVersion: overrides.expectedMinVersion ?? base.expectedMinVersion,
+    readyWhen: overrides.readyWhen ?? base.readyWhen,
+    rules,
+  });
+}
+
+/**
+ * Remove ANSI escape sequences (CSI, including private modes like `?2004h`)
+ */
+export function stripAnsi(text: string): string {
+  return text.replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '');
+}
+
+export type DetectorEvent =
+  | { type: 'signal'; rule: string; signal: DetectorSignal }
+  | { type: 'respond'; rule: string; input: string; delayMs: number }
+  | {
+    type: 'error';
+    rule: string;
+    reason: string;
+    /** Minimum version found in the output, if any */
+    minVersion: string | null;
+    /** Lines around the matching line, ANSI stripped */
+    message: string;
+    /** All output so far, ANSI stripped */
+    cleanOutput: string;
+  }
+  | { type: 'ready'; rule: string };
+
+interface CompiledRule {
+  rule: DetectorRule;
+  regex: RegExp;
+}
+
+/**
+ * Stateful matcher that turns PTY output into detector events
+ *
+ * Feed it every output chunk in order. Rules are evaluated in rule-set
+ * order and fire at most once; after an error rule fires, no further
+ * events are produced.
+ */
+export class OutputDetector {
+  readonly signals: Record<DetectorSignal, boolean> = {
+    bracketedPaste: false,
+    focusEvents: false,
+    prompt: false,
+  };
+
+  /** Ids of the rules that fired, in order */
+  readonly fired: string[] = [];
+
+  private output = '';
+  private stopped = false;
+  private readonly rules: CompiledRule[];
+
+  constructor(readonly ruleSet: DetectorRuleSet = DEFAULT_DETECTOR_RULES) {
+    this.rules = ruleSet.rules
+      .filter((rule) => rule.enabled)
+      .map((rule) => ({ rule, regex: new RegExp(rule.pattern, rule.flags) }));
+  }
+
+  /** True once every `readyWhen` signal has been seen */
+  get ready(): boolean {
+    return this.ruleSet.readyWhen.every((signal) => this.signals[signal]);
+  }
+
+  /** All output received so far */
+  get received(): string {
+    return this.output;
+  }
+
+  feed(chunk: string): DetectorEvent[] {
+    if (this.stopped) return [];
+    this.output += chunk;
+
+    const wasReady = this.ready;
+    const events: DetectorEvent[] = [];
+
+    for (const { rule, regex } of this.rules) {
+      if (this.fired.includes(rule.id)) continue;
+      if (rule.type === 'signal' && this.signals[rule.signal]) continue;
+
+      const text = rule.scope === 'output' ? this.output : chunk;
+      if (!regex.test(rule.stripAnsi ? stripAnsi(text) : text)) continue;
+
+      this.fired.push(rule.id);
+
+      if (rule.type === 'signal') {
+        this.signals[rule.signal] = true;
+        events.push({ type: 'signal', rule: rule.id, signal: rule.signal });
+        if (!wasReady && this.ready) {
+          events.push({ type: 'ready', rule: rule.id });
+        }
+      } else if (rule.type === 'respond') {
+        events.push({ type: 'respond', rule: rule.id, input: rule.input, delayMs: rule.delayMs });
+      } else {
+        events.push(this.errorEvent(rule, regex));
+        this.stopped = true;
+        break;
+      }
+    }
+
+    return events;
+  }
+
+  private errorEvent(rule: Extract<DetectorRule, { type: 'error' }>, regex: RegExp): DetectorEvent {
+    const cleanOutput = stripAnsi(this.output);
+    const lines = cleanOutput.split('\n');
+    const start = lines.findIndex((line) => regex.test(line));
+    const message = lines.slice(Math.max(0, start - 1), start + 6).join('\n').trim();
+
+    let minVersion: string | null = null;
+    for (const source of rule.minVersionPatterns) {
+      const match = cleanOutput.match(new RegExp(source, 'i'));
+      if (match?.[1]) {
+        minVersion = match[1];
+        break;
+      }
+    }
+
+    return { type: 'error', rule: rule.id, reason: rule.reason, minVersion, message, cleanOutput };
+  }
+}
+
+/**
+ * Run captured output through a rule set, e.g. to test rules against fixtures
+ * or the output events of a recording
+ */
+export function detectOutput(
+  chunks: string[],
+  ruleSet: DetectorRuleSet = DEFAULT_DETECTOR_RULES
+): { events: DetectorEvent[]; signals: Record<DetectorSignal, boolean>; ready: boolean; fired: string[] } {
+  const detector = new OutputDetector(ruleSet);
+  const events = chunks.flatMap((chunk) => detector.feed(chunk));
+  return { events, signals: { ...detector.signals }, ready: detector.ready, fired: [...detector.fired] };
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  // Output captured from real sessions, split where the PTY delivered chunks
+  const FIXTURES = {
+    ready: [
+      '\x1b[?25l\x1b[2J\x1b[H╭───────────────────────────╮\r\n│ ✻ Welcome to Claude Code! │\r\n',
+      '\x1b[?2004h\x1b[?1004h',
+      '\x1b[2K\x1b[G> \x1b[7m \x1b[27m\r\n',
+    ],
+    needsUpdate: [
+      '\x1b[31mIt looks like your version of Claude Code (1.0.20) needs an update.\x1b[39m\r\n',
+      'A newer version (1.0.24 or higher) is required to continue.\r\n\r\nTo update, please run:\r\n    claude update\r\n',
+    ],
+    trustPrompt: [
+      '╭──────────────────────────────╮\r\n│ Do you trust the files in this folder? │\r\n',
+      '\x1b[?2004h\x1b[?1004h> \r\n',
+    ],
+  };
+
+  describe('OutputDetector', () => {
+    it('should become ready once every signal fired', () => {
+      const result = detectOutput(FIXTURES.ready);
+      expect(result.ready).toBe(true);
+      expect(result.fired).toEqual(['bracketed-paste', 'focus-events', 'prompt']);
+      expect(result.events.at(-1)).toEqual({ type: 'ready', rule: 'prompt' });
+    });
+
+    it('should report version requirement errors with the minimum version', () => {
+      const { events, ready } = detectOutput(FIXTURES.needsUpdate);
+      const error = events.find((e) => e.type === 'error');
+      expect(ready).toBe(false);
+      expect(error).toMatchObject({ rule: 'version-requirement', reason: 'version_requirement_not_met', minVersion: '1.0.24' });
+      expect(error?.type === 'error' && error.message).toContain('needs an update');
+    });
+
+    it('should answer the trust prompt once', () => {
+      const detector = new OutputDetector();
+      const events = FIXTURES.trustPrompt.flatMap((chunk) => detector.feed(chunk));
+      expect(events.filter((e) => e.type === 'respond')).toEqual([
+        { type: 'respond', rule: 'trust-prompt', input: '\r', delayMs: 100 },
+      ]);
+      expect(detector.feed('more output')).toEqual([]);
+    });
+  });
+
+  describe('resolveDetectorRules', () => {
+    it('should return the built-ins without overrides', () => {
+      expect(resolveDetectorRules({ rules: [] })).toBe(DEFAULT_DETECTOR_RULES);
+    });
+
+    it('should merge overrides by id and append new rules', () => {
+      const rules = resolveDetectorRules({
+        rules: [
+          { id: 'prompt', pattern: '❯\\s' },
+          { id: 'login', type: 'error', pattern: 'Please log in', reason: 'login_required' },
+        ],
+      });
+      expect(rules.version).toBe(`${DETECTOR_RULES_VERSION}+config`);
+      expect(detectOutput(['\x1b[?2004h\x1b[?1004h❯ '], rules).ready).toBe(true);
+      expect(detectOutput(['Please log in'], rules).events[0]).toMatchObject({ type: 'error', rule: 'login' });
+    });
+
+    it('should reject incomplete rules and bad patterns', () => {
+      expect(() => resolveDetectorRules({ rules: [{ id: 'new', pattern: 'x' }] })).toThrow(/Invalid detector rule "new"/);
+      expect(() => resolveDetectorRules({ rules: [{ id: 'prompt', pattern: '(' }] })).toThrow(/Invalid pattern/);
+    });
+
+    it('should allow disabling a built-in rule', () => {
+      const rules = resolveDetectorRules({ rules: [{ id: 'trust-prompt', enabled: false }] });
+      expect(detectOutput(FIXTURES.trustPrompt, rules).fired).not.toContain('trust-prompt');
+    });
+  });
+}
@@ -1,208 +1,290 @@
 import * as pty from 'node-pty';
-import type { BenchmarkRunResult } from '../types/benchmark.js';
+import type { BenchmarkRunResult, StartupTimeline } from '../types/benchmark.js';
+import type { DetectorRuleSet } from '../types/detectors.js';
+import { DEFAULT_DETECTOR_RULES, OutputDetector, stripAnsi } from './detectors.js';
 import { logger } from '../utils/logger.js';
+import { ResourceMonitor } from '../utils/resource-monitor.js';
+import { AsciicastRecorder } from '../utils/asciicast.js';
 
 export interface InteractiveBenchmarkOptions {
   claudePath: string;
+
+  /** Arguments Claude is spawned with (e.g. the script for `node cli.js`) */
+  claudeArgs?: string[];
+
   cwd: string;
   timeout?: number;
+
+  /** Environment for the Claude process (defaults to process.env) */
+  env?: NodeJS.ProcessEnv;
+
+  /**
+   * After the ready signals, type a probe character and measure until it is
+   * echoed back instead of waiting for the process to prove stable
+   */
+  probeKeystroke?: boolean;
+
+  /** Save the terminal session as an asciicast v2 file at this path */
+  recordPath?: string;
+
+  /** Rules that classify the output (defaults to the built-in set) */
+  detectorRules?: DetectorRuleSet;
+
+  /** Record memory, CPU and I/O of the Claude process tree (polls /proc while timing) */
+  monitorResources?: boolean;
 }
 
+/** Terminal size of the PTY (also stored in recordings) */
+const TERMINAL_COLS = 80;
+const TERMINAL_ROWS = 30;
+
+/** Character typed by the keystroke probe */
+const PROBE_CHARACTER = 'x';
+
+/** How long a ready process must stay alive to count as stable (not timed) */
+const STABILITY_WAIT_MS = 500;
+
 /**
  * Interactive PTY Benchmark
  *
  * Spawns Claude in a pseudo-terminal and measures startup time
  * using terminal signals (bracketed paste, focus events, prompt).
+ * What counts as a signal, an error or a prompt to answer is defined by
+ * the detector rules (see detectors.ts); each result records the rules
+ * that fired.
+ *
+ * Every milestone is recorded in `timeline`, so a slowdown can be
+ * attributed to module loading (first byte) or UI rendering (prompt).
  *
  * Handles:
  * - Trust prompts (auto-accepts with Enter)
- * - Version requirement errors (< 1.0.24)
+ * - Version requirement errors (< 1.0.24 with the built-in rules)
  * - Terminal signal detection
  * - Session cleanup
  */
 export async function benchmarkInteractive(
   options: InteractiveBenchmarkOptions
 ): Promise<BenchmarkRunResult> {
-  const { claudePath, cwd, timeout = 30000 } = options;
+  const {
+    claudePath,
+    claudeArgs = [],
+    cwd,
+    timeout = 30000,
+    env = process.env,
+    probeKeystroke = false,
+    recordPath,
+    detectorRules = DEFAULT_DETECTOR_RULES,
+    monitorResources = false,
+  } = options;
 
-  return new Promise((resolve) => {
+  return new Promise((settle) => {
     const startTime = Date.now();
-    let output = '';
-    const signals = {
-      bracketedPaste: false,
-      focusEvents: false,
-      prompt: false,
+    const timeline: StartupTimeline = {};
+    const mark = (milestone: keyof StartupTimeline) => {
+      timeline[milestone] ??= Date.now() - startTime;
     };
+
+    // Startup time excluding pauses before answering prompts (e.g. the trust dialog)
+    let responseDelay = 0;
+    const elapsed = () => Date.now() - startTime - responseDelay;
+
+    const detector = new OutputDetector(detectorRules);
+    let lastSignalRule: string | undefined;
+
+    const recorder = recordPath
+      ? new AsciicastRecorder(TERMINAL_COLS, TERMINAL_ROWS, { title: claudePath, term: 'xterm-256color' })
+      : undefined;
+
+    // Attach resource usage and milestones to whichever outcome comes first
+    let monitor: ResourceMonitor | undefined;
+    let settled = false;
+    const resolve = (result: BenchmarkRunResult, rule?: string) => {
+      if (settled) return;
+      settled = true;
+      if (recorder && recordPath) {
+        try {
+          recorder.save(recordPath);
+        } catch (error) {
+          logger.warn(`Failed to save recording ${recordPath}: ${error}`);
+        }
+      }
+      const detection = { rulesVersion: detectorRules.version, rule, fired: [...detector.fired] };
+      const milestones = { ...timeline };
+      void Promise.resolve(monitor?.stop()).then((resources) =>
+        settle({ ...result, timeline: milestones, detection, resources })
+      );
+    };
+
     let readyDetected = false;
     let errorDetected = false;
     let sessionId: string | undefined = undefined;
-    let trustPromptHandled = false;
+    let probeSentAt: number | null = null;
 
     // Spawn Claude in PTY
     let ptyProcess;
     try {
-      ptyProcess = pty.spawn(claudePath, [], {
+      ptyProcess = pty.spawn(claudePath, claudeArgs, {
         name: 'xterm-256color',
-        cols: 80,
-        rows: 30,
+        cols: TERMINAL_COLS,
+        rows: TERMINAL_ROWS,
         cwd,
-        env: process.env,
+        env,
       });
     } catch (error) {
       // Spawn failed synchronously
       resolve({
-        time: Date.now() - startTime,
+        time: elapsed(),
         result: 'failed',
         reason: `PTY spawn failed: ${error instanceof Error ? error.message : String(error)}`,
-        signals,
+        signals: { ...detector.signals },
         sessionId,
       });
       return;
     }
 
+    if (monitorResources) {
+      monitor = new ResourceMonitor(ptyProcess.pid);
+      monitor.start();
+    }
+
     // Timeout handler
     const timeoutId = setTimeout(() => {
       ptyProcess.kill();
       resolve({
-        time: Date.now() - startTime,
+        time: elapsed(),
         result: 'timeout',
         reason: `Benchmark timed out after ${timeout}ms`,
-        signals,
+        signals: { ...detector.signals },
         sessionId,
       });
     }, timeout);
 
     // Data handler
     ptyProcess.onData((data) => {
-      output += data;
-
-      // Handle trust prompt (older versions)
-      if (!trustPromptHandled && output.includes('Do you trust the files')) {
-        trustPromptHandled = true;
-        logger.debug('Trust prompt detected, auto-accepting...');
-        // Send Enter to accept trust prompt
-        setTimeout(() => ptyProcess.write('\r'), 100);
+      mark('firstByte');
+      recorder?.output(data);
+
+      // Keystroke probe: the first output containing the probe after it was typed
+      if (probeSentAt !== null) {
+        if (stripAnsi(data).includes(PROBE_CHARACTER)) {
+          mark('keystrokeEcho');
+          const echoLatency = Date.now() - probeSentAt;
+          probeSentAt = null;
+          clearTimeout(timeoutId);
+          ptyProcess.kill();
+          resolve({
+            time: elapsed(),
+            result: 'ready',
+            reason: `keystroke echoed ${echoLatency}ms after ready`,
+            signals: { ...detector.signals },
+            sessionId,
+          });
+        }
+        return;
       }
 
+      const events = detector.feed(data);
+
       // Extract session ID if present (for cleanup)
       if (!sessionId) {
-        const sessionMatch = output.match(/"session_id":"([a-f0-9-]+)"/);
+        const sessionMatch = detector.received.match(/"session_id":"([a-f0-9-]+)"/);
         if (sessionMatch) {
           sessionId = sessionMatch[1];
         }
       }
 
-      // Check for version requirement error message
-      if (
-        (output.includes('needs update') ||
-          output.includes('newer version') ||
-          output.includes('requires') ||
-          output.includes('minimum version')) &&
-        !errorDetected
-      ) {
-        errorDetected = true;
-
-        // Extract the full error message (strip ANSI codes for cleaner output)
-        const cleanOutput = output.replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '');
-        const lines = cleanOutput.split('\n');
-        const errorStartIdx = lines.findIndex(
-          (l) =>
-            l.includes('needs update') ||
-            l.includes('newer version') ||
-            l.includes('requires') ||
-            l.includes('minimum version')
-        );
-        const errorLines = lines.slice(Math.max(0, errorStartIdx - 1), errorStartIdx + 6);
-        const fullErrorMessage = errorLines.join('\n').trim();
-
-        // Extract the minimum version requirement with multiple patterns
-        const versionMatch =
-          cleanOutput.match(/(\d+\.\d+\.\d+)\s+or higher/i) ||
-          cleanOutput.match(/version\s+\((\d+\.\d+\.\d+)/i) ||
-          cleanOutput.match(/requires\s+(\d+\.\d+\.\d+)/i) ||
-          cleanOutput.match(/minimum\s+version[:\s]+(\d+\.\d+\.\d+)/i) ||
-          cleanOutput.match(/v?(\d+\.\d+\.\d+)\+/);
-        const minVersion = versionMatch ? versionMatch[1] : null;
-
-        const EXPECTED_MIN_VERSION = '1.0.24';
-        if (minVersion && minVersion !== EXPECTED_MIN_VERSION) {
-          logger.warn(`Minimum version changed: expected ${EXPECTED_MIN_VERSION}, found ${minVersion}`);
-        }
+      for (const event of events) {
+        if (event.type === 'signal') {
+          mark(event.signal);
+          lastSignalRule = event.rule;
+        } else if (event.type === 'respond') {
+          // Answer prompts such as the trust dialog (older versions)
+          mark('trustPrompt');
+          logger.debug(`Detector rule ${event.rule} matched, responding...`);
+          setTimeout(() => {
+            mark('trustAccepted');
+            responseDelay += event.delayMs;
+            recorder?.input(event.input);
+            ptyProcess.write(event.input);
+          }, event.delayMs);
+        } else if (event.type === 'error') {
+          errorDetected = true;
+          const { expectedMinVersion } = detector.ruleSet;
+          if (event.minVersion && event.minVersion !== expectedMinVersion) {
+            logger.warn(`Minimum version changed: expected ${expectedMinVersion}, found ${event.minVersion}`);
+          }
 
-        clearTimeout(timeoutId);
-        ptyProcess.kill();
-        resolve({
-          time: Date.now() - startTime,
-          result: 'error_detected',
-          reason: 'version_requirement_not_met',
-          minVersionRequired: minVersion || EXPECTED_MIN_VERSION,
-          errorMessage: fullErrorMessage,
-          rawOutput: cleanOutput.substring(0, 2000),
-          sessionId,
-        });
-        return;
-      }
-
-      // Check for ready signals
-      if (data.includes('\x1b[?2004h') && !signals.bracketedPaste) {
-        signals.bracketedPaste = true;
-      }
-
-      if (data.includes('\x1b[?1004h') && !signals.focusEvents) {
-        signals.focusEvents = true;
-      }
-
-      // Check for prompt (strip ANSI codes first)
-      const stripped = data.replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '');
-      if (/>\s/.test(stripped) && !signals.prompt) {
-        signals.prompt = true;
-      }
-
-      // All signals received = ready (but wait a bit to confirm it doesn't immediately exit)
-      if (signals.bracketedPaste && signals.focusEvents && signals.prompt && !readyDetected) {
-        readyDetected = true;
-
-        // Wait 500ms to see if process stays alive (distinguishes "ready" from "ui_then_exit")
-        setTimeout(() => {
           clearTimeout(timeoutId);
           ptyProcess.kill();
           resolve({
-            time: Date.now() - startTime,
-            result: 'ready',
-            reason: 'all terminal signals received and process stable',
-            signals: { ...signals },
+            time: elapsed(),
+            result: 'error_detected',
+            reason: event.reason,
+            minVersionRequired: event.minVersion || expectedMinVersion,
+            errorMessage: event.message,
+            rawOutput: event.cleanOutput.substring(0, 2000),
             sessionId,
-          });
-        }, 500);
+          }, event.rule);
+          return;
+        } else if (event.type === 'ready' && !readyDetected) {
+          // All signals received = ready (but wait a bit to confirm it doesn't immediately exit)
+          readyDetected = true;
+          mark('ready');
+          const readyTime = elapsed();
+
+          if (probeKeystroke) {
+            probeSentAt = Date.now();
+            recorder?.input(PROBE_CHARACTER);
+            ptyProcess.write(PROBE_CHARACTER);
+            return;
+          }
+
+          // Wait to see if process stays alive (distinguishes "ready" from "ui_then_exit");
+          // the wait only classifies the run and is not part of the startup time
+          setTimeout(() => {
+            if (timeline.exit === undefined) mark('stable');
+            clearTimeout(timeoutId);
+            ptyProcess.kill();
+            resolve({
+              time: readyTime,
+              result: 'ready',
+              reason: 'all terminal signals received and process stable',
+              signals: { ...detector.signals },
+              sessionId,
+            }, event.rule);
+          }, STABILITY_WAIT_MS);
+        }
       }
     });
 
     // Exit handler
     ptyProcess.onExit(({ exitCode }) => {
-      if (errorDetected || readyDetected) return; // Already resolved
+      mark('exit');
+
+      // Already resolved (an unanswered keystroke probe still counts as exiting)
+      if (errorDetected || (readyDetected && probeSentAt === null)) return;
 
       clearTimeout(timeoutId);
-      const elapsed = Date.now() - startTime;
 
       // If we saw the prompt but process exited = "shows UI but exits"
-      if (signals.prompt) {
+      if (detector.signals.prompt) {
         resolve({
-          time: elapsed,
+          time: elapsed(),
           result: 'ui_then_exit',
           reason: 'showed prompt but immediately exited',
-          signals: { ...signals },
+          signals: { ...detector.signals },
           exitCode,
           sessionId,
-        });
+        }, lastSignalRule);
         return;
       }
 
       // Process exited without showing prompt
       resolve({
-        time: elapsed,
+        time: elapsed(),
         result: 'exited_early',
         reason: 'process exited before showing prompt',
-        signals: { ...signals },
+        signals: { ...detector.signals },
         exitCode,
         sessionId,
       });
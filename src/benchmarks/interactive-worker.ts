@@ -5,23 +5,52 @@
  * Runs a single interactive PTY benchmark in isolation.
  * This avoids node-pty threading bugs when running multiple benchmarks sequentially.
  *
- * Usage: node interactive-worker.js <claudePath> <cwd> [timeout]
+ * Usage: node interactive-worker.js [--resources] <claudePath> <cwd> [timeout] [mode] [recordPath] [-- claudeArgs...]
+ *
+ * Modes:
+ *   startup    - time until the prompt is ready and stable (default)
+ *   keystroke  - time until a typed character is echoed
+ *
+ * When recordPath is given, the session is saved there as an asciicast v2 file.
+ * With --resources, memory, CPU and I/O of the Claude process tree are recorded.
+ * Arguments after `--` are passed to Claude (e.g. the script of a node target).
+ * A detector rule set (JSON) may be piped to stdin; the built-in rules are
+ * used when stdin is empty.
  */
 
 import { benchmarkInteractive } from './interactive-pty.js';
+import { DetectorRuleSetSchema } from '../types/detectors.js';
+
+async function readDetectorRules() {
+  if (process.stdin.isTTY) return undefined;
+  let input = '';
+  for await (const chunk of process.stdin) input += chunk;
+  return input.trim() ? DetectorRuleSetSchema.parse(JSON.parse(input)) : undefined;
+}
 
-const [claudePath, cwd, timeout] = process.argv.slice(2);
+const argv = process.argv.slice(2);
+const separator = argv.indexOf('--');
+const claudeArgs = separator === -1 ? [] : argv.slice(separator + 1);
+const positional = separator === -1 ? argv : argv.slice(0, separator);
+const monitorResources = positional[0] === '--resources';
+const [claudePath, cwd, timeout, mode = 'startup', recordPath] = monitorResources ? positional.slice(1) : positional;
 
-if (!claudePath || !cwd) {
-  console.error('Usage: interactive-worker.js <claudePath> <cwd> [timeout]');
+if (!claudePath || !cwd || !['startup', 'keystroke'].includes(mode)) {
+  console.error('Usage: interactive-worker.js [--resources] <claudePath> <cwd> [timeout] [startup|keystroke] [recordPath] [-- claudeArgs...]');
   process.exit(1);
 }
 
-benchmarkInteractive({
-  claudePath,
-  cwd,
-  timeout: timeout ? parseInt(timeout) : 30000,
-})
+readDetectorRules()
+  .then((detectorRules) => benchmarkInteractive({
+    claudePath,
+    claudeArgs,
+    cwd,
+    timeout: timeout ? parseInt(timeout) : 30000,
+    probeKeystroke: mode === 'keystroke',
+    recordPath,
+    detectorRules,
+    monitorResources,
+  }))
   .then((result) => {
     // Output result as JSON to stdout
     console.log(JSON.stringify(result));
@@ -0,0 +1,204 @@
+import { createServer } from 'http';
+import type { IncomingMessage, Server, ServerResponse } from 'http';
+import type { AddressInfo } from 'net';
+import { logger } from '../utils/logger.js';
+
+export interface MockApiServerOptions {
+  /** Port to listen on (0 = pick a free port) */
+  port?: number;
+  /** Delay before every response (ms) */
+  latencyMs?: number;
+  /** Text returned as the assistant message */
+  responseText?: string;
+}
+
+/** Dummy key injected into benchmarked processes; never valid against the real API */
+export const MOCK_API_KEY = 'sk-ant-benchmark-mock-key';
+
+/**
+ * Local stub of the Anthropic Messages API
+ *
+ * Serves the same canned response to every request after a fixed delay, so
+ * interactive and print-mode benchmarks do not depend on network or account
+ * state. Supports streaming (SSE) and non-streaming `/v1/messages`, token
+ * counting, and answers anything else with an empty JSON object.
+ */
+export class MockApiServer {
+  private server: Server | null = null;
+  private requests = 0;
+  private readonly latencyMs: number;
+  private readonly responseText: string;
+  private readonly port: number;
+
+  constructor(options: MockApiServerOptions = {}) {
+    this.port = options.port ?? 0;
+    this.latencyMs = options.latencyMs ?? 0;
+    this.responseText = options.responseText ?? 'ok';
+  }
+
+  /**
+   * Start listening on 127.0.0.1 and return the base URL
+   */
+  async start(): Promise<string> {
+    if (this.server) return this.url;
+
+    const server = createServer((req, res) => {
+      this.requests++;
+      setTimeout(() => this.handle(req, res), this.latencyMs);
+    });
+
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, '127.0.0.1', () => resolve());
+    });
+
+    this.server = server;
+    logger.debug(`Mock API listening on ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Stop the server
+   */
+  async stop(): Promise<void> {
+    const server = this.server;
+    if (!server) return;
+    this.server = null;
+    // Node < 18.2 lacks it; close() then waits for idle keep-alive sockets to time out
+    server.closeAllConnections?.();
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+  }
+
+  /** Base URL (only valid while running) */
+  get url(): string {
+    if (!this.server) throw new Error('Mock API server is not running');
+    const { port } = this.server.address() as AddressInfo;
+    return `http://127.0.0.1:${port}`;
+  }
+
+  /** Number of requests served since start */
+  get requestCount(): number {
+    return this.requests;
+  }
+
+  /**
+   * Environment variables that point Claude Code at this server
+   */
+  getEnv(): Record<string, string> {
+    return {
+      ANTHROPIC_BASE_URL: this.url,
+      ANTHROPIC_API_KEY: MOCK_API_KEY,
+      CLAUDE_CODE_DISABLE_NONESSENTIAL_TRAFFIC: '1',
+      DISABLE_AUTOUPDATER: '1',
+      DISABLE_TELEMETRY: '1',
+      DISABLE_ERROR_REPORTING: '1',
+      NO_PROXY: '127.0.0.1,localhost',
+    };
+  }
+
+  private handle(req: IncomingMessage, res: ServerResponse): void {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const path = (req.url ?? '/').split('?')[0];
+
+      if (req.method === 'POST' && path === '/v1/messages') {
+        let request: { model?: string; stream?: boolean } = {};
+        try {
+          request = JSON.parse(body);
+        } catch {
+          // Fall through with defaults
+        }
+        if (request.stream) {
+          this.sendStream(res, request.model);
+        } else {
+          this.sendJson(res, this.buildMessage(request.model));
+        }
+        return;
+      }
+
+      if (req.method === 'POST' && path === '/v1/messages/count_tokens') {
+        this.sendJson(res, { input_tokens: 1 });
+        return;
+      }
+
+      this.sendJson(res, {});
+    });
+  }
+
+  private buildMessage(model = 'mock-model') {
+    return {
+      id: 'msg_mock',
+      type: 'message',
+      role: 'assistant',
+      model,
+      content: [{ type: 'text', text: this.responseText }],
+      stop_reason: 'end_turn',
+      stop_sequence: null,
+      usage: { input_tokens: 1, output_tokens: 1 },
+    };
+  }
+
+  private sendJson(res: ServerResponse, payload: unknown): void {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  private sendStream(res: ServerResponse, model?: string): void {
+    const message = this.buildMessage(model);
+    const events: Array<[string, unknown]> = [
+      ['message_start', { type: 'message_start', message: { ...message, content: [], stop_reason: null } }],
+      ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+      ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: this.responseText } }],
+      ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+      ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 1 } }],
+      ['message_stop', { type: 'message_stop' }],
+    ];
+
+    res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' });
+    for (const [event, data] of events) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+    res.end();
+  }
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('MockApiServer', () => {
+    it('should serve canned messages with latency', async () => {
+      const server = new MockApiServer({ latencyMs: 50, responseText: 'hello' });
+      const url = await server.start();
+      try {
+        const start = Date.now();
+        const res = await fetch(`${url}/v1/messages`, {
+          method: 'POST',
+          body: JSON.stringify({ model: 'claude-test', messages: [] }),
+        });
+        const message = await res.json();
+        expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+        expect(message).toMatchObject({ model: 'claude-test', content: [{ type: 'text', text: 'hello' }] });
+        expect(server.requestCount).toBe(1);
+        expect(server.getEnv().ANTHROPIC_BASE_URL).toBe(url);
+      } finally {
+        await server.stop();
+      }
+    });
+
+    it('should stream server-sent events', async () => {
+      const server = new MockApiServer();
+      const url = await server.start();
+      try {
+        const res = await fetch(`${url}/v1/messages`, { method: 'POST', body: JSON.stringify({ stream: true }) });
+        const text = await res.text();
+        expect(res.headers.get('content-type')).toBe('text/event-stream');
+        expect(text).toContain('event: message_start');
+        expect(text).toContain('event: message_stop');
+      } finally {
+        await server.stop();
+      }
+    });
+  });
+}
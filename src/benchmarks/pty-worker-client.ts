@@ -0,0 +1,98 @@
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { existsSync } from 'fs';
+import type { BenchmarkRunResult } from '../types/benchmark.js';
+import type { DetectorRuleSet } from '../types/detectors.js';
+import { withCpuAffinity } from '../utils/concurrency.js';
+
+export interface PtyWorkerOptions {
+  /** PTY benchmark to run inside the worker (see interactive-worker.ts) */
+  mode: 'startup' | 'keystroke';
+  claudePath: string;
+  /** Arguments Claude is spawned with (e.g. the script for `node cli.js`) */
+  claudeArgs?: string[];
+  cwd: string;
+  timeout: number;
+  /** Environment for the worker (and the Claude process it spawns) */
+  env?: NodeJS.ProcessEnv;
+  /** CPU to pin the worker (and the Claude process it spawns) to */
+  cpu?: number;
+  /** Save the session as an asciicast file at this path */
+  recordPath?: string;
+  /** Detector rules (the worker uses the built-in set when omitted) */
+  detectorRules?: DetectorRuleSet;
+  /** Record memory, CPU and I/O of the Claude process tree */
+  resources?: boolean;
+}
+
+/**
+ * Locate the compiled worker script in dist/ (works for both test and production)
+ *
+ * When running via vitest, we're in src/, so go up to project root then into dist/.
+ * When running from dist/, we're already in dist/, so go up to project root then into dist/.
+ */
+function findWorkerScript(): string {
+  const currentDir = dirname(fileURLToPath(import.meta.url));
+
+  // Find project root (has package.json)
+  let projectRoot = currentDir;
+  while (!existsSync(join(projectRoot, 'package.json'))) {
+    const parent = dirname(projectRoot);
+    if (parent === projectRoot) throw new Error('Could not find project root');
+    projectRoot = parent;
+  }
+
+  return join(projectRoot, 'dist/benchmarks/interactive-worker.js');
+}
+
+/**
+ * Run a PTY benchmark in a separate process to avoid node-pty threading bugs
+ */
+export async function runPtyWorker(options: PtyWorkerOptions): Promise<BenchmarkRunResult> {
+  const { mode, claudePath, claudeArgs = [], cwd, timeout, env = process.env, cpu, recordPath, detectorRules, resources } = options;
+  const workerScript = findWorkerScript();
+  // Use process.execPath to ensure worker uses the same Node version as parent
+  const { command, args } = withCpuAffinity(
+    process.execPath,
+    [
+      workerScript,
+      ...(resources ? ['--resources'] : []),
+      claudePath, cwd, String(timeout), mode,
+      ...(recordPath ? [recordPath] : []),
+      ...(claudeArgs.length > 0 ? ['--', ...claudeArgs] : []),
+    ],
+    cpu
+  );
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env,
+    });
+
+    // Rules travel over stdin so they stay out of the benchmarked process's argv and env
+    proc.stdin.end(detectorRules ? JSON.stringify(detectorRules) : '');
+
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    proc.on('close', (code) => {
+      if (code === 0 && stdout) {
+        try {
+          const result = JSON.parse(stdout);
+          resolve(result);
+        } catch (error) {
+          reject(new Error(`Failed to parse benchmark result: ${error}`));
+        }
+      } else {
+        reject(new Error(`Benchmark worker failed with code ${code}: ${stderr}`));
+      }
+    });
+
+    proc.on('error', reject);
+  });
+}
@@ -0,0 +1,244 @@
+import { spawn } from 'child_process';
+import type { BenchmarkRunResult } from '../types/benchmark.js';
+import type { DetectorRuleSet } from '../types/detectors.js';
+import { runPtyWorker } from './pty-worker-client.js';
+import { pinProcess } from '../utils/concurrency.js';
+import { ResourceMonitor } from '../utils/resource-monitor.js';
+
+/**
+ * Everything a scenario needs to take one sample
+ */
+export interface ScenarioContext {
+  version: string;
+  claudePath: string;
+  /** Arguments before the scenario's own, e.g. the script when a target runs through node */
+  claudeArgs?: string[];
+  cwd: string;
+  timeout: number;
+  env: NodeJS.ProcessEnv;
+  /** CPU to pin the sample to (parallel runs only) */
+  cpu?: number;
+  /** Where PTY scenarios save an asciicast of the session (recording enabled only) */
+  recordPath?: string;
+  /** Rules PTY scenarios classify output with (defaults to the built-in set) */
+  detectorRules?: DetectorRuleSet;
+  /** Record memory, CPU and I/O of the sample (resource monitoring enabled only) */
+  resources?: boolean;
+}
+
+/**
+ * A measurement that can be taken for every benchmarked version
+ *
+ * `run` takes a single sample and reports its timing and outcome as a
+ * `BenchmarkRunResult`; only infrastructure failures (e.g. the binary
+ * cannot be spawned) should throw.
+ */
+export interface BenchmarkScenario {
+  /** Key used in config and in stored results */
+  id: string;
+
+  /** Display name used in logs */
+  name: string;
+
+  description: string;
+
+  /** A failing required scenario marks the whole version as failed */
+  required?: boolean;
+
+  run(context: ScenarioContext): Promise<BenchmarkRunResult>;
+}
+
+export interface ProcessScenarioDefinition {
+  id: string;
+  name: string;
+  description: string;
+
+  /** Arguments passed to the Claude binary */
+  args: string[];
+
+  /** Decide whether a finished process counts as a successful sample */
+  isSuccess?: (exitCode: number | null, stdout: string) => boolean;
+}
+
+/**
+ * Create a scenario that spawns the Claude binary without a terminal and
+ * times it until exit
+ */
+export function createProcessScenario(definition: ProcessScenarioDefinition): BenchmarkScenario {
+  const { isSuccess = (exitCode) => exitCode === 0 } = definition;
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    description: definition.description,
+    run: ({ claudePath, claudeArgs = [], cwd, timeout, env, cpu, resources }) =>
+      new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        let stdout = '';
+        let timedOut = false;
+
+        const proc = spawn(claudePath, [...claudeArgs, ...definition.args], {
+          cwd,
+          env,
+          stdio: ['ignore', 'pipe', 'ignore'],
+        });
+        // Pinned after spawning so no taskset exec lands in the timed window
+        void pinProcess(proc.pid, cpu);
+        const monitor = resources && proc.pid !== undefined ? new ResourceMonitor(proc.pid) : undefined;
+        monitor?.start();
+
+        const timeoutId = setTimeout(() => {
+          timedOut = true;
+          proc.kill();
+        }, timeout);
+
+        proc.stdout.on('data', (data) => { stdout += data.toString(); });
+
+        proc.on('close', async (code) => {
+          clearTimeout(timeoutId);
+          const time = Date.now() - startTime;
+          const usage = await monitor?.stop();
+
+          if (timedOut) {
+            resolve({ time, result: 'timeout', reason: `Benchmark timed out after ${timeout}ms`, resources: usage });
+          } else if (isSuccess(code, stdout)) {
+            resolve({
+              time,
+              result: 'ready',
+              reason: 'process completed successfully',
+              exitCode: code ?? undefined,
+              resources: usage,
+            });
+          } else {
+            resolve({
+              time,
+              result: 'failed',
+              reason: `Process exited with code ${code}`,
+              exitCode: code ?? undefined,
+              rawOutput: stdout.substring(0, 2000),
+              resources: usage,
+            });
+          }
+        });
+
+        proc.on('error', (error) => {
+          clearTimeout(timeoutId);
+          void monitor?.stop();
+          reject(error);
+        });
+      }),
+  };
+}
+
+/**
+ * Built-in scenarios
+ */
+export const BUILTIN_SCENARIOS: BenchmarkScenario[] = [
+  createProcessScenario({
+    id: 'version',
+    name: 'Version spawn',
+    description: 'Spawn `claude --version` and time until exit',
+    args: ['--version'],
+  }),
+
+  createProcessScenario({
+    id: 'help',
+    name: 'Help',
+    description: 'Spawn `claude --help` and time until exit',
+    args: ['--help'],
+    isSuccess: (exitCode, stdout) => exitCode === 0 && /usage/i.test(stdout),
+  }),
+
+  createProcessScenario({
+    id: 'print',
+    name: 'Print mode',
+    description: 'Headless `claude -p` call; point ANTHROPIC_BASE_URL at a stub API for stable numbers',
+    args: ['-p', 'Reply with the single word: ok'],
+    isSuccess: (exitCode, stdout) => exitCode === 0 && stdout.trim().length > 0,
+  }),
+
+  {
+    id: 'interactive',
+    name: 'Interactive',
+    description: 'Start Claude in a PTY and time until the prompt is ready and stable',
+    required: true,
+    run: ({ claudePath, claudeArgs, cwd, timeout, env, cpu, recordPath, detectorRules, resources }) =>
+      runPtyWorker({ mode: 'startup', claudePath, claudeArgs, cwd, timeout, env, cpu, recordPath, detectorRules, resources }),
+  },
+
+  {
+    id: 'first-keystroke',
+    name: 'First keystroke',
+    description: 'Start Claude in a PTY and time until a typed character is echoed',
+    run: ({ claudePath, claudeArgs, cwd, timeout, env, cpu, recordPath, detectorRules, resources }) =>
+      runPtyWorker({ mode: 'keystroke', claudePath, claudeArgs, cwd, timeout, env, cpu, recordPath, detectorRules, resources }),
+  },
+];
+
+const registry = new Map<string, BenchmarkScenario>(
+  BUILTIN_SCENARIOS.map((scenario) => [scenario.id, scenario])
+);
+
+/**
+ * Register a custom scenario (replaces any scenario with the same id)
+ */
+export function registerScenario(scenario: BenchmarkScenario): void {
+  registry.set(scenario.id, scenario);
+}
+
+/**
+ * Look up a scenario by id
+ */
+export function getScenario(id: string): BenchmarkScenario {
+  const scenario = registry.get(id);
+  if (!scenario) {
+    throw new Error(`Unknown benchmark scenario "${id}". Available: ${[...registry.keys()].join(', ')}`);
+  }
+  return scenario;
+}
+
+/**
+ * List all registered scenarios
+ */
+export function listScenarios(): BenchmarkScenario[] {
+  return [...registry.values()];
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const context: ScenarioContext = {
+    version: 'test',
+    claudePath: process.execPath,
+    cwd: process.cwd(),
+    timeout: 10000,
+    env: process.env,
+  };
+
+  describe('createProcessScenario', () => {
+    it('should report successful samples as ready', async () => {
+      const scenario = createProcessScenario({ id: 't', name: 'T', description: '', args: ['-e', 'process.exit(0)'] });
+      const result = await scenario.run(context);
+      expect(result.result).toBe('ready');
+      expect(result.time).toBeGreaterThan(0);
+    });
+
+    it('should report non-zero exits and timeouts', async () => {
+      const failing = createProcessScenario({ id: 't', name: 'T', description: '', args: ['-e', 'process.exit(3)'] });
+      expect(await failing.run(context)).toMatchObject({ result: 'failed', exitCode: 3 });
+
+      const hanging = createProcessScenario({ id: 't', name: 'T', description: '', args: ['-e', 'setTimeout(() => {}, 5000)'] });
+      expect((await hanging.run({ ...context, timeout: 200 })).result).toBe('timeout');
+    });
+  });
+
+  describe('registry', () => {
+    it('should include built-ins and reject unknown ids', () => {
+      expect(listScenarios().map((s) => s.id)).toEqual(
+        expect.arrayContaining(['version', 'help', 'print', 'interactive', 'first-keystroke'])
+      );
+      expect(() => getScenario('nope')).toThrow(/Unknown benchmark scenario/);
+    });
+  });
+}
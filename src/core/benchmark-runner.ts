@@ -1,156 +1,392 @@
+import { cpus, hostname, loadavg } from 'os';
+import { existsSync } from 'fs';
+import { relative } from 'path';
+import { BenchmarkConfigSchema } from '../types/config.js';
 import type { BenchmarkConfig } from '../types/config.js';
 import type {
   BenchmarkSuiteResult,
   BenchmarkRunResult,
   CombinedBenchmarkResult,
   InteractiveBenchmarkResult,
+  RunCheckpoint,
   VersionBenchmarkResult,
 } from '../types/benchmark.js';
 import { VersionManager } from './version-manager.js';
+import { resolveTargets, toTargetSpec, describeTarget } from './targets.js';
+import type { BenchmarkTarget } from './targets.js';
+import { resolveRuntimes, normalizeRuntimePath, runtimeLabel, withRuntime } from './runtimes.js';
 import { ResultStore } from '../storage/result-store.js';
-import { benchmarkVersion } from '../benchmarks/version-spawn.js';
-import { filterVersions, describeVersionFilter } from '../utils/version-filter.js';
+import { getScenario } from '../benchmarks/scenarios.js';
+import { MockApiServer } from '../benchmarks/mock-api-server.js';
+import { resolveDetectorRules } from '../benchmarks/detectors.js';
+import type { BenchmarkScenario, ScenarioContext } from '../benchmarks/scenarios.js';
+import { filterVersions, describeVersionFilter, sortVersions } from '../utils/version-filter.js';
 import { cleanupSessions } from '../utils/cleanup.js';
 import { logger } from '../utils/logger.js';
 import { ProgressTracker } from '../utils/progress.js';
-import { spawn } from 'child_process';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
+import { summarizeSamples, summarizeTimeline } from '../utils/statistics.js';
+import { summarizeResources } from '../utils/resource-monitor.js';
+import { buildBenchmarkEnv } from '../utils/environment.js';
+import { createSandbox } from '../utils/sandbox.js';
+import { writeHtmlReport } from '../reporting/html-report.js';
+import { runWithConcurrency, cpuForSlot } from '../utils/concurrency.js';
+import { compareVariance } from '../analysis/variance.js';
+import { latestAverages } from '../analysis/history.js';
+import { collectFingerprint, formatFingerprint } from '../utils/fingerprint.js';
+
+/**
+ * Thrown by runSuite when `options.signal` aborts the run; the finished
+ * versions are in the journal, so the run can be resumed
+ */
+export class RunInterruptedError extends Error {
+  constructor(public runNumber: number, public completed: number, public total: number) {
+    super(`Run #${runNumber} interrupted after ${completed}/${total} results`);
+    this.name = 'RunInterruptedError';
+  }
+}
 
 export class BenchmarkRunner {
-  private versionManager: VersionManager;
-  private resultStore: ResultStore;
+  constructor(
+    _config?: Partial<BenchmarkConfig>,
+    private versionManager = new VersionManager(),
+    private resultStore = new ResultStore()
+  ) {}
+
+  /**
+   * Select versions for a new run and write its checkpoint
+   */
+  private async startRun(
+    config: BenchmarkConfig,
+    options: { incremental?: boolean }
+  ): Promise<RunCheckpoint> {
+    // Fail fast on unknown scenario ids and invalid detector overrides
+    this.getScenarioIds(config).forEach(getScenario);
+    resolveDetectorRules(config.detectors);
+    const runtimes = resolveRuntimes(config.runtimes);
+    // Checkpoint paths that a resume from another directory finds again
+    config = { ...config, runtimes: config.runtimes.map(normalizeRuntimePath) };
+
+    const runNumber = await this.resultStore.getNextRunNumber();
+
+    logger.info(`Starting benchmark run #${runNumber}`);
+    if (runtimes.length > 0) {
+      logger.info(`Runtimes: ${runtimes.map((r) => `Node.js ${r.version} (${r.path})`).join(', ')}`);
+    }
 
-  constructor(_config?: Partial<BenchmarkConfig>) {
-    this.versionManager = new VersionManager();
-    this.resultStore = new ResultStore();
+    if (config.targets.length > 0) {
+      return this.startTargetRun(runNumber, config);
+    }
+
+    // Get and filter versions (streaming runs install what they benchmark)
+    const allVersions = config.install.stream
+      ? await this.getStreamableVersions()
+      : await this.versionManager.getInstalledVersions();
+    let versions = filterVersions(allVersions, config, await this.getSampleBaseline(config));
+
+    // If incremental mode, exclude already benchmarked versions
+    if (options.incremental) {
+      const benchmarked = await this.resultStore.getBenchmarkedVersions();
+      const beforeCount = versions.length;
+      versions = versions.filter(v => !benchmarked.has(v));
+      const skipped = beforeCount - versions.length;
+      if (skipped > 0) {
+        logger.info(`Incremental mode: skipping ${skipped} already benchmarked versions`);
+      }
+    }
+
+    logger.info(describeVersionFilter(config, allVersions.length, versions.length));
+
+    if (versions.length === 0) {
+      throw new Error('No versions match the filter criteria');
+    }
+
+    const checkpoint: RunCheckpoint = {
+      runNumber,
+      startedAt: new Date().toISOString(),
+      config,
+      versions,
+    };
+    await this.resultStore.saveCheckpoint(runNumber, checkpoint);
+
+    return checkpoint;
   }
 
   /**
-   * Run interactive benchmark in a separate process to avoid node-pty threading bugs
+   * Write the checkpoint of a run over labelled targets
+   *
+   * Targets replace the version filter. Their specs are checkpointed with
+   * absolute paths so a resumed run finds the same builds.
    */
-  private async benchmarkInteractiveIsolated(
-    claudePath: string,
-    cwd: string,
-    timeout: number
-  ): Promise<BenchmarkRunResult> {
-    return new Promise((resolve, reject) => {
-      // Find the worker script in dist/ (works for both test and production)
-      // When running via vitest, we're in src/, so go up to project root then into dist/
-      // When running from dist/, we're already in dist/, so go up to project root then into dist/
-      const currentFile = fileURLToPath(import.meta.url);
-      const currentDir = dirname(currentFile);
-
-      // Find project root (has package.json)
-      let projectRoot = currentDir;
-      while (!existsSync(join(projectRoot, 'package.json'))) {
-        const parent = dirname(projectRoot);
-        if (parent === projectRoot) throw new Error('Could not find project root');
-        projectRoot = parent;
+  private async startTargetRun(runNumber: number, config: BenchmarkConfig): Promise<RunCheckpoint> {
+    const targets = resolveTargets(config.targets, this.versionManager);
+    if (!config.install.stream) {
+      const missing = targets.filter((t) => t.version && !existsSync(t.command));
+      if (missing.length > 0) {
+        throw new Error(`Not installed: ${missing.map((t) => t.version).join(', ')} (install them or use --stream)`);
       }
+    }
 
-      const workerScript = join(projectRoot, 'dist/benchmarks/interactive-worker.js');
+    logger.info(`Benchmarking ${targets.length} targets: ${targets.map(describeTarget).join(', ')}`);
 
-      // Use process.execPath to ensure worker uses the same Node version as parent
-      const proc = spawn(process.execPath, [workerScript, claudePath, cwd, String(timeout)], {
-        stdio: ['ignore', 'pipe', 'pipe'],
-      });
+    const checkpoint: RunCheckpoint = {
+      runNumber,
+      startedAt: new Date().toISOString(),
+      config: { ...config, targets: targets.map(toTargetSpec) },
+      versions: targets.map((t) => t.label),
+    };
+    await this.resultStore.saveCheckpoint(runNumber, checkpoint);
 
-      let stdout = '';
-      let stderr = '';
+    return checkpoint;
+  }
 
-      proc.stdout.on('data', (data) => { stdout += data.toString(); });
-      proc.stderr.on('data', (data) => { stderr += data.toString(); });
+  /**
+   * Target a run benchmarks under a label: a `--target`, or the CVM version of that name
+   */
+  private getTarget(label: string, targets: Map<string, BenchmarkTarget>): BenchmarkTarget {
+    return targets.get(label)
+      ?? { label, command: this.versionManager.getClaudePath(label), args: [], version: label };
+  }
 
-      proc.on('close', (code) => {
-        if (code === 0 && stdout) {
-          try {
-            const result = JSON.parse(stdout);
-            resolve(result);
-          } catch (error) {
-            reject(new Error(`Failed to parse benchmark result: ${error}`));
-          }
-        } else {
-          reject(new Error(`Benchmark worker failed with code ${code}: ${stderr}`));
-        }
-      });
+  /**
+   * Stored results of this host for `versions.sample.changed`
+   */
+  private async getSampleBaseline(config: BenchmarkConfig): Promise<Map<string, number> | undefined> {
+    const changed = config.versions.sample?.changed;
+    if (!changed) return undefined;
 
-      proc.on('error', reject);
-    });
+    const scenario = changed.metric === 'spawn' ? 'version' : 'interactive';
+    return latestAverages(await this.resultStore.loadHistory(), scenario, hostname());
+  }
+
+  /**
+   * Installed and published versions, for streaming runs
+   */
+  private async getStreamableVersions(): Promise<string[]> {
+    const installed = await this.versionManager.getInstalledVersions();
+    const available = await this.versionManager.getAvailableVersions();
+    if (available.length === 0) {
+      logger.warn('Could not list published versions; streaming installed versions only');
+    }
+    return sortVersions([...new Set([...installed, ...available])]);
+  }
+
+  /**
+   * Load the checkpoint of an unfinished run
+   */
+  private async loadResumableRun(runNumber: number): Promise<RunCheckpoint> {
+    if (await this.resultStore.loadSuiteResults(runNumber)) {
+      throw new Error(`Run #${runNumber} is already complete`);
+    }
+
+    const checkpoint = await this.resultStore.loadCheckpoint(runNumber);
+    if (!checkpoint) {
+      throw new Error(`Run #${runNumber} has no checkpoint to resume from`);
+    }
+
+    logger.info(`Resuming benchmark run #${runNumber}`);
+    return checkpoint;
   }
 
   /**
    * Run benchmark suite for all filtered versions
+   *
+   * Each finished version is appended to `run-N/journal.jsonl`, so an
+   * interrupted run can be continued with `options.resume`; the checkpointed
+   * config and version list then replace `config` and the version filter.
+   *
+   * With `config.install.stream`, versions that are not installed are
+   * installed right before and uninstalled right after being benchmarked,
+   * so disk usage stays at one version per worker.
+   *
+   * With `config.runtimes`, each version is benchmarked once per Node.js
+   * runtime; its results are labelled `<version>@node<runtime version>`.
+   *
+   * Ctrl-C exits the process after flushing the journal. Callers that handle
+   * signals themselves pass `options.signal` instead: aborting it stops the
+   * run after the samples in flight and rejects with a RunInterruptedError.
    */
   async runSuite(
     config: BenchmarkConfig,
-    options: { incremental?: boolean } = {}
+    options: { incremental?: boolean; resume?: number; signal?: AbortSignal } = {}
   ): Promise<BenchmarkSuiteResult> {
     const startTime = Date.now();
-    const runNumber = await this.resultStore.getNextRunNumber();
 
-    logger.info(`Starting benchmark run #${runNumber}`);
-
-    // Get and filter versions
-    const allVersions = await this.versionManager.getInstalledVersions();
-    let versions = filterVersions(allVersions, config);
+    const checkpoint = options.resume !== undefined
+      ? await this.loadResumableRun(options.resume)
+      : await this.startRun(config, options);
+    const { runNumber, versions } = checkpoint;
+    // Defaults fill in settings added after older checkpoints were written
+    config = BenchmarkConfigSchema.parse(checkpoint.config);
+    const targets = new Map(resolveTargets(config.targets, this.versionManager).map((t) => [t.label, t]));
+    const runtimes = resolveRuntimes(config.runtimes);
+    // Result labels of a version: itself, or one per runtime in a runtime matrix
+    const labelsOf = (version: string) =>
+      runtimes.length > 0 ? runtimes.map((runtime) => runtimeLabel(version, runtime)) : [version];
+    const labels = versions.flatMap(labelsOf);
+
+    // Pick up versions finished before an interruption
+    const completed = new Map<string, CombinedBenchmarkResult>();
+    // Parallel versions overlap, so the run resumes from its latest wall time
+    let previousDuration = 0;
+    let sequentialDuration = 0;
+    for (const entry of await this.resultStore.loadJournal(runNumber)) {
+      completed.set(entry.result.version, entry.result);
+      sequentialDuration += entry.elapsed;
+      // Journals written before runElapsed existed add up per-version times
+      previousDuration = Math.max(previousDuration, entry.runElapsed ?? sequentialDuration);
+    }
+    const remaining = versions.filter((v) => labelsOf(v).some((label) => !completed.has(label)));
 
-    // If incremental mode, exclude already benchmarked versions
-    if (options.incremental) {
-      const benchmarked = await this.resultStore.getBenchmarkedVersions();
-      const beforeCount = versions.length;
-      versions = versions.filter(v => !benchmarked.has(v));
-      const skipped = beforeCount - versions.length;
-      if (skipped > 0) {
-        logger.info(`Incremental mode: skipping ${skipped} already benchmarked versions`);
-      }
+    if (completed.size > 0) {
+      logger.info(`${completed.size} results already benchmarked, ${remaining.length} versions remaining`);
     }
 
-    logger.info(describeVersionFilter(config, allVersions.length, versions.length));
+    // Serve a deterministic backend and keep the machine's own credentials out
+    let env: NodeJS.ProcessEnv = process.env;
+    const mockApi = config.mockApi.enabled ? new MockApiServer(config.mockApi) : null;
+    if (mockApi) {
+      await mockApi.start();
+      env = buildBenchmarkEnv({ hermetic: true, overrides: mockApi.getEnv() });
+      logger.info(`Mock API: ${mockApi.url} (latency ${config.mockApi.latencyMs}ms)`);
+    }
 
-    if (versions.length === 0) {
-      throw new Error('No versions match the filter criteria');
+    // Flush the journal and exit cleanly on Ctrl-C, unless the caller owns the signals
+    const progress = new ProgressTracker();
+    let pendingWrite: Promise<void> = Promise.resolve();
+    let interrupted = options.signal?.aborted ?? false;
+    const onAbort = () => {
+      interrupted = true;
+      progress.stop();
+    };
+    const onInterrupt = async () => {
+      interrupted = true;
+      progress.stop();
+      await pendingWrite;
+      logger.warn(`\nInterrupted: ${completed.size}/${labels.length} results saved to run-${runNumber}/journal.jsonl`);
+      logger.info(`Resume with: cvm-benchmark run --resume ${runNumber}`);
+      process.exit(130);
+    };
+    if (options.signal) {
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    } else {
+      process.once('SIGINT', onInterrupt);
     }
 
     // Run benchmarks
-    const results: CombinedBenchmarkResult[] = [];
-    const errors: Array<{ version: string; error: string }> = [];
-    const sessionIds: string[] = [];
+    const concurrency = config.benchmark.concurrency;
+    const stream = config.install.stream;
+    const loadAtStart = loadavg();
+    const environment = collectFingerprint(this.versionManager.getCvmVersion());
+    logger.debug(`Environment: ${formatFingerprint(environment)}`);
+    if (concurrency > 1) {
+      logger.info(`Benchmarking ${concurrency} versions in parallel`);
+      if (concurrency > cpus().length) {
+        logger.warn(`Concurrency ${concurrency} exceeds ${cpus().length} CPUs; samples will contend for CPU time`);
+      }
+    }
 
-    const progress = new ProgressTracker();
-    progress.start(`Benchmarking ${versions.length} versions...`, versions.length);
+    if (stream) {
+      const missing = remaining.filter((v) => {
+        const target = this.getTarget(v, targets);
+        return target.version && !existsSync(this.versionManager.getClaudePath(target.version));
+      });
+      logger.info(`Streaming mode: ${missing.length} versions are installed for benchmarking and removed afterwards`);
+      await this.versionManager.checkDiskSpace(Math.min(concurrency, missing.length), config.install.versionSizeMb);
+    }
 
-    for (let i = 0; i < versions.length; i++) {
-      const version = versions[i];
-      progress.update(i + 1, `[${i + 1}/${versions.length}] Benchmarking ${version}...`);
+    progress.start(`Benchmarking ${remaining.length} versions...`, remaining.length);
 
-      try {
-        const result = await this.benchmarkVersion(version, config);
-        results.push(result);
-
-        // Collect session IDs for cleanup
-        if (result.interactiveBenchmark) {
-          result.interactiveBenchmark.runs.forEach((run) => {
-            if (run.sessionId) sessionIds.push(run.sessionId);
-          });
+    try {
+      let started = 0;
+      await runWithConcurrency(remaining, concurrency, async (version, slot) => {
+        let resultStart = Date.now();
+        started++;
+        progress.update(started, `[${versions.length - remaining.length + started}/${versions.length}] Benchmarking ${version}...`);
+
+        const target = this.getTarget(version, targets);
+        const cvmVersion = target.version;
+        let installError: string | undefined;
+        let installedForRun = false;
+        if (stream && cvmVersion && !(await this.versionManager.isInstalled(cvmVersion))) {
+          progress.update(started, `[${versions.length - remaining.length + started}/${versions.length}] Installing ${cvmVersion}...`);
+          if (await this.versionManager.installVersion(cvmVersion, config.install)) {
+            installedForRun = true;
+          } else {
+            installError = 'Installation via cvm failed';
+          }
         }
-      } catch (error) {
-        const errorMsg = error instanceof Error ? error.message : String(error);
-        logger.error(`Failed to benchmark ${version}: ${errorMsg}`);
-        errors.push({ version, error: errorMsg });
 
-        results.push({
-          version,
-          error: errorMsg,
-        });
-      }
+        // One result per runtime of a runtime matrix, sharing the install
+        for (const [i, label] of labelsOf(version).entries()) {
+          if (completed.has(label)) continue;
+
+          let result: CombinedBenchmarkResult;
+          try {
+            if (installError) throw new Error(installError);
+            // Entry points of streamed versions only exist once installed
+            const runtime = runtimes.at(i);
+            const runTarget = runtime ? withRuntime(target, runtime) : target;
+            // Only pin when samples share the machine; a lone worker may use any core
+            const cpu = concurrency > 1 ? cpuForSlot(slot) : undefined;
+            result = await this.benchmarkVersion(runTarget, config, env, runNumber, cpu);
+            if (runtime) result.runtime = runtime;
+          } catch (error) {
+            const errorMsg = error instanceof Error ? error.message : String(error);
+            logger.error(`Failed to benchmark ${label}: ${errorMsg}`);
+            result = { version: label, error: errorMsg };
+          }
+
+          // The in-flight sample was killed by the same signal; leave it for the resume
+          if (interrupted) break;
+
+          completed.set(label, result);
+          // Chain writes so parallel workers never interleave journal lines
+          const elapsed = Date.now() - resultStart;
+          const runElapsed = previousDuration + Date.now() - startTime;
+          pendingWrite = pendingWrite.then(() =>
+            this.resultStore.appendJournalEntry(runNumber, { result, elapsed, runElapsed })
+          );
+          await pendingWrite;
+          resultStart = Date.now();
+        }
+
+        if (installedForRun) {
+          await this.versionManager.uninstallVersion(cvmVersion!);
+        }
+      }, () => interrupted);
+    } finally {
+      process.off('SIGINT', onInterrupt);
+      options.signal?.removeEventListener('abort', onAbort);
+      await mockApi?.stop();
     }
 
-    progress.succeed(`Completed ${versions.length} versions`);
+    if (interrupted) {
+      progress.stop();
+      await pendingWrite;
+      throw new RunInterruptedError(runNumber, completed.size, labels.length);
+    }
+
+    progress.succeed(`Completed ${remaining.length} versions`);
+
+    const results = labels.map((label) => completed.get(label)!);
+    const errors = results
+      .filter((r) => r.error)
+      .map((r) => ({ version: r.version, error: r.error! }));
+
+    // Collect session IDs for cleanup
+    const sessionIds: string[] = [];
+    for (const result of results) {
+      const runs = [
+        ...(result.interactiveBenchmark?.runs ?? []),
+        ...Object.values(result.scenarios ?? {}).flatMap((s) => s.runs),
+      ];
+      runs.forEach((run) => {
+        if (run.sessionId) sessionIds.push(run.sessionId);
+      });
+    }
 
-    // Cleanup sessions if configured
-    if (config.storage.cleanupSessions && sessionIds.length > 0) {
+    // Cleanup sessions if configured (sandboxed sessions are already gone)
+    if (config.storage.cleanupSessions && !config.sandbox.enabled && sessionIds.length > 0) {
       logger.info(`Cleaning up ${sessionIds.length} test sessions...`);
       const { cleaned, failed } = await cleanupSessions(sessionIds, process.cwd());
       logger.info(`Cleaned: ${cleaned}, Failed: ${failed}`);
@@ -167,10 +403,13 @@ export class BenchmarkRunner {
       results,
       errors,
       metadata: {
-        totalVersions: versions.length,
+        totalVersions: labels.length,
         successfulVersions: successful,
         failedVersions: failed,
-        duration: Date.now() - startTime,
+        duration: previousDuration + Date.now() - startTime,
+        concurrency,
+        systemLoad: { start: loadAtStart, end: loadavg() },
+        environment,
       },
     };
 
@@ -178,10 +417,19 @@ export class BenchmarkRunner {
     await this.resultStore.saveSuiteResults(runNumber, suiteResult);
     await this.resultStore.saveMetadata(runNumber, {
       timestamp: suiteResult.timestamp,
-      versionsCount: versions.length,
+      versionsCount: labels.length,
       config,
+      concurrency,
+      systemLoad: suiteResult.metadata.systemLoad,
+      environment,
     });
 
+    try {
+      await this.resultStore.recordHistory(suiteResult);
+    } catch (error) {
+      logger.warn(`Failed to update history index: ${error}`);
+    }
+
     // Save version and interactive results separately (for backwards compat)
     const versionResults: VersionBenchmarkResult[] = results
       .filter((r) => r.versionBenchmark)
@@ -199,6 +447,19 @@ export class BenchmarkRunner {
       await this.resultStore.saveInteractiveResults(runNumber, interactiveResults);
     }
 
+    if (config.reporting.autoGenerate) {
+      try {
+        const reportPath = await writeHtmlReport(suiteResult, config.reporting);
+        logger.info(`Report written to: ${reportPath}`);
+      } catch (error) {
+        logger.warn(`Failed to generate report: ${error}`);
+      }
+    }
+
+    if (concurrency > 1) {
+      await this.warnOnContention(suiteResult);
+    }
+
     logger.success(`Benchmark run #${runNumber} complete`);
     logger.info(`Successful: ${successful}, Failed: ${failed}`);
 
@@ -206,84 +467,302 @@ export class BenchmarkRunner {
   }
 
   /**
-   * Benchmark a single version (both spawn and interactive)
+   * Warn when a parallel run is noisier than the latest sequential run
+   *
+   * Contention between workers shows up as higher spread rather than a
+   * shifted mean, so the coefficients of variation are compared.
    */
-  private async benchmarkVersion(
+  private async warnOnContention(suite: BenchmarkSuiteResult): Promise<void> {
+    const runNumbers = await this.resultStore.listRunNumbers();
+
+    for (const runNumber of runNumbers.reverse()) {
+      if (runNumber === suite.runNumber) continue;
+      const baseline = await this.resultStore.loadSuiteResults(runNumber);
+      if (!baseline || (baseline.metadata.concurrency ?? 1) !== 1) continue;
+
+      const variance = compareVariance(suite, baseline);
+      if (!variance) continue;
+
+      if (variance.elevated) {
+        logger.warn(
+          `Variance is ${variance.ratio.toFixed(1)}x that of sequential run #${variance.baselineRun} ` +
+          `(CV ${(variance.currentCv * 100).toFixed(1)}% vs ${(variance.baselineCv * 100).toFixed(1)}%); ` +
+          `results may be skewed by CPU contention, consider a lower --concurrency`
+        );
+      }
+      return;
+    }
+
+    logger.debug('No sequential run to compare variance against');
+  }
+
+  /**
+   * Scenario ids to run, honouring the legacy `runBoth` switch
+   */
+  private getScenarioIds(config: BenchmarkConfig): string[] {
+    const ids = config.benchmark.scenarios;
+    return config.benchmark.runBoth ? ids : ids.filter((id) => id !== 'version');
+  }
+
+  /**
+   * Take a single sample of one scenario, outside of any suite run
+   *
+   * Used where versions are probed one at a time (e.g. bisect); honors the
+   * sandbox and detector settings of `config` but stores nothing.
+   */
+  async takeSample(
     version: string,
+    scenarioId: string,
+    config: BenchmarkConfig,
+    env: NodeJS.ProcessEnv = process.env
+  ): Promise<BenchmarkRunResult> {
+    return this.runSample(getScenario(scenarioId), {
+      version,
+      claudePath: this.versionManager.getClaudePath(version),
+      cwd: process.cwd(),
+      timeout: config.benchmark.timeout,
+      env,
+      detectorRules: resolveDetectorRules(config.detectors),
+    }, config);
+  }
+
+  /**
+   * Take one sample, inside a throwaway HOME/cwd when sandboxing is enabled
+   */
+  private async runSample(
+    scenario: BenchmarkScenario,
+    context: ScenarioContext,
     config: BenchmarkConfig
+  ): Promise<BenchmarkRunResult> {
+    if (!config.sandbox.enabled) {
+      return scenario.run(context);
+    }
+
+    const sandbox = await createSandbox(config.sandbox);
+    try {
+      return await scenario.run({
+        ...context,
+        cwd: sandbox.cwd,
+        env: { ...context.env, ...sandbox.env },
+      });
+    } finally {
+      await sandbox.dispose();
+    }
+  }
+
+  /**
+   * Benchmark a single version (or target) with every configured scenario
+   */
+  private async benchmarkVersion(
+    target: BenchmarkTarget,
+    config: BenchmarkConfig,
+    env: NodeJS.ProcessEnv,
+    runNumber: number,
+    cpu?: number
   ): Promise<CombinedBenchmarkResult> {
-    const claudePath = this.versionManager.getClaudePath(version);
+    const { runsPerVersion, warmupRuns, outlierStrategy, timeout } = config.benchmark;
+    const version = target.label;
     const result: CombinedBenchmarkResult = { version };
+    if (target.path) {
+      result.target = { path: target.path };
+    } else if (target.version !== target.label) {
+      result.target = { version: target.version };
+    }
+    const context: ScenarioContext = {
+      version,
+      claudePath: target.command,
+      claudeArgs: target.args,
+      cwd: process.cwd(),
+      timeout,
+      env,
+      cpu,
+      detectorRules: resolveDetectorRules(config.detectors),
+      resources: config.benchmark.resources,
+    };
+
+    for (const id of this.getScenarioIds(config)) {
+      const scenario = getScenario(id);
+      let runs: BenchmarkRunResult[];
 
-    // Run version spawn benchmark
-    if (config.benchmark.runBoth) {
       try {
-        const runs: number[] = [];
-        for (let i = 0; i < config.benchmark.runsPerVersion; i++) {
-          const time = await benchmarkVersion({
-            claudePath,
-            timeout: config.benchmark.timeout,
-          });
-          runs.push(time);
+        for (let i = 0; i < warmupRuns; i++) {
+          const warmup = await this.runSample(scenario, context, config);
+          if (config.storage.cleanupSessions && !config.sandbox.enabled && warmup.sessionId) {
+            await cleanupSessions([warmup.sessionId], context.cwd);
+          }
         }
 
-        const avgTime = Math.round(runs.reduce((a, b) => a + b, 0) / runs.length);
-        const minTime = Math.min(...runs);
-        const maxTime = Math.max(...runs);
-        const mean = runs.reduce((a, b) => a + b, 0) / runs.length;
-        const variance = runs.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / runs.length;
-        const stdDev = Math.round(Math.sqrt(variance));
-
-        result.versionBenchmark = {
-          version,
-          timestamp: new Date().toISOString(),
-          runs,
-          avgTime,
-          minTime,
-          maxTime,
-          stdDev,
-        };
+        runs = [];
+        for (let i = 0; i < runsPerVersion; i++) {
+          const recordPath = config.storage.recordings
+            ? this.resultStore.getRecordingPath(runNumber, version, id, i + 1)
+            : undefined;
+          const sample = await this.runSample(scenario, { ...context, recordPath }, config);
+          // Only PTY scenarios produce recordings
+          if (recordPath && existsSync(recordPath)) {
+            sample.recording = relative(this.resultStore.getRunDir(runNumber), recordPath);
+          }
+          runs.push(sample);
+        }
       } catch (error) {
-        logger.warn(`Version spawn benchmark failed for ${version}: ${error}`);
-      }
-    }
-
-    // Run interactive PTY benchmark (in separate process to avoid node-pty threading bugs)
-    try {
-      const runs = [];
-      for (let i = 0; i < config.benchmark.runsPerVersion; i++) {
-        const run = await this.benchmarkInteractiveIsolated(
-          claudePath,
-          process.cwd(),
-          config.benchmark.timeout
-        );
-        runs.push(run);
+        const errorMsg = error instanceof Error ? error.message : String(error);
+        if (scenario.required) {
+          throw new Error(`${scenario.name} benchmark failed: ${errorMsg}`);
+        }
+        logger.warn(`${scenario.name} benchmark failed for ${version}: ${errorMsg}`);
+        continue;
       }
 
-      const times = runs.map((r) => r.time);
-      const avgTime = Math.round(times.reduce((a, b) => a + b, 0) / times.length);
-      const minTime = Math.min(...times);
-      const maxTime = Math.max(...times);
-      const mean = times.reduce((a, b) => a + b, 0) / times.length;
-      const variance = times.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / times.length;
-      const stdDev = Math.round(Math.sqrt(variance));
-
-      result.interactiveBenchmark = {
-        version,
-        timestamp: new Date().toISOString(),
-        runs,
-        avgTime,
-        minTime,
-        maxTime,
-        stdDev,
-        result: runs[0].result,
-        reason: runs[0].reason,
+      const timestamp = new Date().toISOString();
+      const summary = {
+        ...summarizeSamples(runs.map((r) => r.time), outlierStrategy),
+        resources: summarizeResources(runs.map((r) => r.resources)),
       };
-    } catch (error) {
-      const errorMsg = error instanceof Error ? error.message : String(error);
-      throw new Error(`Interactive benchmark failed: ${errorMsg}`);
+
+      if (id === 'version') {
+        // Legacy shape keeps plain sample times and only successful runs
+        const failedRun = runs.find((r) => r.result !== 'ready');
+        if (failedRun) {
+          logger.warn(`${scenario.name} benchmark failed for ${version}: ${failedRun.reason}`);
+          continue;
+        }
+        result.versionBenchmark = { version, timestamp, runs: runs.map((r) => r.time), ...summary };
+      } else if (id === 'interactive') {
+        result.interactiveBenchmark = {
+          version, timestamp, runs, ...summary,
+          timeline: summarizeTimeline(runs.map((r) => r.timeline)),
+          result: runs[0].result, reason: runs[0].reason,
+        };
+      } else {
+        result.scenarios = {
+          ...result.scenarios,
+          [id]: {
+            scenario: id, version, timestamp, runs, ...summary,
+            timeline: summarizeTimeline(runs.map((r) => r.timeline)),
+            result: runs[0].result, reason: runs[0].reason,
+          },
+        };
+      }
     }
 
     return result;
   }
 }
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+  const { mkdtemp, mkdir, writeFile, rm } = await import('fs/promises');
+  const { tmpdir } = await import('os');
+  const { dirname, join } = await import('path');
+  const { DEFAULT_CONFIG } = await import('../types/config.js');
+
+  /** Installs a stub CLI instead of asking cvm */
+  class StubVersionManager extends VersionManager {
+    uninstalled: string[] = [];
+
+    async installVersion(version: string): Promise<boolean> {
+      const claudePath = this.getClaudePath(version);
+      await mkdir(dirname(claudePath), { recursive: true });
+      await writeFile(claudePath, `#!/usr/bin/env node\nconsole.log('${version}');\n`, { mode: 0o755 });
+      return true;
+    }
+
+    async uninstallVersion(version: string): Promise<boolean> {
+      this.uninstalled.push(version);
+      return true;
+    }
+
+    getCvmVersion(): string | undefined {
+      return undefined;
+    }
+  }
+
+  describe('BenchmarkRunner', () => {
+    it('should run streamed versions under each runtime once installed', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'cvm-bench-runner-'));
+      try {
+        const versionManager = new StubVersionManager(join(dir, 'cvm'));
+        const runner = new BenchmarkRunner(undefined, versionManager, new ResultStore(join(dir, 'benchmarks')));
+        const config: BenchmarkConfig = {
+          ...DEFAULT_CONFIG,
+          benchmark: { ...DEFAULT_CONFIG.benchmark, runsPerVersion: 1, scenarios: ['version'], timeout: 10000 },
+          install: { ...DEFAULT_CONFIG.install, stream: true },
+          targets: ['2.0.9'],
+          runtimes: [process.execPath],
+          reporting: { ...DEFAULT_CONFIG.reporting, autoGenerate: false },
+        };
+
+        const suite = await runner.runSuite(config);
+        const runtime = process.version.slice(1);
+        expect(suite.results).toHaveLength(1);
+        expect(suite.results[0]).toMatchObject({
+          version: `2.0.9@node${runtime}`,
+          runtime: { path: process.execPath, version: runtime },
+        });
+        expect(suite.results[0].error).toBeUndefined();
+        expect(versionManager.uninstalled).toEqual(['2.0.9']);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should resume checkpoints written before newer settings existed', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'cvm-bench-runner-'));
+      try {
+        const versionManager = new StubVersionManager(join(dir, 'cvm'));
+        const resultStore = new ResultStore(join(dir, 'benchmarks'));
+        const runner = new BenchmarkRunner(undefined, versionManager, resultStore);
+        await versionManager.installVersion('2.0.9');
+        await resultStore.saveCheckpoint(1, {
+          runNumber: 1,
+          startedAt: new Date().toISOString(),
+          config: {
+            benchmark: { runsPerVersion: 1, timeout: 10000, runBoth: true, scenarios: ['version'] },
+            versions: { exclude: [] },
+            reporting: { autoGenerate: false },
+          },
+          versions: ['2.0.9'],
+        });
+
+        const suite = await runner.runSuite(DEFAULT_CONFIG, { resume: 1 });
+        expect(suite.results).toMatchObject([{ version: '2.0.9', versionBenchmark: { runs: [expect.any(Number)] } }]);
+        expect(suite.config.mockApi.enabled).toBe(false);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should resume the wall time of parallel runs instead of summing versions', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'cvm-bench-runner-'));
+      try {
+        const versionManager = new StubVersionManager(join(dir, 'cvm'));
+        const resultStore = new ResultStore(join(dir, 'benchmarks'));
+        const runner = new BenchmarkRunner(undefined, versionManager, resultStore);
+        await versionManager.installVersion('2.0.9');
+        await resultStore.saveCheckpoint(1, {
+          runNumber: 1,
+          startedAt: new Date().toISOString(),
+          config: {
+            ...DEFAULT_CONFIG,
+            benchmark: { ...DEFAULT_CONFIG.benchmark, runsPerVersion: 1, scenarios: ['version'], concurrency: 2 },
+            reporting: { ...DEFAULT_CONFIG.reporting, autoGenerate: false },
+          },
+          versions: ['2.0.7', '2.0.8', '2.0.9'],
+        });
+        // Both versions ran side by side for 60s
+        await resultStore.appendJournalEntry(1, { result: { version: '2.0.7', error: 'failed' }, elapsed: 60000, runElapsed: 60000 });
+        await resultStore.appendJournalEntry(1, { result: { version: '2.0.8', error: 'failed' }, elapsed: 60000, runElapsed: 61000 });
+
+        const suite = await runner.runSuite(DEFAULT_CONFIG, { resume: 1 });
+        expect(suite.metadata.duration).toBeGreaterThanOrEqual(61000);
+        expect(suite.metadata.duration).toBeLessThan(120000);
+
+        const journal = await resultStore.loadJournal(1);
+        expect(journal[2].runElapsed).toBeGreaterThanOrEqual(61000);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
@@ -0,0 +1,327 @@
+import type { BenchmarkConfig } from '../types/config.js';
+import { VersionManager } from './version-manager.js';
+import { BenchmarkRunner } from './benchmark-runner.js';
+import { MockApiServer } from '../benchmarks/mock-api-server.js';
+import type { RegressionMetric } from '../analysis/regressions.js';
+import { compareVersions, sortVersions } from '../utils/version-filter.js';
+import { bootstrapConfidenceInterval, median } from '../utils/statistics.js';
+import { buildBenchmarkEnv } from '../utils/environment.js';
+import { logger } from '../utils/logger.js';
+
+export type ProbeVerdict = 'good' | 'bad' | 'skip';
+
+export interface ProbeResult {
+  version: string;
+  verdict: ProbeVerdict;
+  /** Timing samples the verdict is based on (ms) */
+  samples: number[];
+  median?: number;
+  /** Why the version was skipped */
+  reason?: string;
+}
+
+export interface BisectSearchResult {
+  lastGood: string;
+  firstBad: string;
+  /** Skipped versions between lastGood and firstBad (the regression may be in any of them) */
+  untested: string[];
+  probes: ProbeResult[];
+}
+
+export interface BisectOptions {
+  good: string;
+  bad: string;
+  metric?: RegressionMetric;
+  /**
+   * Slowdown over the good version's median that counts as bad (ms);
+   * defaults to half the gap between the good and bad medians
+   */
+  thresholdMs?: number;
+  /** Samples taken before a verdict is attempted */
+  minSamples?: number;
+  /** Samples after which the verdict falls back to the median alone */
+  maxSamples?: number;
+  /** Uninstall versions installed for the bisect when done */
+  uninstall?: boolean;
+}
+
+export interface BisectResult extends BisectSearchResult {
+  metric: RegressionMetric;
+  /** Medians above this are bad (ms) */
+  cutMs: number;
+  good: ProbeResult;
+  bad: ProbeResult;
+  /** Versions installed for the bisect */
+  installed: string[];
+}
+
+/**
+ * Classify samples against a cut-off
+ *
+ * Decides as soon as the 95% confidence interval of the mean lies entirely
+ * on one side of the cut; returns null while it still straddles it.
+ */
+export function classifySamples(samples: number[], cutMs: number): 'good' | 'bad' | null {
+  const ci = bootstrapConfidenceInterval(samples);
+  if (ci.upper < cutMs) return 'good';
+  if (ci.lower > cutMs) return 'bad';
+  return null;
+}
+
+/**
+ * Binary search for the first bad version
+ *
+ * `versions` must be sorted with the known-good version first and the
+ * known-bad version last. Skipped probes are worked around by probing the
+ * untested version closest to the middle instead, like `git bisect skip`.
+ */
+export async function bisectVersions(
+  versions: string[],
+  probe: (version: string) => Promise<ProbeResult>
+): Promise<BisectSearchResult> {
+  if (versions.length < 2) {
+    throw new Error('Need at least a good and a bad version');
+  }
+
+  let lo = 0;
+  let hi = versions.length - 1;
+  const skipped = new Set<number>();
+  const probes: ProbeResult[] = [];
+
+  while (hi - lo > 1) {
+    const middle = (lo + hi) / 2;
+    const candidates = [];
+    for (let i = lo + 1; i < hi; i++) {
+      if (!skipped.has(i)) candidates.push(i);
+    }
+    if (candidates.length === 0) break;
+    const index = candidates.reduce((best, i) => (Math.abs(i - middle) < Math.abs(best - middle) ? i : best));
+
+    const result = await probe(versions[index]);
+    probes.push(result);
+    if (result.verdict === 'good') {
+      lo = index;
+    } else if (result.verdict === 'bad') {
+      hi = index;
+    } else {
+      skipped.add(index);
+    }
+  }
+
+  return {
+    lastGood: versions[lo],
+    firstBad: versions[hi],
+    untested: versions.slice(lo + 1, hi),
+    probes,
+  };
+}
+
+/**
+ * Find the version that introduced a startup regression
+ *
+ * Benchmarks the good and bad endpoints, then bisects the published
+ * versions between them, installing missing ones through cvm.
+ */
+export class Bisector {
+  private installed: string[] = [];
+  private warmedUp = new Set<string>();
+
+  constructor(
+    private config: BenchmarkConfig,
+    private versionManager = new VersionManager(),
+    private runner = new BenchmarkRunner()
+  ) {}
+
+  async run(options: BisectOptions): Promise<BisectResult> {
+    const { good, bad, metric = 'interactive', minSamples = 3, maxSamples = 9, uninstall = false } = options;
+
+    if (compareVersions(good, bad) >= 0) {
+      throw new Error(`Good version ${good} must be older than bad version ${bad}`);
+    }
+
+    let available = await this.versionManager.getAvailableVersions();
+    if (available.length === 0) {
+      logger.warn('Could not list published versions; bisecting installed versions only');
+      available = await this.versionManager.getInstalledVersions();
+    }
+    const versions = sortVersions([...new Set([...available, good, bad])])
+      .filter((v) => compareVersions(v, good) >= 0 && compareVersions(v, bad) <= 0);
+
+    let env: NodeJS.ProcessEnv = process.env;
+    const mockApi = this.config.mockApi.enabled ? new MockApiServer(this.config.mockApi) : null;
+    if (mockApi) {
+      await mockApi.start();
+      env = buildBenchmarkEnv({ hermetic: true, overrides: mockApi.getEnv() });
+    }
+
+    try {
+      logger.info(
+        `Bisecting ${versions.length - 2} versions between ${good} and ${bad} ` +
+        `(~${Math.ceil(Math.log2(Math.max(versions.length - 1, 1)))} probes)`
+      );
+
+      const goodProbe = await this.measure(good, metric, minSamples, env);
+      const badProbe = await this.measure(bad, metric, minSamples, env);
+      if (goodProbe.median === undefined || badProbe.median === undefined) {
+        const failed = goodProbe.median === undefined ? goodProbe : badProbe;
+        throw new Error(`Cannot benchmark ${failed.version}: ${failed.reason}`);
+      }
+
+      const cutMs = goodProbe.median + (options.thresholdMs ?? (badProbe.median - goodProbe.median) / 2);
+      if (badProbe.median <= cutMs) {
+        throw new Error(
+          `${bad} (median ${badProbe.median}ms) is not slower than ${good} (median ${goodProbe.median}ms) ` +
+          `by the threshold; nothing to bisect`
+        );
+      }
+      goodProbe.verdict = 'good';
+      badProbe.verdict = 'bad';
+      logger.info(`Cut-off: ${Math.round(cutMs)}ms (${good} median ${goodProbe.median}ms, ${bad} median ${badProbe.median}ms)`);
+
+      const search = await bisectVersions(versions, async (version) => {
+        const result = await this.probe(version, metric, cutMs, minSamples, maxSamples, env);
+        const detail = result.verdict === 'skip' ? result.reason : `median ${result.median}ms over ${result.samples.length} samples`;
+        logger.info(`${version}: ${result.verdict} (${detail})`);
+        return result;
+      });
+
+      return { ...search, metric, cutMs: Math.round(cutMs), good: goodProbe, bad: badProbe, installed: [...this.installed] };
+    } finally {
+      await mockApi?.stop();
+      if (uninstall) {
+        for (const version of this.installed) {
+          await this.versionManager.uninstallVersion(version);
+        }
+      }
+    }
+  }
+
+  /**
+   * Sample a version until its samples clearly fall on one side of the cut
+   */
+  private async probe(
+    version: string,
+    metric: RegressionMetric,
+    cutMs: number,
+    minSamples: number,
+    maxSamples: number,
+    env: NodeJS.ProcessEnv
+  ): Promise<ProbeResult> {
+    const result = await this.measure(version, metric, minSamples, env);
+    if (result.verdict === 'skip') return result;
+
+    let verdict = classifySamples(result.samples, cutMs);
+    while (verdict === null && result.samples.length < maxSamples) {
+      const more = await this.measure(version, metric, 1, env);
+      if (more.verdict === 'skip') return more;
+      result.samples.push(...more.samples);
+      verdict = classifySamples(result.samples, cutMs);
+    }
+
+    result.median = Math.round(median(result.samples));
+    // Still ambiguous after maxSamples: the median decides
+    result.verdict = verdict ?? (result.median > cutMs ? 'bad' : 'good');
+    return result;
+  }
+
+  /**
+   * Install a version if needed and take timing samples
+   *
+   * Samples must reach `ready` (a spawn that exited cleanly, or a ready
+   * prompt); anything else, such as a crash or timeout, skips the version.
+   */
+  private async measure(
+    version: string,
+    metric: RegressionMetric,
+    count: number,
+    env: NodeJS.ProcessEnv
+  ): Promise<ProbeResult> {
+    if (!(await this.versionManager.isInstalled(version))) {
+      if (!(await this.versionManager.installVersion(version, this.config.install))) {
+        return { version, verdict: 'skip', samples: [], reason: 'install failed' };
+      }
+      this.installed.push(version);
+    }
+
+    const scenarioId = metric === 'spawn' ? 'version' : 'interactive';
+    const samples: number[] = [];
+    try {
+      if (!this.warmedUp.has(version)) {
+        for (let i = 0; i < this.config.benchmark.warmupRuns; i++) {
+          await this.runner.takeSample(version, scenarioId, this.config, env);
+        }
+        this.warmedUp.add(version);
+      }
+      for (let i = 0; i < count; i++) {
+        const sample = await this.runner.takeSample(version, scenarioId, this.config, env);
+        if (sample.result !== 'ready') {
+          return { version, verdict: 'skip', samples, reason: `${sample.result}: ${sample.reason}` };
+        }
+        samples.push(sample.time);
+      }
+    } catch (error) {
+      return { version, verdict: 'skip', samples, reason: error instanceof Error ? error.message : String(error) };
+    }
+
+    // Verdict is decided by the caller
+    return { version, verdict: 'good', samples, median: Math.round(median(samples)) };
+  }
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const versions = Array.from({ length: 20 }, (_, i) => `2.0.${i + 1}`);
+  const probeWith = (firstBad: number, skip: string[] = []) => async (version: string): Promise<ProbeResult> => {
+    const patch = parseInt(version.split('.')[2]);
+    if (skip.includes(version)) return { version, verdict: 'skip', samples: [] };
+    return { version, verdict: patch >= firstBad ? 'bad' : 'good', samples: [] };
+  };
+
+  describe('bisectVersions', () => {
+    it('should find the first bad version in log2(n) probes', async () => {
+      const result = await bisectVersions(versions, probeWith(13));
+      expect(result).toMatchObject({ lastGood: '2.0.12', firstBad: '2.0.13', untested: [] });
+      expect(result.probes.length).toBeLessThanOrEqual(5);
+    });
+
+    it('should work around skipped versions', async () => {
+      const result = await bisectVersions(versions, probeWith(13, ['2.0.10', '2.0.12']));
+      expect(result).toMatchObject({ lastGood: '2.0.11', firstBad: '2.0.13', untested: ['2.0.12'] });
+    });
+
+    it('should require two versions', async () => {
+      await expect(bisectVersions(['2.0.1'], probeWith(1))).rejects.toThrow();
+    });
+  });
+
+  describe('Bisector', () => {
+    it('should skip versions whose spawn samples fail', async () => {
+      const versionManager = {
+        getAvailableVersions: async () => ['2.0.1', '2.0.2', '2.0.3', '2.0.4', '2.0.5'],
+        isInstalled: async () => true,
+      };
+      const runner = {
+        takeSample: async (version: string) => {
+          if (version === '2.0.3') return { time: 5000, result: 'timeout', reason: 'Benchmark timed out after 5000ms' };
+          return { time: compareVersions(version, '2.0.4') >= 0 ? 300 : 100, result: 'ready', reason: '' };
+        },
+      };
+      const config = { benchmark: { warmupRuns: 0 }, mockApi: { enabled: false } } as unknown as BenchmarkConfig;
+      const bisector = new Bisector(config, versionManager as unknown as VersionManager, runner as unknown as BenchmarkRunner);
+
+      const result = await bisector.run({ good: '2.0.1', bad: '2.0.5', metric: 'spawn' });
+      expect(result).toMatchObject({ lastGood: '2.0.2', firstBad: '2.0.4', untested: ['2.0.3'] });
+      expect(result.probes.find((p) => p.version === '2.0.3')).toMatchObject({ verdict: 'skip', reason: expect.stringMatching(/^timeout/) });
+    });
+  });
+
+  describe('classifySamples', () => {
+    it('should wait while samples straddle the cut', () => {
+      expect(classifySamples([900, 910, 905], 1000)).toBe('good');
+      expect(classifySamples([1200, 1210, 1190], 1000)).toBe('bad');
+      expect(classifySamples([800, 1200, 900, 1150], 1000)).toBeNull();
+    });
+  });
+}
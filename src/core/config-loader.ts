@@ -0,0 +1,239 @@
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { homedir } from 'os';
+import type { ZodError } from 'zod';
+import { BenchmarkConfigSchema, DEFAULT_CONFIG, EXAMPLE_CONFIGS } from '../types/config.js';
+import type { BenchmarkConfig, BenchmarkConfigOverrides } from '../types/config.js';
+
+/** Config file names searched in the project directory, in order */
+export const PROJECT_CONFIG_FILES = ['cvm-benchmark.config.json', '.cvmbenchrc', '.cvmbenchrc.json'];
+
+/** User-wide config file */
+export const USER_CONFIG_FILE = join(homedir(), '.cvm', 'benchmark.config.json');
+
+/**
+ * Invalid or unreadable configuration
+ */
+export class ConfigError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+export interface ConfigSource {
+  /** `default`, `file`, `profile` or `cli` */
+  kind: 'default' | 'file' | 'profile' | 'cli';
+  /** File path or profile name */
+  name: string;
+}
+
+export interface ResolvedConfig {
+  config: BenchmarkConfig;
+  /** Layers applied, lowest precedence first */
+  sources: ConfigSource[];
+}
+
+export interface ResolveConfigOptions {
+  /** Explicit config file (disables discovery) */
+  configPath?: string;
+  /** Named profile from the config file or built-in presets */
+  profile?: string;
+  /** Directory searched for project config files */
+  cwd?: string;
+  /** Overrides from CLI flags (highest precedence) */
+  overrides?: BenchmarkConfigOverrides;
+}
+
+interface ConfigFile extends BenchmarkConfigOverrides {
+  profiles?: Record<string, BenchmarkConfigOverrides>;
+}
+
+/**
+ * Merge config layers section by section (arrays are replaced, not concatenated)
+ */
+export function mergeConfig(
+  base: BenchmarkConfigOverrides,
+  layer: BenchmarkConfigOverrides
+): BenchmarkConfigOverrides {
+  const merged: Record<string, unknown> = { ...base };
+  for (const [key, value] of Object.entries(layer)) {
+    if (value === undefined) continue;
+    const current = merged[key];
+    merged[key] =
+      value && typeof value === 'object' && !Array.isArray(value) && current && typeof current === 'object'
+        ? { ...current, ...value }
+        : value;
+  }
+  return merged as BenchmarkConfigOverrides;
+}
+
+function formatZodError(error: ZodError, source: string): string {
+  const issues = error.issues.map((issue) => {
+    const key = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+    return `  ${key}: ${issue.message}`;
+  });
+  return `Invalid configuration in ${source}:\n${issues.join('\n')}`;
+}
+
+/**
+ * Validate the merged layers, attributing any error to the last layer applied
+ */
+function validate(layers: BenchmarkConfigOverrides, source: string): BenchmarkConfig {
+  const parsed = BenchmarkConfigSchema.safeParse(layers);
+  if (!parsed.success) {
+    throw new ConfigError(formatZodError(parsed.error, source));
+  }
+  return parsed.data;
+}
+
+async function readConfigFile(path: string): Promise<ConfigFile> {
+  let data: string;
+  try {
+    data = await readFile(path, 'utf-8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${path}: ${error instanceof Error ? error.message : error}`);
+  }
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(data);
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in ${path}: ${error instanceof Error ? error.message : error}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError(`Config file ${path} must contain a JSON object`);
+  }
+  return parsed as ConfigFile;
+}
+
+/**
+ * Find config files to load, lowest precedence first
+ *
+ * The user-wide file is applied before the first project file found in `cwd`.
+ */
+export function discoverConfigFiles(cwd: string = process.cwd()): string[] {
+  const files: string[] = [];
+  if (existsSync(USER_CONFIG_FILE)) files.push(USER_CONFIG_FILE);
+
+  const project = PROJECT_CONFIG_FILES.map((f) => join(cwd, f)).find((f) => existsSync(f));
+  if (project) files.push(project);
+
+  return files;
+}
+
+/**
+ * Resolve the effective benchmark config
+ *
+ * Precedence (lowest to highest): defaults, config file(s), profile, CLI flags.
+ */
+export async function resolveConfig(options: ResolveConfigOptions = {}): Promise<ResolvedConfig> {
+  const { configPath, profile, cwd = process.cwd(), overrides } = options;
+
+  let layers: BenchmarkConfigOverrides = DEFAULT_CONFIG;
+  const sources: ConfigSource[] = [{ kind: 'default', name: 'defaults' }];
+  const profiles: Record<string, BenchmarkConfigOverrides> = {};
+
+  const files = configPath ? [resolve(cwd, configPath)] : discoverConfigFiles(cwd);
+  for (const file of files) {
+    const { profiles: fileProfiles, ...fileConfig } = await readConfigFile(file);
+    layers = mergeConfig(layers, fileConfig);
+    validate(layers, file);
+    Object.assign(profiles, fileProfiles);
+    sources.push({ kind: 'file', name: file });
+  }
+
+  if (profile) {
+    const builtIn = EXAMPLE_CONFIGS as Record<string, BenchmarkConfigOverrides>;
+    const selected = profiles[profile] ?? builtIn[profile];
+    if (!selected) {
+      const known = [...new Set([...Object.keys(profiles), ...Object.keys(builtIn)])];
+      throw new ConfigError(`Unknown profile "${profile}". Available: ${known.join(', ')}`);
+    }
+    layers = mergeConfig(layers, selected);
+    validate(layers, `profile "${profile}"`);
+    sources.push({ kind: 'profile', name: profile });
+  }
+
+  if (overrides) {
+    layers = mergeConfig(layers, overrides);
+    sources.push({ kind: 'cli', name: 'command-line flags' });
+  }
+
+  return { config: validate(layers, 'command-line flags'), sources };
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+  const { mkdtemp, writeFile, rm } = await import('fs/promises');
+  const { tmpdir } = await import('os');
+
+  describe('mergeConfig', () => {
+    it('should merge sections and replace arrays', () => {
+      const merged = mergeConfig(
+        { benchmark: { runsPerVersion: 3, timeout: 1000 }, versions: { exclude: ['1.0.0'] } },
+        { benchmark: { runsPerVersion: 5 }, versions: { exclude: ['2.0.0'] } }
+      );
+      expect(merged).toEqual({
+        benchmark: { runsPerVersion: 5, timeout: 1000 },
+        versions: { exclude: ['2.0.0'] },
+      });
+    });
+  });
+
+  describe('resolveConfig', () => {
+    it('should apply file, then profile, then overrides', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'cvm-bench-config-'));
+      try {
+        await writeFile(
+          join(dir, 'cvm-benchmark.config.json'),
+          JSON.stringify({
+            benchmark: { runsPerVersion: 5, timeout: 60000 },
+            profiles: { nightly: { benchmark: { runsPerVersion: 7 } } },
+          })
+        );
+
+        const fromFile = await resolveConfig({ cwd: dir });
+        expect(fromFile.config.benchmark.runsPerVersion).toBe(5);
+
+        const { config, sources } = await resolveConfig({
+          cwd: dir,
+          profile: 'nightly',
+          overrides: { benchmark: { timeout: 5000 } },
+        });
+        expect(config.benchmark).toMatchObject({ runsPerVersion: 7, timeout: 5000 });
+        expect(sources.map((s) => s.kind)).toEqual(['default', 'file', 'profile', 'cli']);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should fall back to built-in profiles', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'cvm-bench-config-'));
+      try {
+        const { config } = await resolveConfig({ cwd: dir, profile: 'quick' });
+        expect(config.versions.limit).toBe(5);
+        await expect(resolveConfig({ cwd: dir, profile: 'nope' })).rejects.toThrow(ConfigError);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should point to the offending key', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'cvm-bench-config-'));
+      try {
+        const file = join(dir, '.cvmbenchrc');
+        await writeFile(file, JSON.stringify({ benchmark: { runsPerVersion: 50 } }));
+        await expect(resolveConfig({ cwd: dir })).rejects.toThrow(/benchmark\.runsPerVersion/);
+        await expect(resolveConfig({ cwd: dir })).rejects.toThrow(file);
+        await expect(resolveConfig({ cwd: join(dir, 'empty'), overrides: { benchmark: { warmupRuns: 1.5 } } }))
+          .rejects.toThrow(/benchmark\.warmupRuns/);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
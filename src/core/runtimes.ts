@@ -0,0 +1,133 @@
+import { execFileSync } from 'child_process';
+import { closeSync, openSync, readSync, realpathSync } from 'fs';
+import { extname, resolve } from 'path';
+import type { BenchmarkTarget } from './targets.js';
+
+/**
+ * Node.js executable a runtime matrix runs the Claude CLI with
+ */
+export interface NodeRuntime {
+  /** Executable, absolute unless it is looked up on PATH (e.g. `node22`) */
+  path: string;
+  /** `process.version` of the executable without the `v` (e.g. `22.11.0`) */
+  version: string;
+}
+
+/**
+ * Executable path that means the same from any working directory
+ */
+export function normalizeRuntimePath(path: string): string {
+  return path.includes('/') ? resolve(path) : path;
+}
+
+/**
+ * Resolve a Node.js executable by asking it for its version
+ */
+export function resolveRuntime(path: string): NodeRuntime {
+  const executable = normalizeRuntimePath(path);
+  let output: string;
+  try {
+    output = execFileSync(executable, ['-p', 'process.version'], { encoding: 'utf-8', timeout: 10000 });
+  } catch (error) {
+    const reason = error instanceof Error ? error.message : String(error);
+    throw new Error(`Node.js runtime ${path} did not start: ${reason}`);
+  }
+
+  const version = output.trim().match(/^v(\d+\.\d+\.\d+\S*)$/)?.[1];
+  if (!version) {
+    throw new Error(`${path} is not a Node.js runtime (printed "${output.trim()}")`);
+  }
+  return { path: executable, version };
+}
+
+/**
+ * Resolve runtimes, rejecting two executables of the same Node.js version
+ */
+export function resolveRuntimes(paths: string[]): NodeRuntime[] {
+  const runtimes = paths.map(resolveRuntime);
+  const seen = new Map<string, string>();
+  for (const runtime of runtimes) {
+    const other = seen.get(runtime.version);
+    if (other) throw new Error(`${other} and ${runtime.path} are both Node.js ${runtime.version}`);
+    seen.set(runtime.version, runtime.path);
+  }
+  return runtimes;
+}
+
+/**
+ * Whether a file is a script run by node (by extension or shebang)
+ */
+export function isNodeScript(file: string): boolean {
+  if (['.js', '.mjs', '.cjs'].includes(extname(file))) return true;
+
+  const head = Buffer.alloc(128);
+  const fd = openSync(file, 'r');
+  try {
+    const bytes = readSync(fd, head, 0, head.length, 0);
+    return /^#!.*\bnode\b/.test(head.toString('utf-8', 0, bytes).split('\n')[0]);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Label of a target benchmarked under a runtime (e.g. `2.0.42@node22.11.0`)
+ */
+export function runtimeLabel(label: string, runtime: NodeRuntime): string {
+  return `${label}@node${runtime.version}`;
+}
+
+/**
+ * Run a target's CLI entry with an explicit runtime instead of the `node`
+ * its shebang finds on PATH
+ *
+ * Bin links are followed to the script they point at; native executables
+ * cannot be run under another runtime.
+ */
+export function withRuntime(target: BenchmarkTarget, runtime: NodeRuntime): BenchmarkTarget {
+  const label = runtimeLabel(target.label, runtime);
+  if (target.command === 'node') {
+    return { ...target, label, command: runtime.path };
+  }
+
+  const entry = realpathSync(target.command);
+  if (!isNodeScript(entry)) {
+    throw new Error(`${target.label} (${entry}) is not a Node.js script and cannot run under Node.js ${runtime.version}`);
+  }
+  return { ...target, label, command: runtime.path, args: [entry, ...target.args] };
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const runtime: NodeRuntime = { path: '/opt/node22/bin/node', version: '22.11.0' };
+
+  describe('resolveRuntime', () => {
+    it('should read the version of a Node.js executable', () => {
+      expect(resolveRuntime(process.execPath)).toEqual({ path: process.execPath, version: process.version.slice(1) });
+    });
+
+    it('should reject missing executables and duplicate versions', () => {
+      expect(() => resolveRuntime('/nonexistent/node')).toThrow(/did not start/);
+      expect(() => resolveRuntimes([process.execPath, process.execPath])).toThrow(/are both Node.js/);
+    });
+  });
+
+  describe('withRuntime', () => {
+    it('should run JavaScript entry points with the runtime', () => {
+      const target: BenchmarkTarget = { label: 'local', command: 'node', args: ['/src/cli.js'], path: '/src/cli.js' };
+      expect(withRuntime(target, runtime)).toMatchObject({
+        label: 'local@node22.11.0',
+        command: '/opt/node22/bin/node',
+        args: ['/src/cli.js'],
+      });
+    });
+
+    it('should run bin scripts through their real path', () => {
+      const target: BenchmarkTarget = { label: 'bin', command: resolve('bin/cvm-benchmark.js'), args: [] };
+      expect(withRuntime(target, runtime).args).toEqual([realpathSync('bin/cvm-benchmark.js')]);
+      expect(() => withRuntime({ ...target, command: resolve('package.json') }, runtime)).toThrow(/not a Node.js script/);
+    });
+  });
+}
@@ -0,0 +1,144 @@
+import { existsSync, statSync } from 'fs';
+import { extname, join, resolve } from 'path';
+import { VersionManager } from './version-manager.js';
+import { isVersion } from '../utils/semver.js';
+
+/**
+ * Something to benchmark: a CVM-installed version or any executable
+ */
+export interface BenchmarkTarget {
+  /** Name results are stored and compared under (the version for CVM installs) */
+  label: string;
+  /** Executable to spawn */
+  command: string;
+  /** Arguments before the scenario's own (the script for JavaScript entry points) */
+  args: string[];
+  /** CVM version, for targets that are CVM installs */
+  version?: string;
+  /** Absolute path the target was given as, for targets that are not CVM installs */
+  path?: string;
+}
+
+/** Entry points looked for when a target is a directory, in order */
+const ENTRY_POINTS = [
+  'cli.js',
+  'package/cli.js',
+  'node_modules/.bin/claude',
+  'installed/node_modules/.bin/claude',
+];
+
+/**
+ * Split a `--target` spec into label and value (`local=./cli.js`, `2.0.42`)
+ */
+export function parseTargetSpec(spec: string): { label: string; value: string } {
+  const match = spec.match(/^([\w.+-]+)=(.+)$/);
+  const { label, value } = match ? { label: match[1], value: match[2] } : { label: spec, value: spec };
+  if (!/^[\w.+-]+$/.test(label)) {
+    throw new Error(`Target "${spec}" needs a label of letters, digits, ".", "+", "_" or "-" (e.g. local=${spec})`);
+  }
+  return { label, value };
+}
+
+/**
+ * Executable and arguments for a path (file or directory)
+ *
+ * JavaScript entry points run through `node` from PATH, like the
+ * `#!/usr/bin/env node` shebang of CVM installs, so both start the same way.
+ */
+function resolveExecutable(path: string): { command: string; args: string[] } {
+  const absolute = resolve(path);
+  if (!existsSync(absolute)) {
+    throw new Error(`Target path does not exist: ${path}`);
+  }
+
+  let entry = absolute;
+  if (statSync(absolute).isDirectory()) {
+    const found = ENTRY_POINTS.map((candidate) => join(absolute, candidate)).find((p) => existsSync(p));
+    if (!found) {
+      throw new Error(`No Claude entry point in ${path} (looked for ${ENTRY_POINTS.join(', ')})`);
+    }
+    entry = found;
+  }
+
+  return ['.js', '.mjs', '.cjs'].includes(extname(entry))
+    ? { command: 'node', args: [entry] }
+    : { command: entry, args: [] };
+}
+
+/**
+ * Resolve a `--target` spec
+ *
+ * A bare version (or `label=version`) is a CVM install; anything else is a
+ * path to an executable, a JavaScript entry point, or a directory holding
+ * one (a checkout, an unpacked npm tarball or a CVM version directory).
+ */
+export function resolveTarget(spec: string, versionManager = new VersionManager()): BenchmarkTarget {
+  const { label, value } = parseTargetSpec(spec);
+
+  if (isVersion(value) && !existsSync(value)) {
+    return { label, command: versionManager.getClaudePath(value), args: [], version: value };
+  }
+  return { label, ...resolveExecutable(value), path: resolve(value) };
+}
+
+/**
+ * Spec that resolves to the same target from any working directory
+ */
+export function toTargetSpec(target: BenchmarkTarget): string {
+  return `${target.label}=${target.path ?? target.version}`;
+}
+
+/**
+ * Resolve target specs, rejecting duplicate labels
+ */
+export function resolveTargets(specs: string[], versionManager = new VersionManager()): BenchmarkTarget[] {
+  const targets = specs.map((spec) => resolveTarget(spec, versionManager));
+  const seen = new Set<string>();
+  for (const { label } of targets) {
+    if (seen.has(label)) throw new Error(`Duplicate target label: ${label}`);
+    seen.add(label);
+  }
+  return targets;
+}
+
+/**
+ * Short description, e.g. `local (/src/claude/cli.js)` or `2.0.42`
+ */
+export function describeTarget(target: BenchmarkTarget): string {
+  if (target.path) return `${target.label} (${target.path})`;
+  return target.label === target.version ? target.label : `${target.label} (${target.version})`;
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const versionManager = new VersionManager('/tmp/cvm-targets-test');
+
+  describe('resolveTarget', () => {
+    it('should treat versions as CVM installs', () => {
+      expect(resolveTarget('2.0.42', versionManager)).toMatchObject({
+        label: '2.0.42',
+        version: '2.0.42',
+        command: '/tmp/cvm-targets-test/versions/2.0.42/installed/node_modules/.bin/claude',
+      });
+      expect(resolveTarget('base=2.0.42', versionManager)).toMatchObject({ label: 'base', version: '2.0.42' });
+    });
+
+    it('should run JavaScript entry points through node', () => {
+      const target = resolveTarget('local=./bin/cvm-benchmark.js', versionManager);
+      expect(target).toMatchObject({ label: 'local', command: 'node', args: [resolve('bin/cvm-benchmark.js')] });
+      expect(toTargetSpec(target)).toBe(`local=${resolve('bin/cvm-benchmark.js')}`);
+    });
+
+    it('should run other files directly', () => {
+      expect(resolveTarget('tool=package.json', versionManager)).toMatchObject({ command: resolve('package.json'), args: [] });
+    });
+
+    it('should reject missing paths, bad labels and duplicates', () => {
+      expect(() => resolveTarget('local=./missing/cli.js', versionManager)).toThrow(/does not exist/);
+      expect(() => resolveTarget('./cli.js', versionManager)).toThrow(/needs a label/);
+      expect(() => resolveTargets(['2.0.1', '2.0.1'], versionManager)).toThrow(/Duplicate/);
+    });
+  });
+}
@@ -3,7 +3,32 @@ import { join } from 'path';
 import { homedir } from 'os';
 import { execSync, spawn } from 'child_process';
 import { sortVersions } from '../utils/version-filter.js';
+import { isVersion } from '../utils/semver.js';
+import { runWithConcurrency } from '../utils/concurrency.js';
+import { getFreeDiskBytes, assertDiskSpace } from '../utils/disk.js';
 import { logger } from '../utils/logger.js';
+import type { BenchmarkConfig } from '../types/config.js';
+
+/**
+ * Concurrency, retry and disk-space settings for installs (see the
+ * `install` config section)
+ */
+export type InstallOptions = Partial<Omit<BenchmarkConfig['install'], 'stream'>>;
+
+/**
+ * Versions from `npm view ... --json` output (an array, or a string for a
+ * single version) or from plain text with one version per line
+ */
+export function parseVersionList(output: string): string[] {
+  let versions: unknown;
+  try {
+    versions = JSON.parse(output);
+  } catch {
+    versions = output.split(/\s+/);
+  }
+  return ([] as unknown[]).concat(versions)
+    .filter((v): v is string => typeof v === 'string' && /^\d+\.\d+\.\d+(-[\w.]+)?$/.test(v));
+}
 
 export class VersionManager {
   private versionsDir: string;
@@ -24,7 +49,7 @@ export class VersionManager {
         const entryPath = join(this.versionsDir, entry);
         const stats = await stat(entryPath);
 
-        if (stats.isDirectory() && /^\d+\.\d+\.\d+$/.test(entry)) {
+        if (stats.isDirectory() && isVersion(entry)) {
           // Verify installation is complete
           const claudePath = join(
             entryPath,
@@ -52,17 +77,19 @@ export class VersionManager {
 
   /**
    * Get all available versions from npm registry
+   *
+   * `registry.url` points npm at another registry (e.g. a local mirror);
+   * `registry.command` replaces `npm view` and may print a JSON array or
+   * one version per line.
    */
-  async getAvailableVersions(): Promise<string[]> {
+  async getAvailableVersions(registry: BenchmarkConfig['registry'] = {}): Promise<string[]> {
+    const command = registry.command ??
+      `npm view @anthropic-ai/claude-code versions --json${registry.url ? ` --registry ${registry.url}` : ''}`;
     try {
-      const output = execSync(
-        'npm view @anthropic-ai/claude-code versions --json',
-        { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
-      );
-      const versions: string[] = JSON.parse(output);
-      return sortVersions(versions);
+      const output = execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'], timeout: 120000 });
+      return sortVersions(parseVersionList(output));
     } catch (error) {
-      logger.error('Failed to fetch available versions from npm:', error);
+      logger.error('Failed to fetch available versions from the registry:', error);
       return [];
     }
   }
@@ -79,11 +106,37 @@ export class VersionManager {
   /**
    * Install a version using CVM
    * Returns true if installation succeeded
+   *
+   * Failed installs are retried `options.retries` times, waiting
+   * `retryDelayMs` before the first retry and twice as long before each
+   * further one.
    */
-  async installVersion(version: string): Promise<boolean> {
-    return new Promise((resolve) => {
-      logger.info(`Installing version ${version}...`);
+  async installVersion(version: string, options: InstallOptions = {}): Promise<boolean> {
+    const { retries = 0, retryDelayMs = 2000 } = options;
+    logger.info(`Installing version ${version}...`);
+
+    for (let attempt = 0; ; attempt++) {
+      const error = await this.runInstall(version);
+      if (error === null) {
+        logger.success(`Installed ${version}`);
+        return true;
+      }
+      if (attempt >= retries) {
+        logger.error(`Failed to install ${version}: ${error}`);
+        return false;
+      }
 
+      const delay = retryDelayMs * 2 ** attempt;
+      logger.warn(`Failed to install ${version} (attempt ${attempt + 1}/${retries + 1}), retrying in ${delay / 1000}s: ${error}`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Run `cvm install` once; resolves to null on success or the error output
+   */
+  private runInstall(version: string): Promise<string | null> {
+    return new Promise((resolve) => {
       const proc = spawn('cvm', ['install', version], {
         stdio: ['ignore', 'pipe', 'pipe'],
       });
@@ -91,38 +144,73 @@ export class VersionManager {
       let stderr = '';
       proc.stderr.on('data', (data) => { stderr += data.toString(); });
 
+      proc.on('close', (code) => {
+        resolve(code === 0 ? null : stderr.trim() || `exit code ${code}`);
+      });
+
+      proc.on('error', (error) => {
+        resolve(error.message);
+      });
+    });
+  }
+
+  /**
+   * Uninstall a version using CVM
+   * Returns true if removal succeeded
+   */
+  async uninstallVersion(version: string): Promise<boolean> {
+    return new Promise((resolve) => {
+      const proc = spawn('cvm', ['uninstall', version], {
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+
+      let stderr = '';
+      proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
       proc.on('close', (code) => {
         if (code === 0) {
-          logger.success(`Installed ${version}`);
+          logger.info(`Uninstalled ${version}`);
           resolve(true);
         } else {
-          logger.error(`Failed to install ${version}: ${stderr}`);
+          logger.warn(`Failed to uninstall ${version}: ${stderr}`);
           resolve(false);
         }
       });
 
       proc.on('error', (error) => {
-        logger.error(`Failed to install ${version}: ${error.message}`);
+        logger.warn(`Failed to uninstall ${version}: ${error.message}`);
         resolve(false);
       });
     });
   }
 
   /**
-   * Install multiple versions
+   * Install multiple versions, `options.concurrency` at a time
    * Returns array of successfully installed versions
+   *
+   * With `options.versionSizeMb`, throws a DiskSpaceError up front when
+   * the versions will not fit on the disk holding ~/.cvm/versions.
    */
-  async installVersions(versions: string[]): Promise<string[]> {
-    const installed: string[] = [];
+  async installVersions(versions: string[], options: InstallOptions = {}): Promise<string[]> {
+    if (options.versionSizeMb !== undefined) {
+      await this.checkDiskSpace(versions.length, options.versionSizeMb);
+    }
 
-    for (const version of versions) {
-      const success = await this.installVersion(version);
-      if (success) {
-        installed.push(version);
+    const installed = new Set<string>();
+    await runWithConcurrency(versions, options.concurrency ?? 1, async (version) => {
+      if (await this.installVersion(version, options)) {
+        installed.add(version);
       }
-    }
+    });
 
-    return installed;
+    return versions.filter((v) => installed.has(v));
+  }
+
+  /**
+   * Throw a DiskSpaceError unless `count` more versions fit on disk
+   */
+  async checkDiskSpace(count: number, versionSizeMb: number): Promise<void> {
+    assertDiskSpace(await getFreeDiskBytes(this.versionsDir), count, versionSizeMb);
   }
 
   /**
@@ -161,6 +249,17 @@ export class VersionManager {
     }
   }
 
+  /**
+   * Version of the cvm CLI, or undefined when it is not on PATH
+   */
+  getCvmVersion(): string | undefined {
+    try {
+      return execSync('cvm --version', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).trim() || undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
   /**
    * Get version installation directory
    */
@@ -168,3 +267,33 @@ export class VersionManager {
     return join(this.versionsDir, version);
   }
 }
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+  const { mkdtemp, mkdir, writeFile, rm } = await import('fs/promises');
+  const { tmpdir } = await import('os');
+
+  describe('parseVersionList', () => {
+    it('should accept npm JSON and plain lists', () => {
+      expect(parseVersionList('["1.0.0", "2.0.1"]')).toEqual(['1.0.0', '2.0.1']);
+      expect(parseVersionList('"2.0.1"')).toEqual(['2.0.1']);
+      expect(parseVersionList('1.0.0\n2.0.1\nnot-a-version\n')).toEqual(['1.0.0', '2.0.1']);
+    });
+  });
+
+  describe('getInstalledVersions', () => {
+    it('should list prerelease installs', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'cvm-bench-versions-'));
+      try {
+        for (const version of ['2.1.0-beta.1', '2.0.1', 'not-a-version']) {
+          await mkdir(join(dir, 'versions', version, 'installed', 'node_modules', '.bin'), { recursive: true });
+          await writeFile(join(dir, 'versions', version, 'installed', 'node_modules', '.bin', 'claude'), '');
+        }
+        expect(await new VersionManager(dir).getInstalledVersions()).toEqual(['2.0.1', '2.1.0-beta.1']);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
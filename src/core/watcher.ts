@@ -0,0 +1,236 @@
+import type { BenchmarkConfig } from '../types/config.js';
+import type { WatchState } from '../types/watch.js';
+import { VersionManager } from './version-manager.js';
+import { BenchmarkRunner, RunInterruptedError } from './benchmark-runner.js';
+import { ResultStore } from '../storage/result-store.js';
+import { filterVersions } from '../utils/version-filter.js';
+import { logger } from '../utils/logger.js';
+
+const DURATION_UNITS: Record<string, number> = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/**
+ * Parse a duration such as `90s`, `30m`, `1h` or `1h30m` into ms
+ */
+export function parseDuration(duration: string): number {
+  if (!/^(\d+[smhd])+$/.test(duration)) {
+    throw new Error(`Invalid duration: ${duration} (use e.g. 30m, 1h or 1h30m)`);
+  }
+  let ms = 0;
+  for (const [, amount, unit] of duration.matchAll(/(\d+)([smhd])/g)) {
+    ms += parseInt(amount) * DURATION_UNITS[unit];
+  }
+  return ms;
+}
+
+export interface WatchPollResult {
+  /** Published versions not seen before this poll */
+  newVersions: string[];
+  benchmarked: string[];
+  /** New versions that failed to install; retried on the next poll */
+  failed: string[];
+  runNumber?: number;
+}
+
+/**
+ * Poll the registry and benchmark newly published versions
+ *
+ * The first poll only records the published versions as a baseline. Every
+ * later one installs the versions that appeared since, benchmarks them in
+ * one run (which appends them to the history) and records them in the
+ * watch state, so a restarted watcher picks up where it stopped.
+ */
+export class Watcher {
+  private stopping = false;
+  private wake: (() => void) | null = null;
+  /** Aborts a benchmark run in progress, so this class owns SIGINT/SIGTERM */
+  private abort = new AbortController();
+
+  constructor(
+    private config: BenchmarkConfig,
+    private versionManager = new VersionManager(),
+    private runner = new BenchmarkRunner(),
+    private resultStore = new ResultStore()
+  ) {}
+
+  /**
+   * Poll until stopped by SIGINT/SIGTERM, or once
+   *
+   * A signal during a benchmark run stops it after the samples in flight;
+   * the watch state is saved and versions installed for the poll are
+   * removed (with `watch.uninstall`) before returning.
+   */
+  async run(options: { once?: boolean } = {}): Promise<void> {
+    const intervalMs = parseDuration(this.config.watch.interval);
+    const stop = () => this.stop();
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+
+    try {
+      while (!this.stopping) {
+        try {
+          await this.poll();
+        } catch (error) {
+          logger.error('Poll failed:', error);
+        }
+        if (options.once || this.stopping) break;
+
+        logger.info(`Next poll at ${new Date(Date.now() + intervalMs).toLocaleTimeString()}`);
+        await new Promise<void>((resolve) => {
+          const timer = setTimeout(resolve, intervalMs);
+          this.wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+    } finally {
+      process.off('SIGTERM', stop);
+      process.off('SIGINT', stop);
+    }
+  }
+
+  /**
+   * Stop after the current poll, interrupting its benchmark run
+   */
+  stop(): void {
+    if (!this.stopping) logger.info('Stopping watcher...');
+    this.stopping = true;
+    this.abort.abort();
+    this.wake?.();
+  }
+
+  /**
+   * Check the registry once and benchmark what is new
+   */
+  async poll(): Promise<WatchPollResult> {
+    const available = await this.versionManager.getAvailableVersions(this.config.registry);
+    if (available.length === 0) {
+      throw new Error('The registry listed no versions');
+    }
+
+    const previous = await this.resultStore.loadWatchState();
+    const state: WatchState = previous ?? { known: [], benchmarked: {} };
+    state.lastPoll = new Date().toISOString();
+
+    if (!previous) {
+      state.known = available;
+      await this.resultStore.saveWatchState(state);
+      logger.info(`Watching ${available.length} published versions; versions published from now on are benchmarked`);
+      return { newVersions: [], benchmarked: [], failed: [] };
+    }
+
+    const known = new Set(state.known);
+    const newVersions = available.filter((v) => !known.has(v));
+    if (newVersions.length === 0) {
+      await this.resultStore.saveWatchState(state);
+      logger.info('No new versions');
+      return { newVersions, benchmarked: [], failed: [] };
+    }
+
+    // Versions outside the configured filter are recorded but not benchmarked
+    const wanted = new Set(filterVersions(newVersions, this.config));
+    const skipped = newVersions.filter((v) => !wanted.has(v));
+    logger.info(`New versions: ${newVersions.join(', ')}${skipped.length > 0 ? ` (outside the filter: ${skipped.join(', ')})` : ''}`);
+
+    const installedBefore = new Set(await this.versionManager.getInstalledVersions());
+    const toInstall = [...wanted].filter((v) => !installedBefore.has(v));
+    const installed = await this.versionManager.installVersions(toInstall, this.config.install);
+    const ready = [...wanted].filter((v) => installedBefore.has(v) || installed.includes(v));
+    const failed = toInstall.filter((v) => !installed.includes(v));
+
+    let runNumber: number | undefined;
+    let interrupted = this.stopping;
+    try {
+      if (ready.length > 0 && !interrupted) {
+        const suite = await this.runner.runSuite({
+          ...this.config,
+          versions: { include: ready, exclude: [] },
+          install: { ...this.config.install, stream: false },
+        }, { signal: this.abort.signal });
+        runNumber = suite.runNumber;
+        for (const version of ready) state.benchmarked[version] = runNumber;
+      }
+    } catch (error) {
+      if (!(error instanceof RunInterruptedError)) throw error;
+      interrupted = true;
+      logger.warn(`${error.message}; its versions are benchmarked again on the next poll`);
+    } finally {
+      if (this.config.watch.uninstall) {
+        for (const version of installed) {
+          await this.versionManager.uninstallVersion(version);
+        }
+      }
+    }
+
+    // Versions of an interrupted run stay unknown, so the next poll retries them
+    const benchmarked = interrupted ? [] : ready;
+    state.known.push(...skipped, ...benchmarked);
+    await this.resultStore.saveWatchState(state);
+
+    if (failed.length > 0) {
+      logger.warn(`Failed to install ${failed.join(', ')}; retrying on the next poll`);
+    }
+    return { newVersions, benchmarked, failed, runNumber };
+  }
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('Watcher', () => {
+    it('should save state and uninstall when stopped during a run', async () => {
+      let state: WatchState | null = { known: ['2.0.1'], benchmarked: {} };
+      const uninstalled: string[] = [];
+      const versionManager = {
+        getAvailableVersions: async () => ['2.0.1', '2.0.2'],
+        getInstalledVersions: async () => ['2.0.1'],
+        installVersions: async (versions: string[]) => versions,
+        uninstallVersion: async (version: string) => { uninstalled.push(version); return true; },
+      };
+      const resultStore = {
+        loadWatchState: async () => state,
+        saveWatchState: async (next: WatchState) => { state = next; },
+      };
+      const config = {
+        versions: { exclude: [] },
+        install: {},
+        registry: {},
+        watch: { interval: '1h', uninstall: true },
+      } as unknown as BenchmarkConfig;
+
+      const runner = {
+        runSuite: async (_config: BenchmarkConfig, options: { signal: AbortSignal }) => {
+          watcher.stop();
+          expect(options.signal.aborted).toBe(true);
+          throw new RunInterruptedError(9, 0, 1);
+        },
+      };
+      const watcher = new Watcher(
+        config,
+        versionManager as unknown as VersionManager,
+        runner as unknown as BenchmarkRunner,
+        resultStore as unknown as ResultStore
+      );
+
+      const result = await watcher.poll();
+      expect(result).toMatchObject({ newVersions: ['2.0.2'], benchmarked: [] });
+      expect(uninstalled).toEqual(['2.0.2']);
+      expect(state!.known).toEqual(['2.0.1']);
+      expect(state!.lastPoll).toBeDefined();
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should add up units', () => {
+      expect(parseDuration('90s')).toBe(90_000);
+      expect(parseDuration('1h30m')).toBe(5_400_000);
+      expect(parseDuration('1d')).toBe(86_400_000);
+    });
+
+    it('should reject other formats', () => {
+      expect(() => parseDuration('1 hour')).toThrow(/Invalid duration/);
+      expect(() => parseDuration('')).toThrow();
+    });
+  });
+}
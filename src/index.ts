@@ -5,20 +5,129 @@
  * For CLI usage, use the `cvm-benchmark` command.
  */
 
-export { BenchmarkRunner } from './core/benchmark-runner.js';
-export { VersionManager } from './core/version-manager.js';
+export { BenchmarkRunner, RunInterruptedError } from './core/benchmark-runner.js';
+export { VersionManager, parseVersionList } from './core/version-manager.js';
+export type { InstallOptions } from './core/version-manager.js';
+export { Watcher, parseDuration } from './core/watcher.js';
+export type { WatchPollResult } from './core/watcher.js';
+export { resolveTarget, resolveTargets, parseTargetSpec, describeTarget } from './core/targets.js';
+export type { BenchmarkTarget } from './core/targets.js';
+export { resolveRuntime, resolveRuntimes, withRuntime, isNodeScript } from './core/runtimes.js';
+export type { NodeRuntime } from './core/runtimes.js';
+export { Bisector, bisectVersions, classifySamples } from './core/bisect.js';
+export type { BisectOptions, BisectResult, BisectSearchResult, ProbeResult, ProbeVerdict } from './core/bisect.js';
 export { ResultStore } from './storage/result-store.js';
+export {
+  resolveConfig,
+  discoverConfigFiles,
+  mergeConfig,
+  ConfigError,
+  PROJECT_CONFIG_FILES,
+  USER_CONFIG_FILE,
+} from './core/config-loader.js';
+export type { ResolvedConfig, ResolveConfigOptions, ConfigSource } from './core/config-loader.js';
 
 export { benchmarkVersion } from './benchmarks/version-spawn.js';
 export { benchmarkInteractive } from './benchmarks/interactive-pty.js';
+export {
+  registerScenario,
+  getScenario,
+  listScenarios,
+  createProcessScenario,
+  BUILTIN_SCENARIOS,
+} from './benchmarks/scenarios.js';
+export type {
+  BenchmarkScenario,
+  ScenarioContext,
+  ProcessScenarioDefinition,
+} from './benchmarks/scenarios.js';
+export { MockApiServer, MOCK_API_KEY } from './benchmarks/mock-api-server.js';
+export type { MockApiServerOptions } from './benchmarks/mock-api-server.js';
+export {
+  DEFAULT_DETECTOR_RULES,
+  DETECTOR_RULES_VERSION,
+  resolveDetectorRules,
+  OutputDetector,
+  detectOutput,
+  stripAnsi,
+} from './benchmarks/detectors.js';
+export type { DetectorEvent } from './benchmarks/detectors.js';
+export { buildBenchmarkEnv } from './utils/environment.js';
+export { createSandbox } from './utils/sandbox.js';
+export type { Sandbox, SandboxOptions } from './utils/sandbox.js';
 
 export {
   filterVersions,
   compareVersions,
   sortVersions,
+  sampleVersions,
   describeVersionFilter,
 } from './utils/version-filter.js';
+export { parseRange, satisfies, isValidRange, isVersion, RangeSyntaxError } from './utils/semver.js';
+export type { ParsedVersion, VersionRange } from './utils/semver.js';
+
+export { renderHtmlReport, writeHtmlReport } from './reporting/html-report.js';
+export type { HtmlReportOptions } from './reporting/html-report.js';
+export {
+  exportResults,
+  toCsv,
+  toMarkdown,
+  toJUnit,
+  toOpenMetrics,
+  flattenVersions,
+  flattenSamples,
+  EXPORT_FORMATS,
+} from './reporting/exporters.js';
+export type { ExportFormat, ExportOptions, VersionRow, SampleRow } from './reporting/exporters.js';
+
+export {
+  compareSuiteResults,
+  formatComparisonTable,
+  rankVersions,
+  getPeakRss,
+  RANK_METRICS,
+} from './analysis/compare-runs.js';
+export type { RunComparison, VersionComparison, RankMetric } from './analysis/compare-runs.js';
 
+export {
+  detectRegressions,
+  formatVersionChange,
+  DEFAULT_REGRESSION_THRESHOLD,
+} from './analysis/regressions.js';
+export type {
+  RegressionMetric,
+  RegressionThreshold,
+  RegressionOptions,
+  RegressionReport,
+  VersionChange,
+} from './analysis/regressions.js';
+
+export {
+  toHistoryEntries,
+  queryHistory,
+  getVersionSamples,
+  latestGoodRuns,
+  latestAverages,
+  listHistoryRuns,
+  versionTrend,
+  formatTrendTable,
+  isGoodEntry,
+} from './analysis/history.js';
+export type { HistoryQuery, HistoryRun, HistoryTrendPoint } from './analysis/history.js';
+export { evaluateBudgets, describeBudget, formatBudgetTable } from './analysis/budgets.js';
+export type { BudgetCheck, BudgetReport, BudgetStatus } from './analysis/budgets.js';
+export { summarizeRuntimes, formatRuntimeTable } from './analysis/runtimes.js';
+export type { RuntimeImpact, RuntimeMetrics } from './analysis/runtimes.js';
+export { compareVariance } from './analysis/variance.js';
+export type { VarianceComparison } from './analysis/variance.js';
+
+export { runWithConcurrency } from './utils/concurrency.js';
+export { getFreeDiskBytes, assertDiskSpace, DiskSpaceError } from './utils/disk.js';
+export { collectFingerprint, compareFingerprints, formatFingerprint, getPackageVersion } from './utils/fingerprint.js';
+export type { FingerprintDifference } from './utils/fingerprint.js';
+export { ResourceMonitor, summarizeResources } from './utils/resource-monitor.js';
+export { AsciicastRecorder, parseAsciicast, replayAsciicast } from './utils/asciicast.js';
+export type { Asciicast, AsciicastEvent, AsciicastHeader } from './utils/asciicast.js';
 export { cleanupSessions, getSessionSize, countSessions } from './utils/cleanup.js';
 
 export { logger } from './utils/logger.js';
@@ -26,6 +135,9 @@ export { ProgressTracker, formatDuration, formatBytes } from './utils/progress.j
 
 export * from './types/config.js';
 export * from './types/benchmark.js';
+export * from './types/detectors.js';
+export * from './types/budgets.js';
+export * from './types/watch.js';
 
 /**
  * CVM Plugin Export
@@ -43,22 +155,20 @@ export const plugin = {
   commands: [
     {
       name: 'benchmark',
-      description: 'Run benchmarks on Claude Code versions',
-      handler: async (_args: string[]) => {
-        const { BenchmarkRunner } = await import('./core/benchmark-runner.js');
-        const { DEFAULT_CONFIG } = await import('./types/config.js');
-        const { logger } = await import('./utils/logger.js');
+      description: 'Run benchmarks on Claude Code versions (same arguments as cvm-benchmark)',
+      // Runs inside the CVM process: failures throw (a CommanderError with the exit code) instead of exiting
+      handler: async (args: string[]) => {
+        const { embedProgram } = await import('./program.js');
+        const { toCliArgs } = await import('./plugin.js');
+        const { CommanderError } = await import('commander');
 
+        const program = embedProgram();
+        const commands = program.commands.map((command) => command.name());
         try {
-          const runner = new BenchmarkRunner();
-          const result = await runner.runSuite(DEFAULT_CONFIG);
-
-          logger.success('Benchmark complete!');
-          logger.info(`Results: ~/.cvm/benchmarks/run-${result.runNumber}/`);
-
-          return result;
+          await program.parseAsync(toCliArgs(args, commands), { from: 'user' });
         } catch (error) {
-          logger.error('Benchmark failed:', error);
+          // --help, --version and commands that exit 0 end normally
+          if (error instanceof CommanderError && error.exitCode === 0) return;
           throw error;
         }
       },
@@ -67,8 +177,15 @@ export const plugin = {
 
   hooks: {
     afterInstall: async (version: string) => {
+      const { afterInstall } = await import('./plugin.js');
       const { logger } = await import('./utils/logger.js');
-      logger.info(`Version ${version} installed. Run: cvm benchmark`);
+
+      // A failed benchmark must not fail the install
+      try {
+        await afterInstall(version);
+      } catch (error) {
+        logger.warn(`Benchmark after installing ${version} failed: ${error}`);
+      }
     },
   },
 };
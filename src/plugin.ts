@@ -0,0 +1,126 @@
+import type { BenchmarkSuiteResult, HistoryEntry } from './types/benchmark.js';
+import { BenchmarkRunner } from './core/benchmark-runner.js';
+import { VersionManager } from './core/version-manager.js';
+import { resolveConfig } from './core/config-loader.js';
+import { ResultStore } from './storage/result-store.js';
+import { queryHistory, toHistoryEntries } from './analysis/history.js';
+import { compareVersions } from './utils/version-filter.js';
+import { logger } from './utils/logger.js';
+
+/**
+ * Translate `cvm benchmark` arguments into cvm-benchmark arguments
+ *
+ * Subcommands pass through unchanged (`cvm benchmark compare 1 2`); the
+ * plugin shorthands map onto them: `--compare 1 2` is `compare 1 2`, and
+ * anything else is a `run` (`2.0.42 --runs 5`, `--range 2.0.40-latest`),
+ * where `--all` is the default of benchmarking every installed version.
+ */
+export function toCliArgs(args: string[], commands: string[]): string[] {
+  if (args.length > 0 && commands.includes(args[0])) return args;
+
+  const compare = args.indexOf('--compare');
+  if (compare !== -1) return ['compare', ...args.slice(compare + 1)];
+
+  return ['run', ...args.filter((arg) => arg !== '--all')];
+}
+
+/**
+ * Per-scenario average of a version against the one installed before it
+ */
+export function formatEntryComparison(previous: HistoryEntry, current: HistoryEntry): string[] {
+  const scenarios = Object.keys(current.scenarios).filter((id) => previous.scenarios[id]);
+  const width = Math.max(...scenarios.map((id) => id.length));
+
+  return scenarios.map((id) => {
+    const before = Math.round(previous.scenarios[id].avgTime);
+    const after = Math.round(current.scenarios[id].avgTime);
+    const percent = before > 0 ? ((after - before) / before) * 100 : 0;
+    const sign = after > before ? '+' : '';
+    return `${id.padEnd(width)}  ${before}ms → ${after}ms (${sign}${after - before}ms, ${sign}${percent.toFixed(1)}%)`;
+  });
+}
+
+/**
+ * CVM afterInstall hook
+ *
+ * With `plugin.benchmarkAfterInstall` set, benchmarks the new version and
+ * prints how it compares to the stored results of the previous installed
+ * version (preferring runs from this host); otherwise only prints a hint.
+ */
+export async function afterInstall(version: string): Promise<BenchmarkSuiteResult | null> {
+  const { config } = await resolveConfig({});
+  if (!config.plugin.benchmarkAfterInstall) {
+    logger.info(`Version ${version} installed. Run: cvm benchmark ${version}`);
+    return null;
+  }
+
+  const versionManager = new VersionManager();
+  const previous = (await versionManager.getInstalledVersions())
+    .filter((v) => compareVersions(v, version) < 0)
+    .pop();
+
+  logger.info(`Benchmarking newly installed ${version}...`);
+  const suite = await new BenchmarkRunner().runSuite({
+    ...config,
+    versions: { include: [version], exclude: [] },
+  });
+
+  const [current] = toHistoryEntries(suite);
+  if (!previous) {
+    logger.info(`No earlier version installed to compare ${version} with`);
+    return suite;
+  }
+  if (current.error) {
+    logger.warn(`${version} failed to benchmark: ${current.error}`);
+    return suite;
+  }
+
+  const history = await new ResultStore().loadHistory();
+  const stored = queryHistory(history, { version: previous, good: true });
+  const host = suite.metadata.environment?.host;
+  const baseline = stored.filter((e) => e.host === host).pop() ?? stored.pop();
+  if (!baseline) {
+    logger.info(`No stored results for ${previous}; run \`cvm benchmark ${previous}\` to compare`);
+    return suite;
+  }
+
+  console.log(`\n📊 ${version} vs ${previous} (run #${baseline.runNumber}${baseline.host ? ` on ${baseline.host}` : ''})\n`);
+  for (const line of formatEntryComparison(baseline, current)) {
+    console.log(`  ${line}`);
+  }
+  console.log('');
+
+  return suite;
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const commands = ['run', 'compare', 'report'];
+
+  describe('toCliArgs', () => {
+    it('should run versions and options by default', () => {
+      expect(toCliArgs([], commands)).toEqual(['run']);
+      expect(toCliArgs(['--all', '--runs', '5'], commands)).toEqual(['run', '--runs', '5']);
+      expect(toCliArgs(['2.0.42', '--range', '2.0.40-latest'], commands)).toEqual(['run', '2.0.42', '--range', '2.0.40-latest']);
+    });
+
+    it('should map --compare and pass subcommands through', () => {
+      expect(toCliArgs(['--compare', '1', '2'], commands)).toEqual(['compare', '1', '2']);
+      expect(toCliArgs(['report', '--run', '3'], commands)).toEqual(['report', '--run', '3']);
+    });
+  });
+
+  describe('formatEntryComparison', () => {
+    const entry = (version: string, avgTime: number): HistoryEntry => ({
+      runNumber: 1, timestamp: '', version,
+      scenarios: { interactive: { avgTime, stdDev: 0, minTime: avgTime, maxTime: avgTime, samples: [avgTime] } },
+    });
+
+    it('should show deltas of shared scenarios', () => {
+      expect(formatEntryComparison(entry('2.0.1', 800), entry('2.0.2', 900)))
+        .toEqual(['interactive  800ms → 900ms (+100ms, +12.5%)']);
+    });
+  });
+}
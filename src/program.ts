@@ -0,0 +1,1257 @@
+import { Command, CommanderError } from 'commander';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { homedir, hostname } from 'os';
+import { BenchmarkRunner } from './core/benchmark-runner.js';
+import { VersionManager } from './core/version-manager.js';
+import { Bisector } from './core/bisect.js';
+import { Watcher } from './core/watcher.js';
+import { resolveTargets } from './core/targets.js';
+import { EXAMPLE_CONFIGS } from './types/config.js';
+import { resolveConfig, ConfigError } from './core/config-loader.js';
+import { logger } from './utils/logger.js';
+import { filterVersions } from './utils/version-filter.js';
+import { ResultStore } from './storage/result-store.js';
+import { listScenarios } from './benchmarks/scenarios.js';
+import { writeHtmlReport } from './reporting/html-report.js';
+import { exportResults, EXPORT_FORMATS } from './reporting/exporters.js';
+import type { ExportFormat } from './reporting/exporters.js';
+import { parseAsciicast, replayAsciicast } from './utils/asciicast.js';
+import { resolveDetectorRules, detectOutput } from './benchmarks/detectors.js';
+import { compareSuiteResults, formatComparisonTable, rankVersions, RANK_METRICS } from './analysis/compare-runs.js';
+import type { RankMetric } from './analysis/compare-runs.js';
+import {
+  detectRegressions,
+  formatVersionChange,
+  DEFAULT_REGRESSION_THRESHOLD,
+} from './analysis/regressions.js';
+import type { RegressionMetric } from './analysis/regressions.js';
+import { formatFingerprint } from './utils/fingerprint.js';
+import { versionTrend, formatTrendTable, latestGoodRuns, listHistoryRuns, isGoodEntry } from './analysis/history.js';
+import type { BenchmarkConfig, BenchmarkConfigOverrides, VersionSample } from './types/config.js';
+import { isValidRange } from './utils/semver.js';
+import type { BenchmarkSuiteResult } from './types/benchmark.js';
+import type { Budget } from './types/budgets.js';
+import { evaluateBudgets, formatBudgetTable } from './analysis/budgets.js';
+import { summarizeRuntimes, formatRuntimeTable } from './analysis/runtimes.js';
+
+/**
+ * The cvm-benchmark command line, shared by the `cvm-benchmark` binary and
+ * the `cvm benchmark` plugin command
+ */
+export const program = new Command();
+
+program
+  .name('cvm-benchmark')
+  .description('Comprehensive benchmarking and performance analysis for Claude Code versions')
+  .version('1.0.4')
+  .option('-c, --config <file>', 'Config file (default: cvm-benchmark.config.json, .cvmbenchrc or ~/.cvm/benchmark.config.json)')
+  .option('-p, --profile <name>', 'Named config profile (from the config file or built-in: latest10, v2Only, range, quick)');
+
+let embedded = false;
+
+/**
+ * Prepare the program to run inside a host process (the CVM plugin)
+ *
+ * Instead of exiting, commands and commander itself (on `--help`, unknown
+ * options, ...) then throw a CommanderError carrying the exit code.
+ */
+export function embedProgram(): Command {
+  if (!embedded) {
+    embedded = true;
+    program.exitOverride();
+    // Subcommands copy settings when created, so override them too
+    program.commands.forEach((command) => command.exitOverride());
+  }
+  return program;
+}
+
+/**
+ * Exit the process, or throw when embedded (see embedProgram)
+ */
+function exit(code: number): never {
+  if (embedded) {
+    throw new CommanderError(code, 'cvm-benchmark.exit', `cvm-benchmark exited with code ${code}`);
+  }
+  process.exit(code);
+}
+
+/**
+ * Report a failed command and exit 1; exits requested inside the command pass through
+ */
+function fail(message: string, error: unknown): never {
+  if (error instanceof CommanderError) throw error;
+  logger.error(message, error);
+  exit(1);
+}
+
+/**
+ * Helper to resolve config from config files, --profile and CLI flag overrides
+ *
+ * Config errors are reported without a stack trace and exit the process.
+ */
+async function loadConfig(overrides?: BenchmarkConfigOverrides): Promise<BenchmarkConfig> {
+  const { config: configPath, profile } = program.opts();
+  try {
+    const { config } = await resolveConfig({ configPath, profile, overrides });
+    return config;
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      logger.error(error.message);
+      exit(1);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper to handle auto-install logic
+ */
+async function handleAutoInstall(
+  versionManager: VersionManager,
+  config: BenchmarkConfig,
+  options: { autoInstall?: boolean; incremental?: boolean }
+): Promise<void> {
+  // Streaming runs install each version right before benchmarking it
+  if (!options.autoInstall || config.install.stream) return;
+
+  const installed = await versionManager.getInstalledVersions();
+
+  // Targets name their CVM versions; otherwise filter the available versions
+  let toInstall = config.targets.length > 0
+    ? resolveTargets(config.targets, versionManager).flatMap((t) => (t.version ? [t.version] : []))
+    : filterVersions(await versionManager.getAvailableVersions(), config);
+
+  // Remove already installed
+  const installedSet = new Set(installed);
+  toInstall = toInstall.filter(v => !installedSet.has(v));
+
+  if (toInstall.length === 0) {
+    logger.info('All matching versions are already installed');
+    return;
+  }
+
+  logger.info(`Installing ${toInstall.length} missing versions...`);
+  const results = await versionManager.installVersions(toInstall, config.install);
+  logger.success(`Installed ${results.length}/${toInstall.length} versions`);
+}
+
+/**
+ * Helper to turn --range into version filter overrides
+ *
+ * Accepts the `2.0.40-2.0.53` and `2.0.40-latest` shorthands as well as
+ * range expressions such as `>=1.0.24 <2.0.0` or `^2.0, ~1.0.30`.
+ */
+function parseRangeOption(range: string): { min?: string; max?: string; range?: string } {
+  const parsed = new VersionManager().parseVersionRange(range);
+  if (parsed) {
+    return { min: parsed.min, ...(parsed.max !== 'latest' && { max: parsed.max }) };
+  }
+  if (isValidRange(range)) {
+    return { range };
+  }
+  logger.error(`Invalid range: ${range}. Use 2.0.40-2.0.53, 2.0.40-latest or an expression like ">=1.0.24 <2.0.0"`);
+  exit(1);
+}
+
+/**
+ * Helper to build a version sample from --every, --last-patches and --changed
+ */
+function parseSampleOptions(options: {
+  every?: number;
+  lastPatches?: number;
+  changed?: string | boolean;
+}): VersionSample | undefined {
+  if (!options.every && !options.lastPatches && !options.changed) return undefined;
+  return {
+    ...(options.every && { every: options.every }),
+    ...(options.lastPatches && { lastPatches: options.lastPatches }),
+    ...(options.changed && {
+      changed: { metric: 'interactive', percent: options.changed === true ? 10 : parseFloat(options.changed) },
+    }),
+  };
+}
+
+/**
+ * Print the budget check of a run; returns false on any violation
+ */
+function checkBudgets(suite: BenchmarkSuiteResult, budgets: Budget[], json = false): boolean {
+  const report = evaluateBudgets(suite, budgets);
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report.passed;
+  }
+
+  console.log(`\n🎯 Budgets for run #${report.runNumber}\n`);
+  console.log(formatBudgetTable(report));
+  console.log('');
+  if (report.passed) {
+    logger.success(`All ${report.checks.length} budget checks passed`);
+  } else {
+    logger.error(`${report.violations.length} of ${report.checks.length} budget checks failed`);
+  }
+  return report.passed;
+}
+
+/**
+ * Print the runtime impact table of a runtime matrix run (nothing for other runs)
+ */
+function printRuntimeImpact(suite: BenchmarkSuiteResult): void {
+  const impacts = summarizeRuntimes(suite);
+  if (impacts.length === 0) return;
+
+  console.log(`\n🟢 Node.js runtimes in run #${suite.runNumber} (interactive change vs the first runtime)\n`);
+  console.log(formatRuntimeTable(impacts));
+  console.log('');
+}
+
+/**
+ * Validate a --sort value
+ */
+function parseRankMetric(value: string): RankMetric {
+  if (!RANK_METRICS.includes(value as RankMetric)) {
+    logger.error(`Invalid sort metric: ${value}. Use one of: ${RANK_METRICS.join(', ')}`);
+    exit(1);
+  }
+  return value as RankMetric;
+}
+
+/**
+ * Run command - Execute benchmark suite
+ */
+program
+  .command('run')
+  .description('Run benchmark suite for versions')
+  .argument('[versions...]', 'Versions to benchmark (same as --include)')
+  .option('--min <version>', 'Minimum version to benchmark (e.g., 1.0.0)')
+  .option('--max <version>', 'Maximum version to benchmark (e.g., 2.0.50)')
+  .option('--range <range>', 'Version range (e.g., 2.0.40-latest, ">=1.0.24 <2.0.0" or "^2.0, ~1.0.30")')
+  .option('--prerelease', 'Include prerelease versions')
+  .option('--limit <number>', 'Maximum number of versions to test', parseInt)
+  .option('--every <n>', 'Sample every Nth version (counting back from the newest)', parseInt)
+  .option('--last-patches <k>', 'Sample the newest K patches of every minor', parseInt)
+  .option('--changed [percent]', 'Sample versions whose stored results differ from a neighbour by more than percent (default 10)')
+  .option('--include <versions...>', 'Specific versions to include')
+  .option('--exclude <versions...>', 'Specific versions to exclude')
+  .option('--target <specs...>', 'Labelled targets instead of the version filter (e.g., local=./cli.js 2.0.42)')
+  .option('--node <paths...>', 'Benchmark every version under each of these Node.js executables')
+  .option('--runs <number>', 'Number of runs per version', parseInt)
+  .option('--timeout <ms>', 'Timeout per benchmark (ms)', parseInt)
+  .option('--scenarios <ids...>', 'Scenarios to run (see `cvm-benchmark scenarios`)')
+  .option('--warmup <number>', 'Discarded warmup runs per version', parseInt)
+  .option('--outliers <strategy>', 'Outlier rejection strategy (none, mad)')
+  .option('--concurrency <n>', 'Benchmark this many versions in parallel', parseInt)
+  .option('--sandbox', 'Run every sample in a throwaway HOME and working directory')
+  .option('--sandbox-template <dir>', 'Directory copied into each sandbox HOME')
+  .option('--mock-api', 'Benchmark against a local mock Anthropic API with a hermetic environment')
+  .option('--mock-latency <ms>', 'Mock API response delay (ms)', parseInt)
+  .option('--record', 'Save every PTY sample as an asciicast under run-N/recordings/')
+  .option('--resources', 'Record memory, CPU and I/O of every sample (Linux)')
+  .option('--no-cleanup', 'Skip session cleanup')
+  .option('--silent', 'Suppress progress output')
+  .option('--auto-install', 'Automatically install missing versions via CVM')
+  .option('--stream', 'Install, benchmark and uninstall missing versions one at a time')
+  .option('--install-concurrency <n>', 'Versions installed in parallel', parseInt)
+  .option('--install-retries <n>', 'Retries after a failed install', parseInt)
+  .option('--incremental', 'Only benchmark versions not yet benchmarked')
+  .option('--resume [run]', 'Resume an interrupted run (defaults to the latest unfinished run)')
+  .option('--assert', 'Check the configured budgets afterwards and exit 1 on violation')
+  .action(async (versions: string[], options) => {
+    try {
+      if (options.silent) {
+        logger.setSilent(true);
+      }
+
+      // Budgets come from the current config, also when resuming
+      const budgets = options.assert ? (await loadConfig()).budgets : [];
+      if (options.assert && budgets.length === 0) {
+        logger.error('--assert needs a budgets section in the config');
+        exit(1);
+      }
+
+      if (options.resume) {
+        const resultStore = new ResultStore();
+        const runNumber = options.resume === true
+          ? await resultStore.findResumableRun()
+          : parseInt(options.resume);
+
+        if (runNumber === null || isNaN(runNumber)) {
+          logger.error('No unfinished run to resume');
+          exit(1);
+        }
+
+        const runner = new BenchmarkRunner();
+        const result = await runner.runSuite(await loadConfig(), { resume: runNumber });
+
+        logger.success(`\nBenchmark complete!`);
+        logger.info(`Run #${result.runNumber}: ${result.metadata.successfulVersions}/${result.metadata.totalVersions} successful`);
+        logger.info(`Results saved to: ~/.cvm/benchmarks/run-${result.runNumber}/`);
+        if (options.assert && !checkBudgets(result, budgets)) {
+          exit(1);
+        }
+        return;
+      }
+
+      // Parse version range if provided
+      const range = options.range ? parseRangeOption(options.range) : {};
+      const min = range.min ?? options.min;
+      const max = range.max ?? options.max;
+      const sample = parseSampleOptions(options);
+
+      const validConfig = await loadConfig({
+        benchmark: {
+          ...(options.runs && { runsPerVersion: options.runs }),
+          ...(options.timeout && { timeout: options.timeout }),
+          ...(options.scenarios && { scenarios: options.scenarios }),
+          ...(options.warmup !== undefined && { warmupRuns: options.warmup }),
+          ...(options.outliers && { outlierStrategy: options.outliers }),
+          ...(options.concurrency && { concurrency: options.concurrency }),
+          ...(options.resources && { resources: true }),
+        },
+        versions: {
+          ...(min && { min }),
+          ...(max && { max }),
+          ...(range.range && { range: range.range }),
+          ...(options.prerelease && { prerelease: true }),
+          ...(sample && { sample }),
+          ...(options.limit && { limit: options.limit }),
+          ...((versions.length > 0 || options.include) && { include: [...versions, ...(options.include ?? [])] }),
+          ...(options.exclude && { exclude: options.exclude }),
+        },
+        ...(options.target && { targets: options.target }),
+        ...(options.node && { runtimes: options.node }),
+        install: {
+          ...(options.stream && { stream: true }),
+          ...(options.installConcurrency && { concurrency: options.installConcurrency }),
+          ...(options.installRetries !== undefined && { retries: options.installRetries }),
+        },
+        storage: {
+          ...(options.cleanup === false && { cleanupSessions: false }),
+          ...(options.record && { recordings: true }),
+        },
+        sandbox: {
+          ...(options.sandbox && { enabled: true }),
+          ...(options.sandboxTemplate && { template: options.sandboxTemplate }),
+        },
+        mockApi: {
+          ...(options.mockApi && { enabled: true }),
+          ...(options.mockLatency !== undefined && { latencyMs: options.mockLatency }),
+        },
+      });
+
+      // Handle auto-install
+      const versionManager = new VersionManager();
+      await handleAutoInstall(versionManager, validConfig, options);
+
+      const runner = new BenchmarkRunner();
+      const result = await runner.runSuite(validConfig, { incremental: options.incremental });
+
+      logger.success(`\nBenchmark complete!`);
+      logger.info(`Run #${result.runNumber}: ${result.metadata.successfulVersions}/${result.metadata.totalVersions} successful`);
+      logger.info(`Results saved to: ~/.cvm/benchmarks/run-${result.runNumber}/`);
+      printRuntimeImpact(result);
+      if (options.assert && !checkBudgets(result, budgets)) {
+        exit(1);
+      }
+
+    } catch (error) {
+      fail('Benchmark failed:', error);
+    }
+  });
+
+/**
+ * Quick command - Quick test with preset configs
+ */
+program
+  .command('quick')
+  .description('Quick benchmark test (1 run, limit 5 versions)')
+  .option('--auto-install', 'Automatically install missing versions via CVM')
+  .action(async (options) => {
+    try {
+      const validConfig = await loadConfig(EXAMPLE_CONFIGS.quick);
+
+      // Handle auto-install
+      if (options.autoInstall) {
+        const versionManager = new VersionManager();
+        await handleAutoInstall(versionManager, validConfig, options);
+      }
+
+      logger.info('Running quick benchmark test...');
+      const runner = new BenchmarkRunner();
+      const result = await runner.runSuite(validConfig);
+
+      logger.success(`\nQuick test complete!`);
+      logger.info(`${result.metadata.successfulVersions}/${result.metadata.totalVersions} versions tested`);
+
+    } catch (error) {
+      fail('Quick test failed:', error);
+    }
+  });
+
+/**
+ * Latest command - Test only latest N versions
+ */
+program
+  .command('latest')
+  .description('Test only the latest N versions')
+  .argument('[count]', 'Number of latest versions to test', '10')
+  .option('--auto-install', 'Automatically install missing versions via CVM')
+  .action(async (count, options) => {
+    try {
+      const limit = parseInt(count);
+
+      const validConfig = await loadConfig({ versions: { limit } });
+
+      // Handle auto-install - for latest, install missing and take last N
+      if (options.autoInstall) {
+        const versionManager = new VersionManager();
+        const available = await versionManager.getAvailableVersions();
+        const latestVersions = available.slice(-limit);
+
+        // Check which need to be installed
+        const installed = new Set(await versionManager.getInstalledVersions());
+        const toInstall = latestVersions.filter(v => !installed.has(v));
+
+        if (toInstall.length > 0) {
+          logger.info(`Installing ${toInstall.length} missing versions...`);
+          await versionManager.installVersions(toInstall, validConfig.install);
+        }
+      }
+
+      logger.info(`Testing latest ${limit} versions...`);
+      const runner = new BenchmarkRunner();
+      const result = await runner.runSuite(validConfig);
+
+      logger.success(`\nBenchmark complete!`);
+      logger.info(`${result.metadata.successfulVersions}/${result.metadata.totalVersions} versions tested`);
+
+    } catch (error) {
+      fail('Latest benchmark failed:', error);
+    }
+  });
+
+/**
+ * Suite command - Full comprehensive suite
+ */
+program
+  .command('suite')
+  .description('Run full comprehensive benchmark suite (all versions)')
+  .option('--runs <number>', 'Number of runs per version', parseInt)
+  .option('--resources', 'Record memory, CPU and I/O of every sample (Linux)')
+  .option('--no-cleanup', 'Skip session cleanup')
+  .option('--sandbox', 'Run every sample in a throwaway HOME and working directory')
+  .option('--sandbox-template <dir>', 'Directory copied into each sandbox HOME')
+  .option('--mock-api', 'Benchmark against a local mock Anthropic API with a hermetic environment')
+  .option('--mock-latency <ms>', 'Mock API response delay (ms)', parseInt)
+  .option('--auto-install', 'Automatically install ALL available versions via CVM')
+  .option('--stream', 'Install, benchmark and uninstall missing versions one at a time')
+  .option('--install-concurrency <n>', 'Versions installed in parallel', parseInt)
+  .option('--incremental', 'Only benchmark versions not yet in any previous run')
+  .action(async (options) => {
+    try {
+      const validConfig = await loadConfig({
+        benchmark: {
+          ...(options.runs && { runsPerVersion: options.runs }),
+          ...(options.resources && { resources: true }),
+        },
+        install: {
+          ...(options.stream && { stream: true }),
+          ...(options.installConcurrency && { concurrency: options.installConcurrency }),
+        },
+        storage: {
+          ...(options.cleanup === false && { cleanupSessions: false }),
+        },
+        sandbox: {
+          ...(options.sandbox && { enabled: true }),
+          ...(options.sandboxTemplate && { template: options.sandboxTemplate }),
+        },
+        mockApi: {
+          ...(options.mockApi && { enabled: true }),
+          ...(options.mockLatency !== undefined && { latencyMs: options.mockLatency }),
+        },
+      });
+
+      // Handle auto-install for full suite (streaming runs install as they go)
+      if (options.autoInstall && !validConfig.install.stream) {
+        const versionManager = new VersionManager();
+        logger.info('Checking for missing versions...');
+        const missing = await versionManager.getMissingVersions();
+
+        if (missing.length > 0) {
+          logger.info(`Installing ${missing.length} missing versions...`);
+          logger.warn('This may take a while...');
+          await versionManager.installVersions(missing, validConfig.install);
+        } else {
+          logger.info('All versions are already installed');
+        }
+      }
+
+      logger.info('Running full comprehensive benchmark suite...');
+      if (!options.incremental) {
+        logger.warn('This may take 30-60 minutes depending on the number of versions');
+      }
+
+      const runner = new BenchmarkRunner();
+      const result = await runner.runSuite(validConfig, { incremental: options.incremental });
+
+      logger.success(`\nFull suite complete!`);
+      logger.info(`Run #${result.runNumber}: ${result.metadata.successfulVersions}/${result.metadata.totalVersions} successful`);
+      logger.info(`Duration: ${Math.round(result.metadata.duration / 1000)}s`);
+      logger.info(`Results: ~/.cvm/benchmarks/run-${result.runNumber}/`);
+
+    } catch (error) {
+      fail('Suite failed:', error);
+    }
+  });
+
+/**
+ * Watch command - Benchmark newly published versions as they appear
+ */
+program
+  .command('watch')
+  .description('Poll the registry and install and benchmark newly published versions')
+  .option('--interval <duration>', 'Time between polls (e.g. 30m, 1h, 1h30m)')
+  .option('--once', 'Poll once and exit (e.g. from cron)')
+  .option('--uninstall', 'Uninstall versions after benchmarking them')
+  .option('--registry <url>', 'npm registry to poll (e.g. a local mirror)')
+  .option('--registry-command <command>', 'Shell command printing published versions instead of npm view')
+  .option('--log-file <path>', 'Append log output to a file (default when not on a terminal: ~/.cvm/benchmarks/watch.log)')
+  .action(async (options) => {
+    try {
+      const validConfig = await loadConfig({
+        registry: {
+          ...(options.registry && { url: options.registry }),
+          ...(options.registryCommand && { command: options.registryCommand }),
+        },
+        watch: {
+          ...(options.interval && { interval: options.interval }),
+          ...(options.uninstall && { uninstall: true }),
+        },
+      });
+
+      // Detached watchers have nobody reading stdout
+      const logFile = options.logFile ??
+        (process.stdout.isTTY ? undefined : join(homedir(), '.cvm', 'benchmarks', 'watch.log'));
+      if (logFile) {
+        await mkdir(dirname(logFile), { recursive: true });
+        logger.setLogFile(logFile);
+      }
+
+      logger.info(
+        options.once
+          ? 'Checking for new versions...'
+          : `Watching for new versions every ${validConfig.watch.interval} (Ctrl-C to stop)`
+      );
+      await new Watcher(validConfig).run({ once: options.once });
+
+    } catch (error) {
+      fail('Watch failed:', error);
+    }
+  });
+
+/**
+ * Install command - Install versions without benchmarking
+ */
+program
+  .command('install')
+  .description('Install versions via CVM without benchmarking')
+  .option('--range <range>', 'Version range (e.g., 2.0.40-latest, ">=1.0.24 <2.0.0" or "^2.0, ~1.0.30")')
+  .option('--min <version>', 'Minimum version')
+  .option('--max <version>', 'Maximum version')
+  .option('--prerelease', 'Include prerelease versions')
+  .option('--every <n>', 'Install every Nth version (counting back from the newest)', parseInt)
+  .option('--last-patches <k>', 'Install the newest K patches of every minor', parseInt)
+  .option('--all', 'Install all available versions')
+  .option('--missing', 'Install only missing versions')
+  .option('--concurrency <n>', 'Versions installed in parallel', parseInt)
+  .option('--retries <n>', 'Retries after a failed install', parseInt)
+  .argument('[versions...]', 'Specific versions to install')
+  .action(async (versions, options) => {
+    try {
+      const versionManager = new VersionManager();
+      const { install } = await loadConfig({
+        install: {
+          ...(options.concurrency && { concurrency: options.concurrency }),
+          ...(options.retries !== undefined && { retries: options.retries }),
+        },
+      });
+      let toInstall: string[] = [];
+
+      if (versions && versions.length > 0) {
+        // Specific versions provided
+        toInstall = versions;
+      } else if (options.all || options.missing) {
+        // Install all/missing
+        const available = await versionManager.getAvailableVersions();
+        const installed = new Set(await versionManager.getInstalledVersions());
+
+        if (options.missing) {
+          toInstall = available.filter(v => !installed.has(v));
+        } else {
+          toInstall = available;
+        }
+      } else if (options.range || options.min || options.max || options.every || options.lastPatches) {
+        // Range-based installation
+        const range = options.range ? parseRangeOption(options.range) : {};
+        const min = range.min ?? options.min;
+        const max = range.max ?? options.max;
+        const sample = parseSampleOptions(options);
+
+        const available = await versionManager.getAvailableVersions();
+        const config = await loadConfig({
+          versions: {
+            ...(min && { min }),
+            ...(max && { max }),
+            ...(range.range && { range: range.range }),
+            ...(options.prerelease && { prerelease: true }),
+            ...(sample && { sample }),
+          },
+        });
+        toInstall = filterVersions(available, config);
+
+        // Remove already installed
+        const installed = new Set(await versionManager.getInstalledVersions());
+        toInstall = toInstall.filter(v => !installed.has(v));
+      } else {
+        logger.error('Please specify versions, --range, --every, --last-patches, --all, or --missing');
+        exit(1);
+      }
+
+      if (toInstall.length === 0) {
+        logger.info('No versions to install');
+        return;
+      }
+
+      logger.info(`Installing ${toInstall.length} versions (${install.concurrency} at a time)...`);
+      const results = await versionManager.installVersions(toInstall, install);
+      logger.success(`\nInstalled ${results.length}/${toInstall.length} versions`);
+
+    } catch (error) {
+      fail('Install failed:', error);
+    }
+  });
+
+/**
+ * Status command - Show installed vs available
+ */
+program
+  .command('status')
+  .description('Show installed vs available versions')
+  .action(async () => {
+    try {
+      const versionManager = new VersionManager();
+
+      logger.info('Checking versions...');
+      const installed = await versionManager.getInstalledVersions();
+      const available = await versionManager.getAvailableVersions();
+      const missing = available.filter(v => !new Set(installed).has(v));
+
+      console.log('\n📊 Version Status');
+      console.log('─'.repeat(40));
+      console.log(`Installed:  ${installed.length}`);
+      console.log(`Available:  ${available.length}`);
+      console.log(`Missing:    ${missing.length}`);
+
+      if (missing.length > 0 && missing.length <= 10) {
+        console.log(`\nMissing versions: ${missing.join(', ')}`);
+      } else if (missing.length > 10) {
+        console.log(`\nLatest missing: ${missing.slice(-5).join(', ')}`);
+      }
+
+      console.log('─'.repeat(40));
+
+      if (missing.length > 0) {
+        console.log(`\nRun 'cvm-benchmark install --missing' to install missing versions`);
+        console.log(`Or 'cvm-benchmark suite --auto-install' to install and benchmark all`);
+      }
+
+    } catch (error) {
+      fail('Status check failed:', error);
+    }
+  });
+
+/**
+ * Report command - Generate HTML report for a run
+ */
+program
+  .command('report')
+  .description('Generate a self-contained HTML performance report for a run')
+  .option('--run <number>', 'Run number to report on (defaults to latest)', parseInt)
+  .option('--output <file>', 'Output file (defaults to <reporting.outputDir>/run-N.html)')
+  .option('--no-errors', 'Omit the errors section')
+  .option('--sort <metric>', `Order versions by ${RANK_METRICS.join(', ')}`, 'version')
+  .option('--host <name>', 'Report on the latest run made on this host')
+  .action(async (options) => {
+    try {
+      const sortBy = parseRankMetric(options.sort);
+
+      const resultStore = new ResultStore();
+      let runNumber: number | null;
+      if (options.run !== undefined) {
+        runNumber = options.run;
+      } else if (options.host) {
+        const hostRuns = listHistoryRuns(await resultStore.loadHistory(), options.host);
+        runNumber = hostRuns.length > 0 ? hostRuns[hostRuns.length - 1].runNumber : null;
+      } else {
+        runNumber = await resultStore.getLatestCompletedRunNumber();
+      }
+
+      if (runNumber === null) {
+        logger.error(options.host ? `No benchmark runs found for host ${options.host}` : 'No completed benchmark runs found in ~/.cvm/benchmarks/');
+        exit(1);
+      }
+
+      const suite = await resultStore.loadSuiteResults(runNumber);
+      if (!suite) {
+        logger.error(`No results found for run #${runNumber}`);
+        exit(1);
+      }
+
+      const reportPath = await writeHtmlReport(
+        suite,
+        {
+          ...(await loadConfig()).reporting,
+          ...(options.errors === false && { includeErrors: false }),
+        },
+        options.output,
+        sortBy
+      );
+
+      logger.success(`Report for run #${runNumber} written to: ${reportPath}`);
+
+    } catch (error) {
+      fail('Report generation failed:', error);
+    }
+  });
+
+/**
+ * Compare command - Show differences between runs
+ */
+program
+  .command('compare')
+  .description('Compare two or more benchmark runs (first run is the baseline)')
+  .argument('<runs...>', 'Run numbers to compare')
+  .option('--sort <metric>', `Order versions by ${RANK_METRICS.join(', ')} of the last run`, 'version')
+  .option('--json', 'Output comparison as JSON')
+  .action(async (runs: string[], options) => {
+    try {
+      const sortBy = parseRankMetric(options.sort);
+
+      if (runs.length < 2) {
+        logger.error('Please specify at least two run numbers');
+        exit(1);
+      }
+
+      const resultStore = new ResultStore();
+      const suites = [];
+      for (const run of runs) {
+        const runNumber = parseInt(run);
+        const suite = isNaN(runNumber) ? null : await resultStore.loadSuiteResults(runNumber);
+        if (!suite) {
+          logger.error(`No results found for run #${run}`);
+          exit(1);
+        }
+        suites.push(suite);
+      }
+
+      const comparison = rankVersions(compareSuiteResults(suites), sortBy);
+
+      if (options.json) {
+        console.log(JSON.stringify(comparison, null, 2));
+        return;
+      }
+
+      console.log(`\n📊 Comparing runs ${comparison.runNumbers.map((n) => `#${n}`).join(', ')} (times in ms)\n`);
+      comparison.environments.forEach((environment, i) => {
+        console.log(`  #${comparison.runNumbers[i]}: ${environment ? formatFingerprint(environment) : 'environment not recorded'}`);
+      });
+      console.log('');
+      console.log(formatComparisonTable(comparison));
+
+      comparison.environmentDifferences.forEach((differences, i) => {
+        if (!differences || differences.length === 0) return;
+        const details = differences.map((d) => `${d.label} ${d.baseline} → ${d.current}`).join(', ');
+        logger.warn(`Run #${comparison.runNumbers[i + 1]} ran in a different environment than #${comparison.runNumbers[0]}: ${details}`);
+      });
+
+      const changed = comparison.versions.filter((v) => v.stateChanged);
+      if (changed.length > 0) {
+        console.log('');
+        logger.warn(`${changed.length} version(s) changed result state: ${changed.map((v) => v.version).join(', ')}`);
+      }
+
+    } catch (error) {
+      fail('Compare failed:', error);
+    }
+  });
+
+/**
+ * Regressions command - Detect slowdowns between consecutive versions
+ */
+program
+  .command('regressions')
+  .description('Detect startup regressions between consecutive versions (exits 1 if any are found)')
+  .option('--run <number>', 'Run number to analyze (defaults to latest)', parseInt)
+  .option('--metric <metric>', 'Metric to check: interactive, spawn or both', 'both')
+  .option('--percent <number>', 'Minimum change in percent', parseFloat, DEFAULT_REGRESSION_THRESHOLD.percent)
+  .option('--min-ms <number>', 'Minimum absolute change in ms', parseFloat, DEFAULT_REGRESSION_THRESHOLD.minAbsoluteMs)
+  .option('--json', 'Output report as JSON')
+  .action(async (options) => {
+    try {
+      if (!['interactive', 'spawn', 'both'].includes(options.metric)) {
+        logger.error(`Invalid metric: ${options.metric}. Use interactive, spawn or both`);
+        exit(1);
+      }
+
+      const resultStore = new ResultStore();
+      const runNumber = options.run ?? await resultStore.getLatestCompletedRunNumber();
+      const suite = runNumber === null ? null : await resultStore.loadSuiteResults(runNumber);
+
+      if (!suite) {
+        logger.error(runNumber === null ? 'No completed benchmark runs found' : `No results found for run #${runNumber}`);
+        exit(1);
+      }
+
+      const metrics: RegressionMetric[] =
+        options.metric === 'both' ? ['interactive', 'spawn'] : [options.metric];
+      const report = detectRegressions(suite, {
+        metrics,
+        threshold: { percent: options.percent, minAbsoluteMs: options.minMs },
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        logger.info(
+          `Run #${report.runNumber}: compared ${report.comparedPairs} version pairs ` +
+          `(threshold ${report.threshold.percent}% and ${report.threshold.minAbsoluteMs}ms)`
+        );
+        for (const change of report.improvements) {
+          logger.success(formatVersionChange(change));
+        }
+        for (const change of report.regressions) {
+          logger.error(formatVersionChange(change));
+        }
+        if (report.regressions.length === 0) {
+          logger.success('No regressions found');
+        }
+      }
+
+      if (report.regressions.length > 0) {
+        exit(1);
+      }
+
+    } catch (error) {
+      fail('Regression check failed:', error);
+    }
+  });
+
+/**
+ * Check command - Evaluate performance budgets against a run
+ */
+program
+  .command('check')
+  .description('Check a run against the configured budgets (exits 1 on violation)')
+  .option('--run <number>', 'Run number to check (defaults to latest)', parseInt)
+  .option('--json', 'Output report as JSON')
+  .action(async (options) => {
+    try {
+      const { budgets } = await loadConfig();
+      if (budgets.length === 0) {
+        logger.error('No budgets configured; add a budgets section to the config file');
+        exit(1);
+      }
+
+      const resultStore = new ResultStore();
+      const runNumber = options.run ?? await resultStore.getLatestCompletedRunNumber();
+      const suite = runNumber === null ? null : await resultStore.loadSuiteResults(runNumber);
+      if (!suite) {
+        logger.error(runNumber === null ? 'No completed benchmark runs found' : `No results found for run #${runNumber}`);
+        exit(1);
+      }
+
+      if (!checkBudgets(suite, budgets, options.json)) {
+        exit(1);
+      }
+
+    } catch (error) {
+      fail('Budget check failed:', error);
+    }
+  });
+
+/**
+ * Runtimes command - Runtime impact of a runtime matrix run
+ */
+program
+  .command('runtimes')
+  .description('Show how the Node.js runtime affects each version in a run made with --node')
+  .option('--run <number>', 'Run number (defaults to latest)', parseInt)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const resultStore = new ResultStore();
+      const runNumber = options.run ?? await resultStore.getLatestCompletedRunNumber();
+      const suite = runNumber === null ? null : await resultStore.loadSuiteResults(runNumber);
+      if (!suite) {
+        logger.error(runNumber === null ? 'No completed benchmark runs found' : `No results found for run #${runNumber}`);
+        exit(1);
+      }
+
+      const impacts = summarizeRuntimes(suite);
+      if (options.json) {
+        console.log(JSON.stringify({ runNumber: suite.runNumber, versions: impacts }, null, 2));
+      } else if (impacts.length === 0) {
+        logger.info(`Run #${suite.runNumber} was not benchmarked with --node`);
+      } else {
+        printRuntimeImpact(suite);
+      }
+
+    } catch (error) {
+      fail('Runtime summary failed:', error);
+    }
+  });
+
+/**
+ * Export command - Convert a run to CSV, Markdown, JUnit XML or OpenMetrics
+ */
+program
+  .command('export')
+  .description('Export a run as CSV, Markdown, JUnit XML or OpenMetrics')
+  .argument('<run>', 'Run number (or "latest")')
+  .option('--format <format>', `Output format: ${EXPORT_FORMATS.join(', ')}`, 'csv')
+  .option('--out <file>', 'Write to a file instead of stdout')
+  .option('--samples', 'One row per sample instead of per version (csv, md)')
+  .option('--percent <number>', 'JUnit: minimum regression in percent', parseFloat, DEFAULT_REGRESSION_THRESHOLD.percent)
+  .option('--min-ms <number>', 'JUnit: minimum regression in ms', parseFloat, DEFAULT_REGRESSION_THRESHOLD.minAbsoluteMs)
+  .action(async (run: string, options) => {
+    try {
+      if (!EXPORT_FORMATS.includes(options.format as ExportFormat)) {
+        logger.error(`Invalid format: ${options.format}. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+        exit(1);
+      }
+
+      const resultStore = new ResultStore();
+      const runNumber = run === 'latest' ? await resultStore.getLatestCompletedRunNumber() : parseInt(run);
+      const suite = runNumber === null || isNaN(runNumber) ? null : await resultStore.loadSuiteResults(runNumber);
+      if (!suite) {
+        logger.error(`No results found for run #${run}`);
+        exit(1);
+      }
+
+      const output = exportResults(suite, options.format as ExportFormat, {
+        samples: options.samples,
+        threshold: { percent: options.percent, minAbsoluteMs: options.minMs },
+      });
+
+      if (options.out) {
+        await mkdir(dirname(options.out), { recursive: true });
+        await writeFile(options.out, output);
+        logger.success(`Run #${suite.runNumber} exported to: ${options.out}`);
+      } else {
+        process.stdout.write(output);
+      }
+
+    } catch (error) {
+      fail('Export failed:', error);
+    }
+  });
+
+/**
+ * History command - Show how a version performed across all runs
+ */
+program
+  .command('history')
+  .description('Show the trend of a version across runs (without a version: latest good run per version)')
+  .argument('[version]', 'Claude Code version')
+  .option('--scenario <id>', 'Scenario to show', 'interactive')
+  .option('--host <name>', 'Only runs made on this host')
+  .option('--this-host', 'Only runs made on this machine')
+  .option('--by-host', 'Without a version: list the latest good runs separately for every host')
+  .option('--rebuild', 'Rebuild the history index from all runs first')
+  .option('--json', 'Output entries as JSON')
+  .action(async (version: string | undefined, options) => {
+    try {
+      const resultStore = new ResultStore();
+      const entries = options.rebuild ? await resultStore.rebuildHistory() : await resultStore.loadHistory();
+      const host: string | undefined = options.thisHost ? hostname() : options.host;
+
+      if (!version) {
+        // Entries without a host predate environment fingerprints
+        const hosts = options.byHost && !host
+          ? [...new Set(entries.map((e) => e.host ?? ''))].sort()
+          : [host];
+        const groups = hosts.map((h) => ({
+          host: h,
+          latest: latestGoodRuns(h === '' ? entries.filter((e) => !e.host) : entries, h || undefined),
+        }));
+        if (options.json) {
+          console.log(JSON.stringify(options.byHost ? groups : groups[0].latest, null, 2));
+          return;
+        }
+        console.log(`\n📚 Latest good run per version (${entries.length} entries indexed)`);
+        for (const group of groups) {
+          console.log('─'.repeat(40));
+          if (options.byHost) console.log(`Host: ${group.host || 'unknown'}`);
+          for (const entry of group.latest) {
+            const summary = entry.scenarios[options.scenario];
+            const timing = summary ? `${summary.avgTime}±${summary.stdDev}ms` : '—';
+            console.log(`${entry.version.padEnd(10)} #${String(entry.runNumber).padEnd(5)} ${timing.padEnd(14)} ${entry.timestamp.slice(0, 10)}`);
+          }
+        }
+        return;
+      }
+
+      const trend = versionTrend(entries, version, { scenario: options.scenario, host });
+      if (options.json) {
+        console.log(JSON.stringify(trend.map((p) => p.entry), null, 2));
+        return;
+      }
+      if (trend.length === 0) {
+        logger.error(`No ${options.scenario} results for ${version}${host ? ` on ${host}` : ''}`);
+        exit(1);
+      }
+
+      console.log(`\n📈 ${version} ${options.scenario} across ${trend.length} runs`);
+      console.log(formatTrendTable(trend));
+
+      const good = trend.filter((p) => isGoodEntry(p.entry));
+      if (good.length > 1) {
+        const first = good[0].scenario.avgTime;
+        const last = good[good.length - 1].scenario.avgTime;
+        const percent = first > 0 ? ((last - first) / first) * 100 : 0;
+        console.log(`\nTrend: ${first}ms → ${last}ms (${percent > 0 ? '+' : ''}${percent.toFixed(1)}%)`);
+      }
+
+    } catch (error) {
+      fail('History failed:', error);
+    }
+  });
+
+/**
+ * Bisect command - Find the version that introduced a regression
+ */
+program
+  .command('bisect')
+  .description('Binary-search published versions for the first one that starts slower')
+  .requiredOption('--good <version>', 'A version with good startup time')
+  .requiredOption('--bad <version>', 'A later version with bad startup time')
+  .option('--metric <metric>', 'Metric to bisect: interactive or spawn', 'interactive')
+  .option('--threshold <ms>', 'Slowdown over the good median that counts as bad (default: half the good/bad gap)', parseFloat)
+  .option('--samples <n>', 'Samples per probe before deciding', (v) => parseInt(v), 3)
+  .option('--max-samples <n>', 'Samples per probe while the verdict is unclear', (v) => parseInt(v), 9)
+  .option('--uninstall', 'Uninstall versions installed for the bisect afterwards')
+  .option('--json', 'Output result as JSON')
+  .action(async (options) => {
+    try {
+      if (!['interactive', 'spawn'].includes(options.metric)) {
+        logger.error(`Invalid metric: ${options.metric}. Use interactive or spawn`);
+        exit(1);
+      }
+
+      const bisector = new Bisector(await loadConfig());
+      const result = await bisector.run({
+        good: options.good,
+        bad: options.bad,
+        metric: options.metric as RegressionMetric,
+        thresholdMs: options.threshold,
+        minSamples: options.samples,
+        maxSamples: Math.max(options.maxSamples, options.samples),
+        uninstall: options.uninstall,
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      const lastGood = [result.good, ...result.probes].find((p) => p.version === result.lastGood)!;
+      const firstBad = [result.bad, ...result.probes].find((p) => p.version === result.firstBad)!;
+
+      console.log('');
+      if (result.untested.length > 0) {
+        logger.warn(
+          `First bad version is one of ${[...result.untested, result.firstBad].join(', ')} ` +
+          `(${result.untested.join(', ')} could not be benchmarked)`
+        );
+      } else {
+        logger.success(`First bad version: ${result.firstBad} (${result.metric}, cut-off ${result.cutMs}ms)`);
+      }
+      console.log(`  ${lastGood.version.padEnd(10)} good  median ${lastGood.median}ms  samples [${lastGood.samples.join(', ')}]`);
+      console.log(`  ${firstBad.version.padEnd(10)} bad   median ${firstBad.median}ms  samples [${firstBad.samples.join(', ')}]`);
+      logger.info(`${result.probes.length} probes, ${result.installed.length} versions installed${options.uninstall ? ' (uninstalled)' : ''}`);
+
+    } catch (error) {
+      fail('Bisect failed:', error);
+    }
+  });
+
+/**
+ * Replay command - Play back a recorded PTY sample
+ */
+program
+  .command('replay')
+  .description('Replay the recorded terminal session of a benchmark sample (needs run --record)')
+  .argument('<run>', 'Run number')
+  .argument('<version>', 'Claude Code version')
+  .argument('[sample]', 'Sample number, starting at 1', '1')
+  .option('--scenario <id>', 'Scenario the sample belongs to', 'interactive')
+  .option('--speed <factor>', 'Playback speed multiplier', parseFloat, 1)
+  .option('--max-idle <seconds>', 'Longest pause between frames', parseFloat, 2)
+  .action(async (run: string, version: string, sample: string, options) => {
+    try {
+      const runNumber = parseInt(run);
+      const sampleIndex = parseInt(sample) - 1;
+      const resultStore = new ResultStore();
+
+      // Interrupted runs only have their journal
+      const suite = await resultStore.loadSuiteResults(runNumber);
+      const results = suite?.results ?? (await resultStore.loadJournal(runNumber)).map((e) => e.result);
+      const result = results.find((r) => r.version === version);
+
+      if (!result) {
+        logger.error(`Version ${version} not found in run #${run}`);
+        exit(1);
+      }
+
+      const runs = options.scenario === 'interactive'
+        ? result.interactiveBenchmark?.runs
+        : result.scenarios?.[options.scenario]?.runs;
+      const recording = runs?.[sampleIndex]?.recording;
+
+      if (!recording) {
+        logger.error(
+          `No recording for ${version} ${options.scenario} sample ${sample} in run #${run} ` +
+          '(recordings are made with `run --record` for PTY scenarios)'
+        );
+        exit(1);
+      }
+
+      const text = await resultStore.loadRecording(runNumber, recording);
+      if (!text) {
+        logger.error(`Recording file missing: run-${runNumber}/${recording}`);
+        exit(1);
+      }
+
+      const cast = parseAsciicast(text);
+      const { result: state, time } = runs[sampleIndex];
+      logger.info(`Replaying ${version} ${options.scenario} sample ${sample}: ${state} in ${time}ms (${cast.header.width}x${cast.header.height})`);
+      console.log('─'.repeat(40));
+
+      await replayAsciicast(cast, (data) => process.stdout.write(data), {
+        speed: options.speed,
+        maxIdle: options.maxIdle,
+      });
+
+      // Undo terminal modes the recorded session may have enabled
+      process.stdout.write('\x1b[0m\x1b[?2004l\x1b[?1004l\n');
+      console.log('─'.repeat(40));
+
+    } catch (error) {
+      fail('Replay failed:', error);
+    }
+  });
+
+/**
+ * Scenarios command - List available benchmark scenarios
+ */
+program
+  .command('scenarios')
+  .description('List available benchmark scenarios')
+  .action(async () => {
+    const enabled = new Set((await loadConfig()).benchmark.scenarios);
+
+    console.log('\n📋 Benchmark Scenarios');
+    console.log('─'.repeat(40));
+    for (const scenario of listScenarios()) {
+      const marker = enabled.has(scenario.id) ? '●' : '○';
+      console.log(`${marker} ${scenario.id.padEnd(16)} ${scenario.description}`);
+    }
+    console.log('─'.repeat(40));
+    console.log('● = enabled in current config (benchmark.scenarios)');
+  });
+
+/**
+ * Detectors command - List PTY detector rules or test them against a recording
+ */
+program
+  .command('detectors')
+  .description('List the PTY readiness/error detector rules (built-in merged with config)')
+  .option('--test <file>', 'Classify the output of an asciicast recording with the rules')
+  .action(async (options) => {
+    try {
+      const ruleSet = resolveDetectorRules((await loadConfig()).detectors);
+
+      if (options.test) {
+        const cast = parseAsciicast(await readFile(options.test, 'utf-8'));
+        const output = cast.events.filter(([, type]) => type === 'o').map(([, , data]) => data);
+        const { events, ready } = detectOutput(output, ruleSet);
+
+        for (const event of events) {
+          const detail = event.type === 'signal' ? event.signal
+            : event.type === 'respond' ? JSON.stringify(event.input)
+            : event.type === 'error' ? `${event.reason}${event.minVersion ? ` (min ${event.minVersion})` : ''}`
+            : '';
+          console.log(`${event.type.padEnd(8)} ${event.rule.padEnd(22)} ${detail}`);
+        }
+        const error = events.find((e) => e.type === 'error');
+        console.log(`\nResult: ${error ? 'error_detected' : ready ? 'ready' : 'not ready'} (rules v${ruleSet.version})`);
+        return;
+      }
+
+      console.log(`\n🔎 Detector Rules v${ruleSet.version}`);
+      console.log('─'.repeat(40));
+      for (const rule of ruleSet.rules) {
+        const marker = rule.enabled ? '●' : '○';
+        const action = rule.type === 'signal' ? `signal ${rule.signal}`
+          : rule.type === 'respond' ? `respond ${JSON.stringify(rule.input)}`
+          : `error ${rule.reason}`;
+        console.log(`${marker} ${rule.id.padEnd(22)} ${action.padEnd(36)} /${rule.pattern}/${rule.flags ?? ''}`);
+      }
+      console.log('─'.repeat(40));
+      console.log(`Ready when: ${ruleSet.readyWhen.join(' + ')}; expected minimum version ${ruleSet.expectedMinVersion}`);
+
+    } catch (error) {
+      fail('Detectors failed:', error);
+    }
+  });
+
+/**
+ * Config command - Inspect resolved configuration
+ */
+const configCommand = program
+  .command('config')
+  .description('Inspect benchmark configuration');
+
+configCommand
+  .command('show')
+  .description('Print the resolved config (defaults < config file < profile)')
+  .action(async () => {
+    try {
+      const { config: configPath, profile } = program.opts();
+      const { config, sources } = await resolveConfig({ configPath, profile });
+
+      console.log(`# Sources: ${sources.map((s) => s.name).join(' < ')}`);
+      console.log(JSON.stringify(config, null, 2));
+
+    } catch (error) {
+      if (error instanceof CommanderError) throw error;
+      logger.error(error instanceof ConfigError ? error.message : `Failed to resolve config: ${error}`);
+      exit(1);
+    }
+  });
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('embedProgram', () => {
+    it('should throw exit codes instead of exiting', async () => {
+      const embeddedProgram = embedProgram();
+      await expect(embeddedProgram.parseAsync(['compare', '1'], { from: 'user' }))
+        .rejects.toMatchObject({ exitCode: 1, code: 'cvm-benchmark.exit' });
+      await expect(embeddedProgram.parseAsync(['--no-such-option'], { from: 'user' }))
+        .rejects.toMatchObject({ exitCode: 1, code: 'commander.unknownOption' });
+    });
+  });
+}
@@ -0,0 +1,403 @@
+import type {
+  BenchmarkResultState,
+  BenchmarkSuiteResult,
+  CombinedBenchmarkResult,
+  InteractiveBenchmarkResult,
+  VersionBenchmarkResult,
+} from '../types/benchmark.js';
+import { BenchmarkResultState as BenchmarkResultStates, MIN_VIABLE_VERSION } from '../types/benchmark.js';
+import { compareVersions, sortVersions } from '../utils/version-filter.js';
+import { getPeakRss } from '../analysis/compare-runs.js';
+import { detectRegressions } from '../analysis/regressions.js';
+import type { RegressionMetric, RegressionThreshold } from '../analysis/regressions.js';
+
+export type ExportFormat = 'csv' | 'md' | 'junit' | 'openmetrics';
+
+export const EXPORT_FORMATS: ExportFormat[] = ['csv', 'md', 'junit', 'openmetrics'];
+
+export interface ExportOptions {
+  /** One row per sample instead of per version (csv and md) */
+  samples?: boolean;
+  /** Regression threshold for JUnit failures (defaults to the regressions command's) */
+  threshold?: RegressionThreshold;
+}
+
+/** Flattened per-version result; times in ms, absent values are undefined */
+export interface VersionRow {
+  version: string;
+  state?: BenchmarkResultState | 'error';
+  spawnAvg?: number;
+  spawnStdDev?: number;
+  spawnMin?: number;
+  spawnMax?: number;
+  interactiveAvg?: number;
+  interactiveStdDev?: number;
+  interactiveMin?: number;
+  interactiveMax?: number;
+  interactiveMedian?: number;
+  firstByte?: number;
+  peakRssBytes?: number;
+  error?: string;
+}
+
+/** Flattened single sample */
+export interface SampleRow {
+  version: string;
+  scenario: string;
+  /** 1-based sample number */
+  sample: number;
+  time: number;
+  result?: BenchmarkResultState;
+  peakRssBytes?: number;
+  userCpuMs?: number;
+  systemCpuMs?: number;
+}
+
+const VERSION_COLUMNS: Array<[keyof VersionRow, string]> = [
+  ['version', 'version'],
+  ['state', 'state'],
+  ['spawnAvg', 'spawn_avg_ms'],
+  ['spawnStdDev', 'spawn_stddev_ms'],
+  ['spawnMin', 'spawn_min_ms'],
+  ['spawnMax', 'spawn_max_ms'],
+  ['interactiveAvg', 'interactive_avg_ms'],
+  ['interactiveStdDev', 'interactive_stddev_ms'],
+  ['interactiveMin', 'interactive_min_ms'],
+  ['interactiveMax', 'interactive_max_ms'],
+  ['interactiveMedian', 'interactive_median_ms'],
+  ['firstByte', 'first_byte_ms'],
+  ['peakRssBytes', 'peak_rss_bytes'],
+  ['error', 'error'],
+];
+
+const SAMPLE_COLUMNS: Array<[keyof SampleRow, string]> = [
+  ['version', 'version'],
+  ['scenario', 'scenario'],
+  ['sample', 'sample'],
+  ['time', 'time_ms'],
+  ['result', 'result'],
+  ['peakRssBytes', 'peak_rss_bytes'],
+  ['userCpuMs', 'user_cpu_ms'],
+  ['systemCpuMs', 'system_cpu_ms'],
+];
+
+/**
+ * Every scenario of a version, keyed by id (`version`, `interactive`, ...)
+ */
+function scenarioResults(
+  result: CombinedBenchmarkResult
+): Array<[string, VersionBenchmarkResult | InteractiveBenchmarkResult]> {
+  const scenarios: Array<[string, VersionBenchmarkResult | InteractiveBenchmarkResult]> = [];
+  if (result.versionBenchmark) scenarios.push(['version', result.versionBenchmark]);
+  if (result.interactiveBenchmark) scenarios.push(['interactive', result.interactiveBenchmark]);
+  return [...scenarios, ...Object.entries(result.scenarios ?? {})];
+}
+
+/**
+ * One row per version, in semver order
+ */
+export function flattenVersions(suite: BenchmarkSuiteResult): VersionRow[] {
+  const byVersion = new Map(suite.results.map((r) => [r.version, r]));
+  return sortVersions([...byVersion.keys()]).map((version) => {
+    const r = byVersion.get(version)!;
+    const spawn = r.versionBenchmark;
+    const interactive = r.interactiveBenchmark;
+    return {
+      version,
+      state: r.error ? 'error' : interactive?.result,
+      spawnAvg: spawn?.avgTime,
+      spawnStdDev: spawn?.stdDev,
+      spawnMin: spawn?.minTime,
+      spawnMax: spawn?.maxTime,
+      interactiveAvg: interactive?.avgTime,
+      interactiveStdDev: interactive?.stdDev,
+      interactiveMin: interactive?.minTime,
+      interactiveMax: interactive?.maxTime,
+      interactiveMedian: interactive?.stats?.median,
+      firstByte: interactive?.timeline?.firstByte,
+      peakRssBytes: getPeakRss(r),
+      error: r.error,
+    };
+  });
+}
+
+/**
+ * One row per sample of every scenario, in semver order
+ */
+export function flattenSamples(suite: BenchmarkSuiteResult): SampleRow[] {
+  const byVersion = new Map(suite.results.map((r) => [r.version, r]));
+  return sortVersions([...byVersion.keys()]).flatMap((version) =>
+    scenarioResults(byVersion.get(version)!).flatMap(([scenario, summary]) =>
+      'result' in summary
+        ? summary.runs.map((run, i): SampleRow => ({
+          version,
+          scenario,
+          sample: i + 1,
+          time: run.time,
+          result: run.result,
+          peakRssBytes: run.resources?.peakRssBytes,
+          userCpuMs: run.resources?.userCpuMs,
+          systemCpuMs: run.resources?.systemCpuMs,
+        }))
+        : summary.runs.map((time, i): SampleRow => ({ version, scenario, sample: i + 1, time }))
+    )
+  );
+}
+
+function toTable<T>(rows: T[], columns: Array<[keyof T, string]>): string[][] {
+  return [
+    columns.map(([, header]) => header),
+    ...rows.map((row) => columns.map(([key]) => (row[key] === undefined ? '' : String(row[key])))),
+  ];
+}
+
+function escapeCsv(value: string): string {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters (e.g. ANSI escapes in error output) are invalid in XML 1.0
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+function tableFor(suite: BenchmarkSuiteResult, options: ExportOptions): string[][] {
+  return options.samples
+    ? toTable(flattenSamples(suite), SAMPLE_COLUMNS)
+    : toTable(flattenVersions(suite), VERSION_COLUMNS);
+}
+
+/**
+ * Comma-separated values with a header row
+ */
+export function toCsv(suite: BenchmarkSuiteResult, options: ExportOptions = {}): string {
+  return tableFor(suite, options).map((row) => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+/**
+ * GitHub-flavored Markdown table, e.g. for PR descriptions
+ */
+export function toMarkdown(suite: BenchmarkSuiteResult, options: ExportOptions = {}): string {
+  const [header, ...rows] = tableFor(suite, options);
+  const cell = (value: string) => (value === '' ? '—' : value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' '));
+  const line = (cells: string[]) => `| ${cells.map(cell).join(' | ')} |`;
+  return [
+    `**Run #${suite.runNumber}** · ${suite.timestamp}`,
+    '',
+    line(header),
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(line),
+  ].join('\n') + '\n';
+}
+
+/**
+ * JUnit XML for CI test reporting
+ *
+ * The `startup` suite has one case per version: viable versions
+ * (>= MIN_VIABLE_VERSION) fail unless they reach `ready`, older versions
+ * are skipped, and versions that threw are errors. The `regressions`
+ * suite has one case per version and metric that fails when the version
+ * regressed against its predecessor (see `detectRegressions`).
+ */
+export function toJUnit(suite: BenchmarkSuiteResult, options: ExportOptions = {}): string {
+  const startupCases = flattenVersions(suite).map((row) => {
+    const time = (row.interactiveAvg ?? row.spawnAvg ?? 0) / 1000;
+    const open = `    <testcase classname="cvm-benchmark.startup" name="${escapeXml(row.version)}" time="${time}"`;
+    if (row.error) {
+      return { failed: false, errored: true, xml: `${open}>\n      <error message="${escapeXml(row.error)}"/>\n    </testcase>` };
+    }
+    if (row.state && row.state !== 'ready') {
+      if (compareVersions(row.version, MIN_VIABLE_VERSION) < 0) {
+        return { failed: false, errored: false, xml: `${open}>\n      <skipped message="${row.state} (below minimum viable version ${MIN_VIABLE_VERSION})"/>\n    </testcase>` };
+      }
+      const reason = suite.results.find((r) => r.version === row.version)?.interactiveBenchmark?.reason ?? '';
+      return {
+        failed: true,
+        errored: false,
+        xml: `${open}>\n      <failure message="${row.state}" type="${row.state}">${escapeXml(reason)}</failure>\n    </testcase>`,
+      };
+    }
+    return { failed: false, errored: false, xml: `${open}/>` };
+  });
+
+  const metrics: RegressionMetric[] = ['interactive', 'spawn'];
+  const report = detectRegressions(suite, { metrics, threshold: options.threshold });
+  const regressionCases = flattenVersions(suite).flatMap((row) =>
+    metrics
+      // Only versions detectRegressions has samples for (interactive needs `ready`)
+      .filter((metric) => !row.error && (metric === 'spawn' ? row.spawnAvg !== undefined : row.state === 'ready'))
+      .map((metric) => {
+        const open = `    <testcase classname="cvm-benchmark.regressions.${metric}" name="${escapeXml(row.version)}"`;
+        const change = report.regressions.find((c) => c.metric === metric && c.toVersion === row.version);
+        if (!change) return { failed: false, errored: false, xml: `${open}/>` };
+        const delta = change.deltaPercent !== undefined ? `+${change.deltaPercent}%` : `+${change.deltaMs}ms`;
+        const message = `${change.fromVersion} → ${change.toVersion}: ${change.fromMedian}ms → ${change.toMedian}ms (${delta})`;
+        return {
+          failed: true,
+          errored: false,
+          xml: `${open}>\n      <failure message="${escapeXml(message)}" type="regression">samples ${change.toSamples.join(', ')}</failure>\n    </testcase>`,
+        };
+      })
+  );
+
+  const renderSuite = (name: string, cases: typeof startupCases) => {
+    const failures = cases.filter((c) => c.failed).length;
+    const errors = cases.filter((c) => c.errored).length;
+    return [
+      `  <testsuite name="${name}" tests="${cases.length}" failures="${failures}" errors="${errors}" timestamp="${escapeXml(suite.timestamp)}">`,
+      ...cases.map((c) => c.xml),
+      '  </testsuite>',
+    ].join('\n');
+  };
+
+  const all = [...startupCases, ...regressionCases];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="cvm-benchmark run #${suite.runNumber}" tests="${all.length}" ` +
+      `failures="${all.filter((c) => c.failed).length}" errors="${all.filter((c) => c.errored).length}" ` +
+      `time="${suite.metadata.duration / 1000}">`,
+    renderSuite('startup', startupCases),
+    renderSuite('regressions', regressionCases),
+    '</testsuites>',
+  ].join('\n') + '\n';
+}
+
+/**
+ * OpenMetrics text exposition, e.g. for a Pushgateway or textfile collector
+ *
+ * Times are exported in seconds, as OpenMetrics requires base units.
+ */
+export function toOpenMetrics(suite: BenchmarkSuiteResult): string {
+  const run = String(suite.runNumber);
+  const labels = (values: Record<string, string>) =>
+    `{${Object.entries(values).map(([k, v]) => `${k}="${v.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+  const lines: string[] = [];
+  const family = (name: string, type: string, help: string, unit?: string) => {
+    lines.push(`# TYPE ${name} ${type}`);
+    if (unit) lines.push(`# UNIT ${name} ${unit}`);
+    lines.push(`# HELP ${name} ${help}`);
+  };
+  const byVersion = sortVersions(suite.results.map((r) => r.version))
+    .map((v) => suite.results.find((r) => r.version === v)!);
+
+  const environment = suite.metadata.environment;
+  family('cvm_benchmark_run', 'info', 'Benchmark run');
+  lines.push(`cvm_benchmark_run_info${labels({
+    run,
+    timestamp: suite.timestamp,
+    ...(environment && { host: environment.host, node: environment.nodeVersion }),
+  })} 1`);
+
+  family('cvm_benchmark_duration_seconds', 'gauge', 'Average time per version and scenario', 'seconds');
+  for (const r of byVersion) {
+    for (const [scenario, summary] of scenarioResults(r)) {
+      lines.push(`cvm_benchmark_duration_seconds${labels({ run, version: r.version, scenario })} ${summary.avgTime / 1000}`);
+    }
+  }
+
+  family('cvm_benchmark_duration_stddev_seconds', 'gauge', 'Standard deviation of the time per version and scenario', 'seconds');
+  for (const r of byVersion) {
+    for (const [scenario, summary] of scenarioResults(r)) {
+      lines.push(`cvm_benchmark_duration_stddev_seconds${labels({ run, version: r.version, scenario })} ${summary.stdDev / 1000}`);
+    }
+  }
+
+  family('cvm_benchmark_sample_duration_seconds', 'gauge', 'Time of a single sample', 'seconds');
+  for (const row of flattenSamples(suite)) {
+    lines.push(`cvm_benchmark_sample_duration_seconds${labels({ run, version: row.version, scenario: row.scenario, sample: String(row.sample) })} ${row.time / 1000}`);
+  }
+
+  family('cvm_benchmark_peak_rss_bytes', 'gauge', 'Average peak RSS of the process tree', 'bytes');
+  for (const r of byVersion) {
+    const rss = getPeakRss(r);
+    if (rss !== undefined) lines.push(`cvm_benchmark_peak_rss_bytes${labels({ run, version: r.version })} ${rss}`);
+  }
+
+  family('cvm_benchmark_state', 'stateset', 'Interactive result state per version');
+  for (const r of byVersion) {
+    const state = r.error ? 'failed' : r.interactiveBenchmark?.result;
+    if (!state) continue;
+    for (const candidate of BenchmarkResultStates.options) {
+      lines.push(`cvm_benchmark_state${labels({ run, version: r.version, cvm_benchmark_state: candidate })} ${candidate === state ? 1 : 0}`);
+    }
+  }
+
+  lines.push('# EOF');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a suite in one of the export formats
+ */
+export function exportResults(suite: BenchmarkSuiteResult, format: ExportFormat, options: ExportOptions = {}): string {
+  switch (format) {
+    case 'csv': return toCsv(suite, options);
+    case 'md': return toMarkdown(suite, options);
+    case 'junit': return toJUnit(suite, options);
+    case 'openmetrics': return toOpenMetrics(suite);
+  }
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const interactive = (version: string, times: number[], result: BenchmarkResultState): InteractiveBenchmarkResult => ({
+    version, timestamp: '', runs: times.map((time) => ({ time, result })) as any,
+    avgTime: times[0], minTime: Math.min(...times), maxTime: Math.max(...times), stdDev: 0, result, reason: 'why',
+  });
+
+  const suite: BenchmarkSuiteResult = {
+    runNumber: 4,
+    timestamp: '2025-01-01T00:00:00.000Z',
+    config: {},
+    results: [
+      { version: '2.0.2', interactiveBenchmark: interactive('2.0.2', [2000, 2100, 2050], 'ready') },
+      { version: '2.0.1', interactiveBenchmark: interactive('2.0.1', [1000, 1010, 1005], 'ready') },
+      { version: '2.0.3', interactiveBenchmark: interactive('2.0.3', [120000], 'timeout') },
+      { version: '1.0.20', interactiveBenchmark: interactive('1.0.20', [300], 'error_detected') },
+      { version: '2.0.4', error: 'Interactive benchmark failed: "boom", <bad>' },
+    ],
+    errors: [],
+    metadata: { totalVersions: 5, successfulVersions: 4, failedVersions: 1, duration: 9000 },
+  };
+
+  describe('exporters', () => {
+    it('should flatten per version and per sample in semver order', () => {
+      expect(flattenVersions(suite).map((r) => r.version)).toEqual(['1.0.20', '2.0.1', '2.0.2', '2.0.3', '2.0.4']);
+      expect(flattenSamples(suite).filter((r) => r.version === '2.0.2').map((r) => r.sample)).toEqual([1, 2, 3]);
+    });
+
+    it('should quote CSV fields', () => {
+      const csv = toCsv(suite);
+      expect(csv.split('\n')[0]).toMatch(/^version,state,spawn_avg_ms/);
+      expect(csv).toContain('"Interactive benchmark failed: ""boom"", <bad>"');
+    });
+
+    it('should render a Markdown table', () => {
+      const md = toMarkdown(suite, { samples: true });
+      expect(md).toContain('| version | scenario | sample | time_ms |');
+      expect(md).toContain('| 2.0.1 | interactive | 1 | 1000 | ready |');
+    });
+
+    it('should map non-ready viable versions and regressions to JUnit failures', () => {
+      const xml = toJUnit(suite);
+      expect(xml).toMatch(/name="2.0.3"[^>]*>\s*<failure message="timeout"/);
+      expect(xml).toMatch(/name="1.0.20"[^>]*>\s*<skipped/);
+      expect(xml).toMatch(/name="2.0.4"[^>]*>\s*<error message="Interactive benchmark failed: &quot;boom&quot;, &lt;bad&gt;"/);
+      expect(xml).toMatch(/regressions.interactive" name="2.0.2">\s*<failure[^>]*type="regression"/);
+      expect(xml).toContain('<testsuite name="startup" tests="5" failures="1" errors="1"');
+    });
+
+    it('should emit OpenMetrics in seconds', () => {
+      const text = toOpenMetrics(suite);
+      expect(text).toContain('cvm_benchmark_duration_seconds{run="4",version="2.0.1",scenario="interactive"} 1');
+      expect(text).toContain('cvm_benchmark_state{run="4",version="2.0.3",cvm_benchmark_state="timeout"} 1');
+      expect(text.trimEnd().endsWith('# EOF')).toBe(true);
+    });
+  });
+}
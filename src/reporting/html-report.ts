@@ -0,0 +1,386 @@
+import { writeFile, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import type { BenchmarkConfig } from '../types/config.js';
+import type { BenchmarkResultState, BenchmarkSuiteResult } from '../types/benchmark.js';
+import { MIN_VIABLE_VERSION } from '../types/benchmark.js';
+import { compareVersions } from '../utils/version-filter.js';
+import { expandHome } from '../utils/paths.js';
+import { formatBytes } from '../utils/progress.js';
+import { getPeakRss } from '../analysis/compare-runs.js';
+import type { RankMetric } from '../analysis/compare-runs.js';
+
+export interface HtmlReportOptions {
+  /** Include the errors section */
+  includeErrors?: boolean;
+
+  /** Order of the per-version table, highest first (default: version order) */
+  sortBy?: RankMetric;
+}
+
+interface ChartPoint {
+  version: string;
+  value: number;
+  state?: BenchmarkResultState;
+}
+
+const STATE_COLORS: Record<BenchmarkResultState, string> = {
+  ready: '#2e9d5b',
+  error_detected: '#d64545',
+  ui_then_exit: '#e08a1e',
+  exited_early: '#b05cc9',
+  timeout: '#7a7a7a',
+  failed: '#333333',
+};
+
+const DEFAULT_COLOR = '#3b6fd4';
+
+const CHART_WIDTH = 960;
+const CHART_HEIGHT = 320;
+const PADDING = { top: 20, right: 20, bottom: 70, left: 60 };
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a line chart of per-version values as inline SVG
+ *
+ * Draws a dashed marker before the first viable version when the chart
+ * spans both sides of the boundary.
+ */
+function renderChart(
+  points: ChartPoint[],
+  label: string,
+  formatValue: (value: number) => string = (value) => `${Math.round(value)}ms`
+): string {
+  if (points.length === 0) {
+    return `<p class="empty">No ${escapeHtml(label)} data in this run.</p>`;
+  }
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const maxValue = Math.max(...points.map((p) => p.value), 1) * 1.1;
+
+  const x = (i: number) =>
+    PADDING.left + (points.length === 1 ? plotWidth / 2 : (i / (points.length - 1)) * plotWidth);
+  const y = (v: number) => PADDING.top + plotHeight - (v / maxValue) * plotHeight;
+
+  const parts: string[] = [];
+
+  // Horizontal grid lines with value labels
+  const ticks = 5;
+  for (let t = 0; t <= ticks; t++) {
+    const value = (maxValue / ticks) * t;
+    const ty = y(value);
+    parts.push(
+      `<line x1="${PADDING.left}" y1="${ty}" x2="${CHART_WIDTH - PADDING.right}" y2="${ty}" class="grid"/>`,
+      `<text x="${PADDING.left - 8}" y="${ty + 4}" text-anchor="end" class="axis">${formatValue(value)}</text>`
+    );
+  }
+
+  // Version labels (thinned out for long histories)
+  const step = Math.max(1, Math.ceil(points.length / 24));
+  points.forEach((p, i) => {
+    if (i % step !== 0 && i !== points.length - 1) return;
+    const lx = x(i);
+    const ly = CHART_HEIGHT - PADDING.bottom + 12;
+    parts.push(
+      `<text x="${lx}" y="${ly}" transform="rotate(45 ${lx} ${ly})" class="axis">${escapeHtml(p.version)}</text>`
+    );
+  });
+
+  // Viability boundary
+  const boundary = points.findIndex((p) => compareVersions(p.version, MIN_VIABLE_VERSION) >= 0);
+  if (boundary > 0) {
+    const bx = (x(boundary - 1) + x(boundary)) / 2;
+    parts.push(
+      `<line x1="${bx}" y1="${PADDING.top}" x2="${bx}" y2="${PADDING.top + plotHeight}" class="boundary"/>`,
+      `<text x="${bx + 4}" y="${PADDING.top + 12}" class="boundary-label">${MIN_VIABLE_VERSION}+ viable</text>`
+    );
+  }
+
+  const path = points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ');
+  parts.push(`<polyline points="${path}" class="series"/>`);
+
+  points.forEach((p, i) => {
+    const color = p.state ? STATE_COLORS[p.state] : DEFAULT_COLOR;
+    const title = `${p.version}: ${formatValue(p.value)}${p.state ? ` (${p.state})` : ''}`;
+    parts.push(
+      `<circle cx="${x(i)}" cy="${y(p.value)}" r="3" fill="${color}"><title>${escapeHtml(title)}</title></circle>`
+    );
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(label)}">${parts.join('')}</svg>`;
+}
+
+/**
+ * Render a self-contained HTML report for a suite run
+ *
+ * The output has no external assets (charts are inline SVG) so it can be
+ * opened offline or attached to an issue as-is.
+ */
+export function renderHtmlReport(
+  suite: BenchmarkSuiteResult,
+  options: HtmlReportOptions = {}
+): string {
+  const { includeErrors = true, sortBy = 'version' } = options;
+
+  const spawnPoints: ChartPoint[] = suite.results
+    .filter((r) => r.versionBenchmark)
+    .map((r) => ({ version: r.version, value: r.versionBenchmark!.avgTime }));
+
+  const interactivePoints: ChartPoint[] = suite.results
+    .filter((r) => r.interactiveBenchmark)
+    .map((r) => ({
+      version: r.version,
+      value: r.interactiveBenchmark!.avgTime,
+      state: r.interactiveBenchmark!.result,
+    }));
+
+  const memoryPoints: ChartPoint[] = suite.results
+    .filter((r) => getPeakRss(r) !== undefined)
+    .map((r) => ({ version: r.version, value: getPeakRss(r)!, state: r.interactiveBenchmark?.result }));
+
+  const sortValue = (r: BenchmarkSuiteResult['results'][number]): number => {
+    switch (sortBy) {
+      case 'spawn': return r.versionBenchmark?.avgTime ?? -1;
+      case 'interactive': return r.interactiveBenchmark?.avgTime ?? -1;
+      case 'memory': return getPeakRss(r) ?? -1;
+      default: return 0;
+    }
+  };
+
+  const rows = [...suite.results]
+    .sort((a, b) => sortValue(b) - sortValue(a))
+    .map((r) => {
+      const spawn = r.versionBenchmark
+        ? `${r.versionBenchmark.avgTime}ms ± ${r.versionBenchmark.stdDev}`
+        : '—';
+      const interactive = r.interactiveBenchmark
+        ? `${r.interactiveBenchmark.avgTime}ms ± ${r.interactiveBenchmark.stdDev}`
+        : '—';
+      const firstByte = r.interactiveBenchmark?.timeline?.firstByte;
+      const firstOutput = firstByte !== undefined ? `${firstByte}ms` : '—';
+      const peakRss = getPeakRss(r);
+      const memory = peakRss !== undefined ? formatBytes(peakRss) : '—';
+      const resources = r.interactiveBenchmark?.resources ?? r.versionBenchmark?.resources;
+      const cpu = resources ? `${resources.userCpuMs.avg + resources.systemCpuMs.avg}ms` : '—';
+      const state = r.error ? 'failed' : r.interactiveBenchmark?.result;
+      const stateCell = state
+        ? `<span class="state" style="background:${STATE_COLORS[state]}">${state}</span>`
+        : '—';
+      return `<tr><td>${escapeHtml(r.version)}</td><td>${spawn}</td><td>${interactive}</td><td>${firstOutput}</td><td>${memory}</td><td>${cpu}</td><td>${stateCell}</td></tr>`;
+    })
+    .join('\n');
+
+  const legend = (Object.keys(STATE_COLORS) as BenchmarkResultState[])
+    .map((s) => `<span class="state" style="background:${STATE_COLORS[s]}">${s}</span>`)
+    .join(' ');
+
+  let errorsSection = '';
+  if (includeErrors) {
+    const items = suite.errors
+      .map((e) => `<li><strong>${escapeHtml(e.version)}</strong>: <code>${escapeHtml(e.error)}</code></li>`)
+      .join('\n');
+    errorsSection = `<h2>Errors (${suite.errors.length})</h2>\n${
+      suite.errors.length > 0 ? `<ul class="errors">${items}</ul>` : '<p class="empty">No errors.</p>'
+    }`;
+  }
+
+  const { metadata } = suite;
+
+  let environmentSection = '';
+  if (metadata.environment) {
+    const env = metadata.environment;
+    const fields: Array<[string, string | undefined]> = [
+      ['Host', env.host],
+      ['OS', `${env.platform} ${env.arch} · kernel ${env.osRelease}`],
+      ['Node.js', `${env.nodeVersion} (${env.nodeExecPath})`],
+      ['CPU', `${env.cpuCores}× ${env.cpuModel}${env.cpuGovernor ? ` · governor ${env.cpuGovernor}` : ''}`],
+      ['Memory', `${formatBytes(env.totalMemoryBytes)} total, ${formatBytes(env.freeMemoryBytes)} free at start`],
+      ['Load average', metadata.systemLoad
+        ? `${metadata.systemLoad.start.map((l) => l.toFixed(2)).join(' ')} → ${metadata.systemLoad.end.map((l) => l.toFixed(2)).join(' ')}`
+        : undefined],
+      ['cvm', env.cvmVersion],
+      ['cvm-benchmark', env.packageVersion],
+    ];
+    const items = fields
+      .filter(([, value]) => value !== undefined)
+      .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value!)}</td></tr>`)
+      .join('\n');
+    environmentSection = `<h2>Environment</h2>\n<table class="environment">\n${items}\n</table>`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Claude Code Startup Comparison — Run #${suite.runNumber}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem auto; max-width: 1000px; color: #222; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: #666; margin-top: 0; }
+  svg { width: 100%; height: auto; background: #fafafa; border: 1px solid #e5e5e5; border-radius: 4px; }
+  .grid { stroke: #e5e5e5; }
+  .axis { font-size: 10px; fill: #666; }
+  .series { fill: none; stroke: #3b6fd4; stroke-width: 1.5; }
+  .boundary { stroke: #d64545; stroke-dasharray: 4 4; }
+  .boundary-label { font-size: 11px; fill: #d64545; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+  .state { color: #fff; border-radius: 3px; padding: 1px 6px; font-size: 11px; }
+  .errors code { white-space: pre-wrap; }
+  .empty { color: #888; font-style: italic; }
+  .environment th { width: 140px; color: #666; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>Claude Code Startup Comparison</h1>
+<p class="meta">Run #${suite.runNumber} · ${escapeHtml(suite.timestamp)}${metadata.environment ? ` · ${escapeHtml(metadata.environment.host)}` : ''} · ${metadata.successfulVersions}/${metadata.totalVersions} successful · ${Math.round(metadata.duration / 1000)}s</p>
+
+<h2>--version spawn time</h2>
+${renderChart(spawnPoints, '--version spawn time')}
+
+<h2>Interactive startup time</h2>
+<p>${legend}</p>
+${renderChart(interactivePoints, 'interactive startup time')}
+
+<h2>Peak memory (RSS)</h2>
+${renderChart(memoryPoints, 'memory', formatBytes)}
+
+<h2>Per-version results</h2>
+<table>
+<thead><tr><th>Version</th><th>--version</th><th>Interactive</th><th>First output</th><th>Peak RSS</th><th>CPU</th><th>State</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+
+${environmentSection}
+
+${errorsSection}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML report for a suite run
+ *
+ * @param suite Suite results to render
+ * @param reporting Reporting section of the benchmark config
+ * @param outputPath Explicit output file (defaults to `<outputDir>/run-N.html`)
+ * @param sortBy Order of the per-version table
+ * @returns Absolute path of the written report
+ */
+export async function writeHtmlReport(
+  suite: BenchmarkSuiteResult,
+  reporting: BenchmarkConfig['reporting'],
+  outputPath?: string,
+  sortBy?: RankMetric
+): Promise<string> {
+  const filePath = expandHome(
+    outputPath ?? join(reporting.outputDir, `run-${suite.runNumber}.html`)
+  );
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, renderHtmlReport(suite, { includeErrors: reporting.includeErrors, sortBy }));
+  return filePath;
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const suite: BenchmarkSuiteResult = {
+    runNumber: 7,
+    timestamp: '2025-01-01T00:00:00.000Z',
+    config: {},
+    results: [
+      {
+        version: '1.0.23',
+        interactiveBenchmark: {
+          version: '1.0.23', timestamp: '', runs: [], avgTime: 400, minTime: 400, maxTime: 400,
+          stdDev: 0, result: 'ui_then_exit', reason: '',
+        },
+      },
+      {
+        version: '1.0.24',
+        versionBenchmark: {
+          version: '1.0.24', timestamp: '', runs: [200], avgTime: 200, minTime: 200, maxTime: 200, stdDev: 0,
+        },
+        interactiveBenchmark: {
+          version: '1.0.24', timestamp: '', runs: [], avgTime: 900, minTime: 900, maxTime: 900,
+          stdDev: 0, result: 'ready', reason: '',
+        },
+      },
+      { version: '2.0.0', error: 'Interactive benchmark failed: <boom>' },
+    ],
+    errors: [{ version: '2.0.0', error: 'Interactive benchmark failed: <boom>' }],
+    metadata: { totalVersions: 3, successfulVersions: 2, failedVersions: 1, duration: 5000 },
+  };
+
+  describe('renderHtmlReport', () => {
+    it('should be self-contained', () => {
+      const html = renderHtmlReport(suite);
+      expect(html).not.toMatch(/<script|<link|src="http/);
+      expect(html).toContain('Run #7');
+    });
+
+    it('should mark the viability boundary', () => {
+      expect(renderHtmlReport(suite)).toContain(`${MIN_VIABLE_VERSION}+ viable`);
+    });
+
+    it('should escape and optionally omit errors', () => {
+      expect(renderHtmlReport(suite)).toContain('&lt;boom&gt;');
+      expect(renderHtmlReport(suite, { includeErrors: false })).not.toContain('Errors (1)');
+    });
+
+    it('should show the environment when recorded', () => {
+      expect(renderHtmlReport(suite)).not.toContain('<h2>Environment</h2>');
+      const html = renderHtmlReport({
+        ...suite,
+        metadata: {
+          ...suite.metadata,
+          environment: {
+            host: 'bench-1', platform: 'linux', arch: 'x64', osRelease: '6.1.0', nodeVersion: 'v20.11.0',
+            nodeExecPath: '/usr/bin/node', cpuModel: 'Xeon', cpuCores: 8, totalMemoryBytes: 8e9, freeMemoryBytes: 4e9,
+          },
+        },
+      });
+      expect(html).toContain('<h2>Environment</h2>');
+      expect(html).toContain('bench-1');
+    });
+
+    it('should format point tooltips in the unit of the chart', () => {
+      const metric = (avg: number) => ({ avg, min: avg, max: avg, stdDev: 0 });
+      const html = renderHtmlReport({
+        ...suite,
+        results: [{
+          version: '2.0.1',
+          versionBenchmark: {
+            version: '2.0.1', timestamp: '', runs: [200], avgTime: 200, minTime: 200, maxTime: 200, stdDev: 0,
+            resources: {
+              peakRssBytes: metric(52428800), userCpuMs: metric(0), systemCpuMs: metric(0),
+              peakOpenFds: metric(0), readBytes: metric(0), writeBytes: metric(0),
+            },
+          },
+        }],
+      });
+      expect(html).toContain('<title>2.0.1: 200ms</title>');
+      expect(html).toContain('<title>2.0.1: 50.0MB</title>');
+      expect(html).not.toContain('52428800ms');
+    });
+
+    it('should rank the table by a metric', () => {
+      const html = renderHtmlReport(suite, { sortBy: 'interactive' });
+      expect(html.indexOf('<td>1.0.24</td>')).toBeLessThan(html.indexOf('<td>1.0.23</td>'));
+    });
+  });
+}
@@ -1,11 +1,26 @@
-import { writeFile, readFile, mkdir } from 'fs/promises';
+import { writeFile, readFile, mkdir, appendFile, rename } from 'fs/promises';
+import { existsSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
 import type {
   BenchmarkSuiteResult,
+  EnvironmentFingerprint,
+  HistoryEntry,
   InteractiveBenchmarkResult,
+  JournalEntry,
+  RunCheckpoint,
   VersionBenchmarkResult,
 } from '../types/benchmark.js';
+import { HistoryEntrySchema, JournalEntrySchema } from '../types/benchmark.js';
+import type { WatchState } from '../types/watch.js';
+import { WatchStateSchema } from '../types/watch.js';
+import { toHistoryEntries } from '../analysis/history.js';
+
+/** Cross-run index in the benchmarks directory, one JSON line per version per run */
+const HISTORY_FILE = 'history.jsonl';
+
+/** State of the `watch` command in the benchmarks directory */
+const WATCH_STATE_FILE = 'watch-state.json';
 
 export class ResultStore {
   constructor(private baseDir: string = join(homedir(), '.cvm', 'benchmarks')) {}
@@ -87,6 +102,9 @@ export class ResultStore {
       timestamp: string;
       versionsCount: number;
       config: any;
+      concurrency?: number;
+      systemLoad?: { start: number[]; end: number[] };
+      environment?: EnvironmentFingerprint;
     }
   ): Promise<void> {
     const runDir = join(this.baseDir, `run-${runNumber}`);
@@ -96,6 +114,33 @@ export class ResultStore {
     await writeFile(filePath, JSON.stringify(metadata, null, 2));
   }
 
+  /**
+   * Directory holding all files of a run
+   */
+  getRunDir(runNumber: number): string {
+    return join(this.baseDir, `run-${runNumber}`);
+  }
+
+  /**
+   * Path for the recording of one PTY sample (under run-N/recordings/)
+   */
+  getRecordingPath(runNumber: number, version: string, scenario: string, sample: number): string {
+    return join(this.getRunDir(runNumber), 'recordings', `${version}-${scenario}-${sample}.cast`);
+  }
+
+  /**
+   * Load a recording referenced from a run result
+   *
+   * @param recording Path relative to the run directory (`BenchmarkRunResult.recording`)
+   */
+  async loadRecording(runNumber: number, recording: string): Promise<string | null> {
+    try {
+      return await readFile(join(this.getRunDir(runNumber), recording), 'utf-8');
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Load suite results from run directory
    */
@@ -110,49 +155,227 @@ export class ResultStore {
   }
 
   /**
-   * Get next run number
+   * Save the checkpoint for a run that is about to start
    */
-  async getNextRunNumber(): Promise<number> {
+  async saveCheckpoint(runNumber: number, checkpoint: RunCheckpoint): Promise<void> {
+    const runDir = join(this.baseDir, `run-${runNumber}`);
+    await mkdir(runDir, { recursive: true });
+
+    const filePath = join(runDir, 'checkpoint.json');
+    await writeFile(filePath, JSON.stringify(checkpoint, null, 2));
+  }
+
+  /**
+   * Load the checkpoint of a run
+   */
+  async loadCheckpoint(runNumber: number): Promise<RunCheckpoint | null> {
+    try {
+      const filePath = join(this.baseDir, `run-${runNumber}`, 'checkpoint.json');
+      const data = await readFile(filePath, 'utf-8');
+      return JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Append a finished version to the run journal
+   */
+  async appendJournalEntry(runNumber: number, entry: JournalEntry): Promise<void> {
+    const runDir = join(this.baseDir, `run-${runNumber}`);
+    await mkdir(runDir, { recursive: true });
+
+    const filePath = join(runDir, 'journal.jsonl');
+    await appendFile(filePath, JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Load journal entries of a run
+   *
+   * Lines that fail to parse (e.g. a write cut short by a crash) are skipped.
+   */
+  async loadJournal(runNumber: number): Promise<JournalEntry[]> {
+    let data: string;
+    try {
+      data = await readFile(join(this.baseDir, `run-${runNumber}`, 'journal.jsonl'), 'utf-8');
+    } catch {
+      return [];
+    }
+
+    const entries: JournalEntry[] = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const parsed = JournalEntrySchema.safeParse(JSON.parse(line));
+        if (parsed.success) entries.push(parsed.data);
+      } catch {
+        // Truncated line
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Find the most recent run that has a checkpoint but no final results
+   */
+  async findResumableRun(): Promise<number | null> {
+    const runs = await this.listRunNumbers();
+    for (const runNumber of runs.reverse()) {
+      if (await this.loadSuiteResults(runNumber)) continue;
+      if (await this.loadCheckpoint(runNumber)) return runNumber;
+    }
+    return null;
+  }
+
+  /**
+   * List run numbers that exist on disk, ascending
+   */
+  async listRunNumbers(): Promise<number[]> {
     try {
       const { readdir } = await import('fs/promises');
       const entries = await readdir(this.baseDir);
-      const runs = entries
+      return entries
         .filter((f) => f.startsWith('run-'))
         .map((f) => parseInt(f.replace('run-', '')))
-        .filter((n) => !isNaN(n));
-
-      return runs.length > 0 ? Math.max(...runs) + 1 : 1;
+        .filter((n) => !isNaN(n))
+        .sort((a, b) => a - b);
     } catch {
-      return 1;
+      return [];
     }
   }
 
+  /**
+   * Get the most recent run number, or null if no runs exist
+   */
+  async getLatestRunNumber(): Promise<number | null> {
+    const runs = await this.listRunNumbers();
+    return runs.length > 0 ? runs[runs.length - 1] : null;
+  }
+
+  /**
+   * Get the most recent run that finished (has results), or null if none did
+   *
+   * Runs in progress or interrupted only have a checkpoint and journal.
+   */
+  async getLatestCompletedRunNumber(): Promise<number | null> {
+    const runs = await this.listRunNumbers();
+    return runs.reverse().find((n) => existsSync(join(this.getRunDir(n), 'results.json'))) ?? null;
+  }
+
+  /**
+   * Get next run number
+   */
+  async getNextRunNumber(): Promise<number> {
+    const latest = await this.getLatestRunNumber();
+    return latest !== null ? latest + 1 : 1;
+  }
+
   /**
    * Get all versions that have been benchmarked across all runs
    */
   async getBenchmarkedVersions(): Promise<Set<string>> {
     const benchmarked = new Set<string>();
+    for (const entry of await this.loadHistory()) {
+      // Only count as benchmarked if it succeeded (no error)
+      if (!entry.error) {
+        benchmarked.add(entry.version);
+      }
+    }
+    return benchmarked;
+  }
+
+  /**
+   * Add a finished run to the history index
+   *
+   * Entries of the same run are replaced, so recording a run twice is
+   * harmless. A missing index is rebuilt from all runs on disk instead.
+   */
+  async recordHistory(suite: BenchmarkSuiteResult): Promise<void> {
+    const filePath = join(this.baseDir, HISTORY_FILE);
+    if (!existsSync(filePath)) {
+      await this.rebuildHistory();
+      return;
+    }
+
+    const existing = await this.readHistoryFile();
+    const lines = toHistoryEntries(suite).map((entry) => JSON.stringify(entry) + '\n');
+    if (existing?.some((e) => e.runNumber === suite.runNumber)) {
+      const kept = existing.filter((e) => e.runNumber !== suite.runNumber);
+      await writeFile(filePath, kept.map((e) => JSON.stringify(e) + '\n').join('') + lines.join(''));
+    } else {
+      await appendFile(filePath, lines.join(''));
+    }
+  }
+
+  /**
+   * Recreate the history index from every `run-N/results.json`
+   */
+  async rebuildHistory(): Promise<HistoryEntry[]> {
+    const entries: HistoryEntry[] = [];
+    for (const runNumber of await this.listRunNumbers()) {
+      const suite = await this.loadSuiteResults(runNumber);
+      if (suite?.results) entries.push(...toHistoryEntries(suite));
+    }
+
+    await mkdir(this.baseDir, { recursive: true });
+    await writeFile(join(this.baseDir, HISTORY_FILE), entries.map((e) => JSON.stringify(e) + '\n').join(''));
+    return entries;
+  }
 
+  /**
+   * Load the watch state (null before the first poll)
+   */
+  async loadWatchState(): Promise<WatchState | null> {
+    let data: string;
     try {
-      const { readdir } = await import('fs/promises');
-      const entries = await readdir(this.baseDir);
-      const runDirs = entries.filter((f) => f.startsWith('run-'));
-
-      for (const runDir of runDirs) {
-        const results = await this.loadSuiteResults(parseInt(runDir.replace('run-', '')));
-        if (results?.results) {
-          for (const result of results.results) {
-            // Only count as benchmarked if it succeeded (no error)
-            if (!result.error && result.version) {
-              benchmarked.add(result.version);
-            }
-          }
-        }
-      }
+      data = await readFile(join(this.baseDir, WATCH_STATE_FILE), 'utf-8');
     } catch {
-      // Return empty set if no runs exist
+      return null;
     }
+    return WatchStateSchema.parse(JSON.parse(data));
+  }
 
-    return benchmarked;
+  /**
+   * Save the watch state, replacing the file atomically so a watcher killed
+   * mid-write keeps the previous state
+   */
+  async saveWatchState(state: WatchState): Promise<void> {
+    await mkdir(this.baseDir, { recursive: true });
+    const filePath = join(this.baseDir, WATCH_STATE_FILE);
+    await writeFile(`${filePath}.tmp`, JSON.stringify(state, null, 2));
+    await rename(`${filePath}.tmp`, filePath);
+  }
+
+  /**
+   * Load the history index, building it on first use
+   */
+  async loadHistory(): Promise<HistoryEntry[]> {
+    const entries = await this.readHistoryFile();
+    if (entries) return entries;
+    return (await this.listRunNumbers()).length > 0 ? this.rebuildHistory() : [];
+  }
+
+  /**
+   * Parse the history index (null when it does not exist; bad lines are skipped)
+   */
+  private async readHistoryFile(): Promise<HistoryEntry[] | null> {
+    let data: string;
+    try {
+      data = await readFile(join(this.baseDir, HISTORY_FILE), 'utf-8');
+    } catch {
+      return null;
+    }
+
+    const entries: HistoryEntry[] = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const parsed = HistoryEntrySchema.safeParse(JSON.parse(line));
+        if (parsed.success) entries.push(parsed.data);
+      } catch {
+        // Truncated line
+      }
+    }
+    return entries;
   }
 }
@@ -1,4 +1,10 @@
 import { z } from 'zod';
+import { OutlierStrategySchema } from './config.js';
+
+/**
+ * Oldest Claude Code version that starts an interactive session
+ */
+export const MIN_VIABLE_VERSION = '1.0.24';
 
 /**
  * Benchmark result states
@@ -25,11 +31,111 @@ export const TerminalSignalsSchema = z.object({
 
 export type TerminalSignals = z.infer<typeof TerminalSignalsSchema>;
 
+/**
+ * Milestones of a PTY startup, in ms since the process was spawned
+ *
+ * Raw wall-clock offsets: unlike `time`, they include the delay before the
+ * trust prompt is answered. Milestones that did not happen are absent.
+ */
+export const StartupTimelineSchema = z.object({
+  /** First byte of terminal output */
+  firstByte: z.number().optional(),
+
+  /** Trust prompt (`Do you trust the files`) appeared */
+  trustPrompt: z.number().optional(),
+
+  /** Enter sent to accept the trust prompt */
+  trustAccepted: z.number().optional(),
+
+  /** Bracketed paste enabled (`ESC[?2004h`) */
+  bracketedPaste: z.number().optional(),
+
+  /** Focus events enabled (`ESC[?1004h`) */
+  focusEvents: z.number().optional(),
+
+  /** `>` input prompt rendered */
+  prompt: z.number().optional(),
+
+  /** All ready signals received */
+  ready: z.number().optional(),
+
+  /** Process still alive after the stability wait */
+  stable: z.number().optional(),
+
+  /** Keystroke probe echoed (keystroke mode only) */
+  keystrokeEcho: z.number().optional(),
+
+  /** Process exited on its own */
+  exit: z.number().optional(),
+});
+
+export type StartupTimeline = z.infer<typeof StartupTimelineSchema>;
+
+/**
+ * Resource usage of one sample, summed over the benchmarked process tree
+ *
+ * Sampled from /proc (Linux only); values of short-lived descendants that
+ * exit between polls may be missed.
+ */
+export const ResourceUsageSchema = z.object({
+  /** Peak resident set size of the process tree (bytes) */
+  peakRssBytes: z.number(),
+
+  /** CPU time spent in user mode (ms) */
+  userCpuMs: z.number(),
+
+  /** CPU time spent in the kernel (ms) */
+  systemCpuMs: z.number(),
+
+  /** Most file descriptors open at once across the process tree (as seen by a poll) */
+  peakOpenFds: z.number(),
+
+  /** Bytes read via read-like syscalls */
+  readBytes: z.number(),
+
+  /** Bytes written via write-like syscalls */
+  writeBytes: z.number(),
+});
+
+export type ResourceUsage = z.infer<typeof ResourceUsageSchema>;
+
+/**
+ * Aggregate of one resource metric over the samples of a version
+ */
+export const MetricSummarySchema = z.object({
+  avg: z.number(),
+  min: z.number(),
+  max: z.number(),
+  stdDev: z.number(),
+});
+
+export type MetricSummary = z.infer<typeof MetricSummarySchema>;
+
+/**
+ * Per-version aggregate of `ResourceUsage`
+ */
+export const ResourceSummarySchema = z.object({
+  peakRssBytes: MetricSummarySchema,
+  userCpuMs: MetricSummarySchema,
+  systemCpuMs: MetricSummarySchema,
+  peakOpenFds: MetricSummarySchema,
+  readBytes: MetricSummarySchema,
+  writeBytes: MetricSummarySchema,
+});
+
+export type ResourceSummary = z.infer<typeof ResourceSummarySchema>;
+
 /**
  * Single benchmark run result
  */
 export const BenchmarkRunResultSchema = z.object({
-  /** Time taken for this run (ms) */
+  /**
+   * Time taken for this run (ms)
+   *
+   * PTY runs measure until the ready signals (or keystroke echo) and
+   * exclude delays added by the benchmark itself, such as the stability
+   * wait and the pause before answering the trust prompt.
+   */
   time: z.number(),
 
   /** Result state */
@@ -41,6 +147,9 @@ export const BenchmarkRunResultSchema = z.object({
   /** Terminal signals (PTY benchmark only) */
   signals: TerminalSignalsSchema.optional(),
 
+  /** Startup milestones (PTY benchmark only) */
+  timeline: StartupTimelineSchema.optional(),
+
   /** Exit code (if exited) */
   exitCode: z.number().optional(),
 
@@ -55,10 +164,53 @@ export const BenchmarkRunResultSchema = z.object({
 
   /** Raw output for debugging */
   rawOutput: z.string().optional(),
+
+  /** Memory, CPU and I/O of the process tree (Linux only) */
+  resources: ResourceUsageSchema.optional(),
+
+  /** Asciicast of the PTY session, relative to the run directory (`--record` only) */
+  recording: z.string().optional(),
+
+  /** Detector rules behind the classification (PTY benchmark only) */
+  detection: z.object({
+    /** Version of the rule set that was applied */
+    rulesVersion: z.string(),
+    /** Rule that decided the result (error rule, or the signal that completed readiness) */
+    rule: z.string().optional(),
+    /** Every rule that fired, in order */
+    fired: z.array(z.string()),
+  }).optional(),
 });
 
 export type BenchmarkRunResult = z.infer<typeof BenchmarkRunResultSchema>;
 
+/**
+ * Robust statistics over the samples of a benchmark
+ *
+ * Computed over the samples kept after outlier rejection.
+ */
+export const SampleStatisticsSchema = z.object({
+  /** Number of samples kept after outlier rejection */
+  sampleCount: z.number(),
+  median: z.number(),
+  p90: z.number(),
+  p95: z.number(),
+
+  /** 95% bootstrap confidence interval for the mean */
+  ci95: z.object({
+    lower: z.number(),
+    upper: z.number(),
+  }),
+
+  /** Rejected sample values */
+  outliers: z.array(z.number()),
+
+  /** Outlier strategy that was applied */
+  outlierStrategy: OutlierStrategySchema,
+});
+
+export type SampleStatistics = z.infer<typeof SampleStatisticsSchema>;
+
 /**
  * Version spawn benchmark result
  */
@@ -70,6 +222,8 @@ export const VersionBenchmarkResultSchema = z.object({
   minTime: z.number(),
   maxTime: z.number(),
   stdDev: z.number(),
+  stats: SampleStatisticsSchema.optional(),
+  resources: ResourceSummarySchema.optional(),
 });
 
 export type VersionBenchmarkResult = z.infer<typeof VersionBenchmarkResultSchema>;
@@ -85,24 +239,84 @@ export const InteractiveBenchmarkResultSchema = z.object({
   minTime: z.number(),
   maxTime: z.number(),
   stdDev: z.number(),
+  stats: SampleStatisticsSchema.optional(),
+  resources: ResourceSummarySchema.optional(),
+  /** Median of each startup milestone over the samples that reached it */
+  timeline: StartupTimelineSchema.optional(),
   result: BenchmarkResultState,
   reason: z.string(),
 });
 
 export type InteractiveBenchmarkResult = z.infer<typeof InteractiveBenchmarkResultSchema>;
 
+/**
+ * Result of a pluggable benchmark scenario
+ */
+export const ScenarioBenchmarkResultSchema = InteractiveBenchmarkResultSchema.extend({
+  scenario: z.string(),
+});
+
+export type ScenarioBenchmarkResult = z.infer<typeof ScenarioBenchmarkResultSchema>;
+
 /**
  * Combined benchmark results for a version
+ *
+ * The `version` and `interactive` scenarios are stored in their legacy
+ * fields; every other scenario is keyed by id under `scenarios`.
  */
 export const CombinedBenchmarkResultSchema = z.object({
+  /** CVM version, or the label of a `--target` */
   version: z.string(),
+  /** What a labelled target ran (absent for plain CVM versions) */
+  target: z.object({
+    /** Executable or entry point, for targets that are not CVM installs */
+    path: z.string().optional(),
+    /** CVM version behind a relabelled install */
+    version: z.string().optional(),
+  }).optional(),
+  /** Node.js runtime the CLI ran under in a runtime matrix (`version` is then `<label>@node<version>`) */
+  runtime: z.object({
+    path: z.string(),
+    /** Node.js version without the `v` (e.g. 22.11.0) */
+    version: z.string(),
+  }).optional(),
   versionBenchmark: VersionBenchmarkResultSchema.optional(),
   interactiveBenchmark: InteractiveBenchmarkResultSchema.optional(),
+  scenarios: z.record(z.string(), ScenarioBenchmarkResultSchema).optional(),
   error: z.string().optional(),
 });
 
 export type CombinedBenchmarkResult = z.infer<typeof CombinedBenchmarkResultSchema>;
 
+/**
+ * Machine and toolchain a run was made with
+ *
+ * Load averages are recorded separately in the run metadata (`systemLoad`).
+ */
+export const EnvironmentFingerprintSchema = z.object({
+  host: z.string(),
+  platform: z.string(),
+  arch: z.string(),
+  /** Kernel release (`os.release()`) */
+  osRelease: z.string(),
+  osVersion: z.string().optional(),
+  nodeVersion: z.string(),
+  nodeExecPath: z.string(),
+  cpuModel: z.string(),
+  cpuCores: z.number(),
+  /** cpufreq scaling governor of CPU 0 (Linux only) */
+  cpuGovernor: z.string().optional(),
+  totalMemoryBytes: z.number(),
+  /** Free memory when the run started */
+  freeMemoryBytes: z.number(),
+  /** Output of `cvm --version` (absent when cvm is not on PATH) */
+  cvmVersion: z.string().optional(),
+  /** Version of this benchmark package */
+  packageVersion: z.string().optional(),
+});
+
+export type EnvironmentFingerprint = z.infer<typeof EnvironmentFingerprintSchema>;
+
 /**
  * Benchmark suite results
  */
@@ -120,7 +334,81 @@ export const BenchmarkSuiteResultSchema = z.object({
     successfulVersions: z.number(),
     failedVersions: z.number(),
     duration: z.number(),
+    /** Versions benchmarked in parallel (absent in older runs = 1) */
+    concurrency: z.number().optional(),
+    /** 1/5/15 minute load averages when the run started and ended */
+    systemLoad: z.object({
+      start: z.array(z.number()),
+      end: z.array(z.number()),
+    }).optional(),
+    /** Machine and toolchain the run was made with (absent in older runs) */
+    environment: EnvironmentFingerprintSchema.optional(),
   }),
 });
 
 export type BenchmarkSuiteResult = z.infer<typeof BenchmarkSuiteResultSchema>;
+
+/**
+ * Checkpoint written when a suite run starts, used to resume it
+ */
+export const RunCheckpointSchema = z.object({
+  runNumber: z.number(),
+  startedAt: z.string(),
+  config: z.any(), // BenchmarkConfig
+
+  /** Versions planned for this run, in benchmark order */
+  versions: z.array(z.string()),
+});
+
+export type RunCheckpoint = z.infer<typeof RunCheckpointSchema>;
+
+/**
+ * Journal entry appended as each version finishes
+ */
+export const JournalEntrySchema = z.object({
+  result: CombinedBenchmarkResultSchema,
+
+  /** Time spent benchmarking this version (ms) */
+  elapsed: z.number(),
+
+  /** Wall time of the run so far, including earlier sessions of a resumed run (ms) */
+  runElapsed: z.number().optional(),
+});
+
+export type JournalEntry = z.infer<typeof JournalEntrySchema>;
+
+/**
+ * Summary of one scenario in a history entry
+ */
+export const HistoryScenarioSchema = z.object({
+  avgTime: z.number(),
+  stdDev: z.number(),
+  minTime: z.number(),
+  maxTime: z.number(),
+  median: z.number().optional(),
+  /** Raw sample times (ms) */
+  samples: z.array(z.number()),
+  result: BenchmarkResultState.optional(),
+  peakRssBytes: z.number().optional(),
+});
+
+export type HistoryScenario = z.infer<typeof HistoryScenarioSchema>;
+
+/**
+ * One version in one run, as stored in the cross-run history index
+ * (`history.jsonl` in the benchmarks directory)
+ */
+export const HistoryEntrySchema = z.object({
+  runNumber: z.number(),
+  /** When the run finished */
+  timestamp: z.string(),
+  host: z.string().optional(),
+  version: z.string(),
+  /** Interactive outcome, or `error` when the version threw */
+  state: z.union([BenchmarkResultState, z.literal('error')]).optional(),
+  error: z.string().optional(),
+  /** Keyed by scenario id (`version`, `interactive`, ...) */
+  scenarios: z.record(z.string(), HistoryScenarioSchema),
+});
+
+export type HistoryEntry = z.infer<typeof HistoryEntrySchema>;
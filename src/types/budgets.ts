@@ -0,0 +1,48 @@
+import { z } from 'zod';
+
+/**
+ * Measurement a budget limits (`memory` is peak RSS in bytes, the rest are ms)
+ */
+export const BudgetMetricSchema = z.enum(['interactive', 'spawn', 'memory']);
+
+export type BudgetMetric = z.infer<typeof BudgetMetricSchema>;
+
+/**
+ * Statistic of the samples compared against the limit
+ */
+export const BudgetStatSchema = z.enum(['avg', 'median', 'p90', 'p95', 'max']);
+
+export type BudgetStat = z.infer<typeof BudgetStatSchema>;
+
+/**
+ * A performance budget for a range of versions
+ *
+ * Either limits a metric (`metric` + `limit`) or requires an interactive
+ * result state, e.g. `{ "min": "2.0.0", "metric": "interactive", "stat":
+ * "p95", "limit": 1500 }` or `{ "min": "1.0.24", "state": "ready" }`.
+ */
+export const BudgetSchema = z.object({
+  /** Label used in the check output (defaults to a description of the budget) */
+  name: z.string().optional(),
+
+  /** Oldest version the budget applies to (inclusive) */
+  min: z.string().regex(/^\d+\.\d+\.\d+$/).optional(),
+
+  /** Newest version the budget applies to (inclusive) */
+  max: z.string().regex(/^\d+\.\d+\.\d+$/).optional(),
+
+  metric: BudgetMetricSchema.optional(),
+
+  stat: BudgetStatSchema.default('avg'),
+
+  /** The statistic must stay below this value (ms, or bytes for memory) */
+  limit: z.number().positive().optional(),
+
+  /** Required interactive result state (only `ready` can be required) */
+  state: z.literal('ready').optional(),
+}).refine(
+  (budget) => budget.state !== undefined || (budget.metric !== undefined && budget.limit !== undefined),
+  { message: 'A budget needs either metric and limit, or state' }
+);
+
+export type Budget = z.infer<typeof BudgetSchema>;
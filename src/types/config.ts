@@ -1,4 +1,7 @@
 import { z } from 'zod';
+import { DetectorOverridesSchema } from './detectors.js';
+import { BudgetSchema } from './budgets.js';
+import { isValidRange } from '../utils/semver.js';
 
 /**
  * Benchmark Configuration Schema
@@ -9,8 +12,42 @@ import { z } from 'zod';
  * - limit: Maximum number of versions to test
  * - include: Specific versions to include
  * - exclude: Specific versions to exclude
+ * - range: npm-style range expression (e.g. ">=1.0.24 <2.0.0", "^2.0 || ~1.0.30")
+ * - sample: Sampling strategy for quick sweeps across history
  */
 
+/**
+ * How samples are filtered before statistics are computed
+ * - none: use every sample
+ * - mad: reject samples with a modified z-score above 3.5 (median absolute deviation)
+ */
+export const OutlierStrategySchema = z.enum(['none', 'mad']);
+
+export type OutlierStrategy = z.infer<typeof OutlierStrategySchema>;
+
+/**
+ * Version sampling, applied after the version filters and before `limit`
+ * (in the order changed, lastPatches, every)
+ */
+export const VersionSampleSchema = z.object({
+  /** Keep every Nth version, counting back from the newest */
+  every: z.number().int().min(2).optional(),
+
+  /** Keep the newest K patch releases of every major.minor */
+  lastPatches: z.number().int().min(1).optional(),
+
+  /**
+   * Keep only versions whose latest stored result differs from a
+   * neighbour's by more than `percent` (versions without results are kept)
+   */
+  changed: z.object({
+    metric: z.enum(['spawn', 'interactive']).default('interactive'),
+    percent: z.number().positive().default(10),
+  }).optional(),
+});
+
+export type VersionSample = z.infer<typeof VersionSampleSchema>;
+
 export const BenchmarkConfigSchema = z.object({
   /** Benchmark configuration */
   benchmark: z.object({
@@ -20,17 +57,32 @@ export const BenchmarkConfigSchema = z.object({
     /** Timeout for each benchmark run (ms) */
     timeout: z.number().min(1000).max(600000).default(120000),
 
-    /** Run both version and interactive benchmarks */
+    /** Run both version and interactive benchmarks (false drops the `version` scenario) */
     runBoth: z.boolean().default(true),
+
+    /** Scenario ids to run per version (see src/benchmarks/scenarios.ts) */
+    scenarios: z.array(z.string()).min(1).default(['version', 'interactive']),
+
+    /** Discarded runs per version before measuring (absorbs cold-start effects) */
+    warmupRuns: z.number().int().min(0).default(0),
+
+    /** Outlier rejection applied before computing statistics */
+    outlierStrategy: OutlierStrategySchema.default('none'),
+
+    /** Versions benchmarked in parallel (>1 pins each worker to its own CPU where possible) */
+    concurrency: z.number().int().min(1).max(64).default(1),
+
+    /** Record memory, CPU and I/O of every sample from /proc (Linux; polls during the timed sample) */
+    resources: z.boolean().default(false),
   }).default({}),
 
   /** Version filtering */
   versions: z.object({
     /** Minimum version to benchmark (inclusive) */
-    min: z.string().regex(/^\d+\.\d+\.\d+$/).optional(),
+    min: z.string().regex(/^\d+\.\d+\.\d+(-[\w.]+)?$/).optional(),
 
     /** Maximum version to benchmark (inclusive) */
-    max: z.string().regex(/^\d+\.\d+\.\d+$/).optional(),
+    max: z.string().regex(/^\d+\.\d+\.\d+(-[\w.]+)?$/).optional(),
 
     /** Maximum number of versions to benchmark */
     limit: z.number().min(1).optional(),
@@ -40,6 +92,46 @@ export const BenchmarkConfigSchema = z.object({
 
     /** Specific versions to exclude */
     exclude: z.array(z.string()).default([]),
+
+    /** Range expression the versions must match, combined with min/max (e.g. ">=1.0.24 <2.0.0, ^2.0") */
+    range: z.string().refine(isValidRange, { message: 'Invalid version range expression' }).optional(),
+
+    /** Also benchmark prerelease versions (e.g. 2.0.0-beta.1) */
+    prerelease: z.boolean().optional(),
+
+    /** Thin out the matching versions */
+    sample: VersionSampleSchema.optional(),
+  }).default({}),
+
+  /**
+   * Labelled targets to benchmark instead of the filtered CVM versions:
+   * `label=path` for a local build, tarball or executable, or a CVM version
+   * (e.g. ["local=./cli.js", "2.0.42"])
+   */
+  targets: z.array(z.string()).default([]),
+
+  /**
+   * Node.js executables to run every version's CLI entry with, one result
+   * per version and runtime (empty: the `node` on PATH)
+   */
+  runtimes: z.array(z.string()).default([]),
+
+  /** Installing versions through cvm (auto-install, `install` and streaming runs) */
+  install: z.object({
+    /** Versions installed in parallel */
+    concurrency: z.number().int().min(1).max(16).default(2),
+
+    /** Attempts after a failed `cvm install` */
+    retries: z.number().int().min(0).max(10).default(2),
+
+    /** Delay before the first retry (ms), doubled for every further one */
+    retryDelayMs: z.number().min(0).max(600000).default(2000),
+
+    /** Estimated disk usage of one installed version (MB), for the free-space check */
+    versionSizeMb: z.number().positive().default(100),
+
+    /** Install, benchmark and uninstall one version at a time during `run` */
+    stream: z.boolean().default(false),
   }).default({}),
 
   /** Storage configuration */
@@ -52,6 +144,66 @@ export const BenchmarkConfigSchema = z.object({
 
     /** Keep session files for error analysis */
     keepErrorSessions: z.boolean().default(true),
+
+    /** Save every PTY sample as an asciicast under run-N/recordings/ */
+    recordings: z.boolean().default(false),
+  }).default({}),
+
+  /** Per-sample HOME/working directory sandbox */
+  sandbox: z.object({
+    /** Run every sample in a throwaway HOME and cwd instead of the user's */
+    enabled: z.boolean().default(false),
+
+    /** Directory copied into the sandbox HOME (e.g. fixed ~/.claude settings) */
+    template: z.string().optional(),
+
+    /** Pre-accept the trust prompt and onboarding for the sandbox cwd */
+    seedTrust: z.boolean().default(true),
+  }).default({}),
+
+  /** Local mock Anthropic API (makes interactive and print-mode runs hermetic) */
+  mockApi: z.object({
+    /** Start the mock server and point benchmarked processes at it */
+    enabled: z.boolean().default(false),
+
+    /** Delay before every response (ms) */
+    latencyMs: z.number().min(0).max(60000).default(0),
+
+    /** Text returned as the assistant message */
+    responseText: z.string().default('ok'),
+  }).default({}),
+
+  /**
+   * Overrides for the PTY readiness and error detectors, merged into the
+   * built-in rules by id (see DEFAULT_DETECTOR_RULES)
+   */
+  detectors: DetectorOverridesSchema.default({}),
+
+  /** Performance budgets checked by `check` and `run --assert` */
+  budgets: z.array(BudgetSchema).default([]),
+
+  /** Where published versions are listed from (`npm view` by default) */
+  registry: z.object({
+    /** npm registry to query instead of the default, e.g. a local mirror */
+    url: z.string().url().optional(),
+
+    /** Shell command printing the published versions (JSON array or one per line) */
+    command: z.string().optional(),
+  }).default({}),
+
+  /** Polling for newly published versions (`watch` command) */
+  watch: z.object({
+    /** Time between polls, e.g. `30m`, `1h` or `1h30m` */
+    interval: z.string().regex(/^(\d+[smhd])+$/).default('1h'),
+
+    /** Uninstall versions the watcher installed once they are benchmarked */
+    uninstall: z.boolean().default(false),
+  }).default({}),
+
+  /** Behaviour when loaded as a CVM plugin */
+  plugin: z.object({
+    /** Benchmark every version right after `cvm install` and compare it to the previous one */
+    benchmarkAfterInstall: z.boolean().default(false),
   }).default({}),
 
   /** Reporting configuration */
@@ -69,6 +221,13 @@ export const BenchmarkConfigSchema = z.object({
 
 export type BenchmarkConfig = z.infer<typeof BenchmarkConfigSchema>;
 
+/**
+ * Partial config as found in config files, profiles and CLI flags
+ */
+export type BenchmarkConfigOverrides = {
+  [K in keyof BenchmarkConfig]?: Partial<BenchmarkConfig[K]>;
+};
+
 /**
  * Default configuration
  */
@@ -77,14 +236,50 @@ export const DEFAULT_CONFIG: BenchmarkConfig = {
     runsPerVersion: 3,
     timeout: 120000,
     runBoth: true,
+    scenarios: ['version', 'interactive'],
+    warmupRuns: 0,
+    outlierStrategy: 'none',
+    concurrency: 1,
+    resources: false,
   },
   versions: {
     exclude: [],
   },
+  targets: [],
+  runtimes: [],
+  install: {
+    concurrency: 2,
+    retries: 2,
+    retryDelayMs: 2000,
+    versionSizeMb: 100,
+    stream: false,
+  },
   storage: {
     baseDir: '~/.cvm/benchmarks',
     cleanupSessions: true,
     keepErrorSessions: true,
+    recordings: false,
+  },
+  sandbox: {
+    enabled: false,
+    seedTrust: true,
+  },
+  mockApi: {
+    enabled: false,
+    latencyMs: 0,
+    responseText: 'ok',
+  },
+  detectors: {
+    rules: [],
+  },
+  budgets: [],
+  registry: {},
+  watch: {
+    interval: '1h',
+    uninstall: false,
+  },
+  plugin: {
+    benchmarkAfterInstall: false,
   },
   reporting: {
     autoGenerate: true,
@@ -102,14 +297,14 @@ export const EXAMPLE_CONFIGS = {
     versions: {
       limit: 10,
     },
-  } as Partial<BenchmarkConfig>,
+  } as BenchmarkConfigOverrides,
 
   /** Test only 2.x versions */
   v2Only: {
     versions: {
       min: '2.0.0',
     },
-  } as Partial<BenchmarkConfig>,
+  } as BenchmarkConfigOverrides,
 
   /** Test range */
   range: {
@@ -117,7 +312,7 @@ export const EXAMPLE_CONFIGS = {
       min: '1.0.24',
       max: '2.0.50',
     },
-  } as Partial<BenchmarkConfig>,
+  } as BenchmarkConfigOverrides,
 
   /** Quick test (1 run per version, limit 5) */
   quick: {
@@ -127,5 +322,5 @@ export const EXAMPLE_CONFIGS = {
     versions: {
       limit: 5,
     },
-  } as Partial<BenchmarkConfig>,
+  } as BenchmarkConfigOverrides,
 };
@@ -0,0 +1,101 @@
+import { z } from 'zod';
+
+/**
+ * Ready signals a PTY session must show before it counts as started
+ */
+export const DetectorSignalSchema = z.enum(['bracketedPaste', 'focusEvents', 'prompt']);
+
+export type DetectorSignal = z.infer<typeof DetectorSignalSchema>;
+
+const RuleBaseSchema = z.object({
+  /** Stable id, recorded on results and used to override the rule from config */
+  id: z.string().min(1),
+
+  description: z.string().optional(),
+
+  /** Regular expression source (JSON-escaped, e.g. `"\\x1b\\[\\?2004h"`) */
+  pattern: z.string().min(1),
+
+  /** Regular expression flags */
+  flags: z.string().regex(/^[imsu]*$/).optional(),
+
+  /** Match against the latest output chunk or everything received so far */
+  scope: z.enum(['chunk', 'output']).default('chunk'),
+
+  /** Remove ANSI escape sequences before matching */
+  stripAnsi: z.boolean().default(false),
+
+  /** Disabled rules are kept in the set but never fire */
+  enabled: z.boolean().default(true),
+});
+
+/**
+ * Pattern that sets one of the ready signals
+ */
+export const SignalRuleSchema = RuleBaseSchema.extend({
+  type: z.literal('signal'),
+  signal: DetectorSignalSchema,
+});
+
+/**
+ * Pattern that is answered with input, e.g. Enter on the trust prompt
+ */
+export const RespondRuleSchema = RuleBaseSchema.extend({
+  type: z.literal('respond'),
+  /** Text written to the terminal (JSON-escaped, e.g. `"\\r"`) */
+  input: z.string(),
+  /** Pause before responding (ms); excluded from the reported startup time */
+  delayMs: z.number().min(0).max(10000).default(0),
+});
+
+/**
+ * Pattern that ends the sample as `error_detected`
+ */
+export const ErrorRuleSchema = RuleBaseSchema.extend({
+  type: z.literal('error'),
+  /** Stored as the result's `reason` */
+  reason: z.string(),
+  /** Patterns tried in order; the first capture group is the minimum version */
+  minVersionPatterns: z.array(z.string()).default([]),
+});
+
+export const DetectorRuleSchema = z.discriminatedUnion('type', [
+  SignalRuleSchema,
+  RespondRuleSchema,
+  ErrorRuleSchema,
+]);
+
+export type DetectorRule = z.infer<typeof DetectorRuleSchema>;
+
+/**
+ * Complete set of rules used to classify a PTY session
+ */
+export const DetectorRuleSetSchema = z.object({
+  /** Recorded on every result so classifications can be traced to a rule set */
+  version: z.string(),
+
+  /** Minimum version error rules are expected to report (a different one is warned about) */
+  expectedMinVersion: z.string().regex(/^\d+\.\d+\.\d+$/),
+
+  /** Signals that together mean the session is ready */
+  readyWhen: z.array(DetectorSignalSchema).min(1),
+
+  /** Evaluated in order on every chunk; each rule fires at most once */
+  rules: z.array(DetectorRuleSchema),
+});
+
+export type DetectorRuleSet = z.infer<typeof DetectorRuleSetSchema>;
+
+/**
+ * Config overrides: rules are matched to built-ins by id and merged field by
+ * field; rules with new ids are appended and must be complete
+ */
+export const DetectorOverridesSchema = z.object({
+  /** Label for the customized set (defaults to `<built-in version>+config`) */
+  version: z.string().optional(),
+  expectedMinVersion: z.string().regex(/^\d+\.\d+\.\d+$/).optional(),
+  readyWhen: z.array(DetectorSignalSchema).min(1).optional(),
+  rules: z.array(z.object({ id: z.string().min(1) }).passthrough()).default([]),
+});
+
+export type DetectorOverrides = z.infer<typeof DetectorOverridesSchema>;
@@ -0,0 +1,18 @@
+import { z } from 'zod';
+
+/**
+ * Persistent state of the `watch` command (`watch-state.json` in the
+ * benchmarks directory), so a restarted watcher does not redo work
+ */
+export const WatchStateSchema = z.object({
+  /** When the registry was last polled */
+  lastPoll: z.string().optional(),
+
+  /** Published versions already handled (benchmarked, filtered out or part of the baseline) */
+  known: z.array(z.string()),
+
+  /** Run number each version was benchmarked in */
+  benchmarked: z.record(z.string(), z.number()).default({}),
+});
+
+export type WatchState = z.infer<typeof WatchStateSchema>;
@@ -0,0 +1,148 @@
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Header line of an asciicast v2 file
+ *
+ * See https://docs.asciinema.org/manual/asciicast/v2/
+ */
+export interface AsciicastHeader {
+  version: 2;
+  width: number;
+  height: number;
+  /** Unix timestamp (s) of the start of the recording */
+  timestamp?: number;
+  title?: string;
+  env?: Record<string, string>;
+}
+
+/** `[seconds since start, 'o' (output) | 'i' (input), data]` */
+export type AsciicastEvent = [number, 'o' | 'i', string];
+
+export interface Asciicast {
+  header: AsciicastHeader;
+  events: AsciicastEvent[];
+}
+
+/**
+ * Collect terminal I/O of one PTY session as an asciicast
+ */
+export class AsciicastRecorder {
+  private readonly events: AsciicastEvent[] = [];
+  private readonly startTime = Date.now();
+  private readonly header: AsciicastHeader;
+
+  constructor(width: number, height: number, options: { title?: string; term?: string } = {}) {
+    this.header = {
+      version: 2,
+      width,
+      height,
+      timestamp: Math.floor(this.startTime / 1000),
+      ...(options.title && { title: options.title }),
+      ...(options.term && { env: { TERM: options.term } }),
+    };
+  }
+
+  /** Record data written by the process */
+  output(data: string): void {
+    this.events.push([this.elapsed(), 'o', data]);
+  }
+
+  /** Record data sent to the process */
+  input(data: string): void {
+    this.events.push([this.elapsed(), 'i', data]);
+  }
+
+  /** Serialize as asciicast v2 (newline-delimited JSON) */
+  toString(): string {
+    return [this.header, ...this.events].map((line) => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * Write the recording, creating parent directories
+   *
+   * Synchronous so it can run while the process that produced the
+   * recording is being torn down.
+   */
+  save(filePath: string): void {
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, this.toString());
+  }
+
+  private elapsed(): number {
+    return Math.round(Date.now() - this.startTime) / 1000;
+  }
+}
+
+/**
+ * Parse an asciicast v2 file
+ */
+export function parseAsciicast(text: string): Asciicast {
+  const [headerLine, ...lines] = text.split('\n').filter((line) => line.trim() !== '');
+  if (!headerLine) {
+    throw new Error('Empty recording');
+  }
+
+  const header = JSON.parse(headerLine) as AsciicastHeader;
+  if (header.version !== 2) {
+    throw new Error(`Unsupported asciicast version: ${header.version}`);
+  }
+
+  return { header, events: lines.map((line) => JSON.parse(line) as AsciicastEvent) };
+}
+
+/**
+ * Play the output events of a recording back with their original timing
+ *
+ * @param speed Playback speed multiplier
+ * @param maxIdle Cap on the pause between two events (s)
+ */
+export async function replayAsciicast(
+  cast: Asciicast,
+  write: (data: string) => void,
+  options: { speed?: number; maxIdle?: number } = {}
+): Promise<void> {
+  const { speed = 1, maxIdle = 2 } = options;
+  let previous = 0;
+
+  for (const [time, type, data] of cast.events) {
+    if (type !== 'o') continue;
+    const delay = Math.min(time - previous, maxIdle) / speed;
+    previous = time;
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+    }
+    write(data);
+  }
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('asciicast', () => {
+    it('should round-trip a recording', () => {
+      const recorder = new AsciicastRecorder(80, 30, { title: 'claude 2.0.1', term: 'xterm-256color' });
+      recorder.output('\x1b[?2004h> ');
+      recorder.input('x');
+
+      const cast = parseAsciicast(recorder.toString());
+      expect(cast.header).toMatchObject({ version: 2, width: 80, height: 30, env: { TERM: 'xterm-256color' } });
+      expect(cast.events.map(([, type, data]) => [type, data])).toEqual([['o', '\x1b[?2004h> '], ['i', 'x']]);
+    });
+
+    it('should replay only output events', async () => {
+      const written: string[] = [];
+      await replayAsciicast(
+        { header: { version: 2, width: 80, height: 24 }, events: [[0, 'o', 'a'], [0.01, 'i', 'x'], [0.02, 'o', 'b']] },
+        (data) => written.push(data),
+        { speed: 10 }
+      );
+      expect(written).toEqual(['a', 'b']);
+    });
+
+    it('should reject other versions', () => {
+      expect(() => parseAsciicast('{"version":1}')).toThrow(/Unsupported/);
+    });
+  });
+}
@@ -0,0 +1,136 @@
+import { execFile, execSync } from 'child_process';
+import { cpus } from 'os';
+import { logger } from './logger.js';
+
+/**
+ * Process items with at most `concurrency` workers in flight
+ *
+ * Each worker gets a stable slot number (0..concurrency-1), e.g. for CPU
+ * pinning. No new items are started once `shouldStop` returns true.
+ */
+export async function runWithConcurrency<T>(
+  items: T[],
+  concurrency: number,
+  worker: (item: T, slot: number) => Promise<void>,
+  shouldStop: () => boolean = () => false
+): Promise<void> {
+  let next = 0;
+  const slots = Math.max(1, Math.min(concurrency, items.length));
+
+  await Promise.all(
+    Array.from({ length: slots }, async (_, slot) => {
+      while (next < items.length && !shouldStop()) {
+        const item = items[next++];
+        await worker(item, slot);
+      }
+    })
+  );
+}
+
+let tasksetAvailable: boolean | null = null;
+
+function hasTaskset(): boolean {
+  if (tasksetAvailable === null) {
+    try {
+      execSync('command -v taskset', { stdio: 'ignore' });
+      tasksetAvailable = true;
+    } catch {
+      tasksetAvailable = false;
+      logger.debug('taskset not found, samples will not be pinned to CPUs');
+    }
+  }
+  return tasksetAvailable;
+}
+
+/**
+ * CPU for a worker slot, spreading slots over the available cores
+ */
+export function cpuForSlot(slot: number): number {
+  return slot % cpus().length;
+}
+
+/**
+ * Wrap a command so it (and its children) run pinned to one CPU
+ *
+ * Uses `taskset` on Linux; elsewhere, or when `cpu` is undefined, the
+ * command is returned unchanged. The extra exec makes startup slower, so
+ * only wrap processes that time something themselves (the PTY worker);
+ * pin directly timed processes with pinProcess.
+ */
+export function withCpuAffinity(
+  command: string,
+  args: string[],
+  cpu?: number
+): { command: string; args: string[] } {
+  if (cpu === undefined || process.platform !== 'linux' || !hasTaskset()) {
+    return { command, args };
+  }
+  return { command: 'taskset', args: ['-c', String(cpu), command, ...args] };
+}
+
+/**
+ * Pin an already spawned process (all of its threads) to one CPU
+ *
+ * Unlike withCpuAffinity this adds nothing to the timed spawn: `taskset -p`
+ * runs alongside the process, which starts unpinned for the few
+ * milliseconds until it applies. Processes it starts afterwards inherit the
+ * affinity. Resolves once applied; never rejects.
+ */
+export function pinProcess(pid: number | undefined, cpu?: number): Promise<void> {
+  if (pid === undefined || cpu === undefined || process.platform !== 'linux' || !hasTaskset()) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    execFile('taskset', ['-a', '-p', '-c', String(cpu), String(pid)], (error) => {
+      // The process may already have exited
+      if (error) logger.debug(`Could not pin process ${pid} to CPU ${cpu}: ${error.message}`);
+      resolve();
+    });
+  });
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('runWithConcurrency', () => {
+    it('should limit workers in flight and use stable slots', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const slotsSeen = new Set<number>();
+      const done: number[] = [];
+
+      await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item, slot) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        slotsSeen.add(slot);
+        await new Promise((r) => setTimeout(r, 5));
+        done.push(item);
+        inFlight--;
+      });
+
+      expect(maxInFlight).toBe(2);
+      expect([...slotsSeen].sort()).toEqual([0, 1]);
+      expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should stop starting items when asked', async () => {
+      const done: number[] = [];
+      await runWithConcurrency([1, 2, 3], 1, async (item) => { done.push(item); }, () => done.length >= 2);
+      expect(done).toEqual([1, 2]);
+    });
+  });
+
+  describe('withCpuAffinity', () => {
+    it('should leave commands alone without a CPU', () => {
+      expect(withCpuAffinity('claude', ['--version'])).toEqual({ command: 'claude', args: ['--version'] });
+    });
+  });
+
+  describe('pinProcess', () => {
+    it('should do nothing without a CPU or process', async () => {
+      await expect(pinProcess(undefined, 0)).resolves.toBeUndefined();
+      await expect(pinProcess(process.pid)).resolves.toBeUndefined();
+    });
+  });
+}
@@ -0,0 +1,72 @@
+// statfs is missing before Node 18.15; a named import would fail to link there
+import * as fsp from 'fs/promises';
+import { dirname } from 'path';
+import { formatBytes } from './progress.js';
+
+const MB = 1024 * 1024;
+
+export class DiskSpaceError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DiskSpaceError';
+  }
+}
+
+/**
+ * Bytes available to this user on the filesystem holding `path`
+ *
+ * Walks up to the nearest existing directory, so the target does not need
+ * to exist yet. Returns undefined where statfs is unsupported.
+ */
+export async function getFreeDiskBytes(path: string): Promise<number | undefined> {
+  if (typeof fsp.statfs !== 'function') return undefined;
+
+  let dir = path;
+  for (;;) {
+    try {
+      const stats = await fsp.statfs(dir);
+      return stats.bavail * stats.bsize;
+    } catch (error) {
+      const parent = dirname(dir);
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT' || parent === dir) return undefined;
+      dir = parent;
+    }
+  }
+}
+
+/**
+ * Throw a DiskSpaceError unless `count` versions of `versionSizeMb` fit
+ *
+ * Keeps 10% headroom on top of the estimate. Passes when free space cannot
+ * be determined.
+ */
+export function assertDiskSpace(freeBytes: number | undefined, count: number, versionSizeMb: number): void {
+  if (freeBytes === undefined || count === 0) return;
+
+  const required = Math.ceil(count * versionSizeMb * MB * 1.1);
+  if (freeBytes < required) {
+    const fits = Math.floor(freeBytes / (versionSizeMb * MB * 1.1));
+    throw new DiskSpaceError(
+      `Installing ${count} versions needs ~${formatBytes(required)} but only ${formatBytes(freeBytes)} is free ` +
+      `(room for ~${fits}); narrow the version filter or use --stream to uninstall after benchmarking`
+    );
+  }
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('disk space', () => {
+    it('should find free space for paths that do not exist yet', async () => {
+      const free = await getFreeDiskBytes('/tmp/cvm-benchmark-missing/a/b');
+      expect(free).toBeGreaterThan(0);
+    });
+
+    it('should reject installs that do not fit', () => {
+      expect(() => assertDiskSpace(1000 * MB, 5, 100)).not.toThrow();
+      expect(() => assertDiskSpace(1000 * MB, 10, 100)).toThrow(/room for ~9/);
+      expect(() => assertDiskSpace(undefined, 10, 100)).not.toThrow();
+    });
+  });
+}
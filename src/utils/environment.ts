@@ -0,0 +1,62 @@
+/**
+ * Variables carried over from the parent environment in hermetic mode
+ */
+const PASSTHROUGH_VARIABLES = [
+  'PATH',
+  'HOME',
+  'USER',
+  'LOGNAME',
+  'SHELL',
+  'TERM',
+  'LANG',
+  'LC_ALL',
+  'TMPDIR',
+  'TZ',
+  // Windows
+  'SystemRoot',
+  'APPDATA',
+  'LOCALAPPDATA',
+  'USERPROFILE',
+];
+
+/**
+ * Build the environment for benchmarked Claude processes
+ *
+ * Without `hermetic`, the parent environment is passed through unchanged
+ * (plus `overrides`). With it, only a small allowlist of system variables is
+ * kept, so credentials, proxies and `ANTHROPIC_*` / `CLAUDE_*` settings of
+ * the machine running the benchmark cannot influence the measurement.
+ */
+export function buildBenchmarkEnv(
+  options: { hermetic?: boolean; overrides?: Record<string, string>; base?: NodeJS.ProcessEnv } = {}
+): NodeJS.ProcessEnv {
+  const { hermetic = false, overrides = {}, base = process.env } = options;
+
+  if (!hermetic) {
+    return { ...base, ...overrides };
+  }
+
+  const env: NodeJS.ProcessEnv = {};
+  for (const name of PASSTHROUGH_VARIABLES) {
+    if (base[name] !== undefined) env[name] = base[name];
+  }
+  return { ...env, ...overrides };
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('buildBenchmarkEnv', () => {
+    const base = { PATH: '/bin', ANTHROPIC_API_KEY: 'real', HTTPS_PROXY: 'http://proxy' };
+
+    it('should pass the environment through by default', () => {
+      expect(buildBenchmarkEnv({ base, overrides: { FOO: '1' } })).toEqual({ ...base, FOO: '1' });
+    });
+
+    it('should keep only allowlisted variables in hermetic mode', () => {
+      const env = buildBenchmarkEnv({ base, hermetic: true, overrides: { ANTHROPIC_API_KEY: 'mock' } });
+      expect(env).toEqual({ PATH: '/bin', ANTHROPIC_API_KEY: 'mock' });
+    });
+  });
+}
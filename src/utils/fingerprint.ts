@@ -0,0 +1,131 @@
+import { readFileSync } from 'fs';
+import { arch, cpus, freemem, hostname, platform, release, totalmem, version } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import type { EnvironmentFingerprint } from '../types/benchmark.js';
+
+const PACKAGE_NAME = '@clawdcc/cvm-benchmark';
+
+/** Fields that must match for two runs to be comparable, with their labels */
+const COMPARED_FIELDS: Array<[keyof EnvironmentFingerprint, string]> = [
+  ['host', 'host'],
+  ['platform', 'platform'],
+  ['osRelease', 'kernel'],
+  ['nodeVersion', 'Node.js'],
+  ['cpuModel', 'CPU'],
+  ['cpuCores', 'CPU cores'],
+  ['cpuGovernor', 'CPU governor'],
+  ['totalMemoryBytes', 'memory'],
+  ['cvmVersion', 'cvm'],
+  ['packageVersion', 'cvm-benchmark'],
+];
+
+export interface FingerprintDifference {
+  field: keyof EnvironmentFingerprint;
+  label: string;
+  baseline: unknown;
+  current: unknown;
+}
+
+/**
+ * Version of this package, from the nearest package.json with its name
+ *
+ * Walks up from this module, which lives in `src/utils/` when run from
+ * source and in `dist/` when bundled.
+ */
+export function getPackageVersion(): string | undefined {
+  let dir = dirname(fileURLToPath(import.meta.url));
+  for (let i = 0; i < 4; i++) {
+    try {
+      const pkg = JSON.parse(readFileSync(join(dir, 'package.json'), 'utf-8'));
+      if (pkg.name === PACKAGE_NAME) return pkg.version;
+    } catch {
+      // Not here, keep walking up
+    }
+    dir = dirname(dir);
+  }
+  return undefined;
+}
+
+function readCpuGovernor(): string | undefined {
+  try {
+    return readFileSync('/sys/devices/system/cpu/cpu0/cpufreq/scaling_governor', 'utf-8').trim() || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Describe the machine and toolchain of the current process
+ *
+ * @param cvmVersion Output of `cvm --version`, if available
+ */
+export function collectFingerprint(cvmVersion?: string): EnvironmentFingerprint {
+  const cpuList = cpus();
+  return {
+    host: hostname(),
+    platform: platform(),
+    arch: arch(),
+    osRelease: release(),
+    osVersion: version(),
+    nodeVersion: process.version,
+    nodeExecPath: process.execPath,
+    cpuModel: cpuList[0]?.model.trim() ?? 'unknown',
+    cpuCores: cpuList.length,
+    cpuGovernor: readCpuGovernor(),
+    totalMemoryBytes: totalmem(),
+    freeMemoryBytes: freemem(),
+    cvmVersion,
+    packageVersion: getPackageVersion(),
+  };
+}
+
+/**
+ * Fields that differ between two fingerprints
+ *
+ * Free memory is ignored; it changes from run to run on the same machine.
+ * Fields missing from either side are not compared.
+ */
+export function compareFingerprints(
+  baseline: EnvironmentFingerprint,
+  current: EnvironmentFingerprint
+): FingerprintDifference[] {
+  return COMPARED_FIELDS
+    .filter(([field]) => baseline[field] !== undefined && current[field] !== undefined && baseline[field] !== current[field])
+    .map(([field, label]) => ({ field, label, baseline: baseline[field], current: current[field] }));
+}
+
+/**
+ * One-line summary, e.g. `host · linux 6.1.0 · node v20.11.0 · 8× Intel Xeon`
+ */
+export function formatFingerprint(fingerprint: EnvironmentFingerprint): string {
+  return [
+    fingerprint.host,
+    `${fingerprint.platform} ${fingerprint.osRelease}`,
+    `node ${fingerprint.nodeVersion}`,
+    `${fingerprint.cpuCores}× ${fingerprint.cpuModel}`,
+    ...(fingerprint.cpuGovernor ? [fingerprint.cpuGovernor] : []),
+  ].join(' · ');
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('fingerprint', () => {
+    it('should describe the current process', () => {
+      const fingerprint = collectFingerprint('cvm 1.2.3');
+      expect(fingerprint.nodeVersion).toBe(process.version);
+      expect(fingerprint.cpuCores).toBeGreaterThan(0);
+      expect(fingerprint.cvmVersion).toBe('cvm 1.2.3');
+      expect(fingerprint.packageVersion).toMatch(/^\d+\.\d+\.\d+/);
+    });
+
+    it('should report differing fields only', () => {
+      const a = collectFingerprint();
+      const b = { ...a, nodeVersion: 'v99.0.0', freeMemoryBytes: 1, cpuGovernor: undefined };
+      expect(compareFingerprints(a, b).map((d) => d.label)).toEqual(['Node.js']);
+      expect(compareFingerprints(a, { ...a })).toEqual([]);
+    });
+  });
+}
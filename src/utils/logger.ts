@@ -1,10 +1,13 @@
 import chalk from 'chalk';
+import { appendFileSync } from 'fs';
+import { format } from 'util';
 
 export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'success';
 
 class Logger {
   private level: LogLevel = 'info';
   private silent = false;
+  private logFile: string | null = null;
 
   setLevel(level: LogLevel): void {
     this.level = level;
@@ -14,34 +17,56 @@ class Logger {
     this.silent = silent;
   }
 
+  /**
+   * Also append every message, timestamped and without colors, to a file
+   * (null stops); used by long-running commands that may be detached
+   */
+  setLogFile(path: string | null): void {
+    this.logFile = path;
+  }
+
   debug(message: string, ...args: any[]): void {
     if (!this.silent && this.shouldLog('debug')) {
       console.log(chalk.gray(`[DEBUG] ${message}`), ...args);
     }
+    this.writeToFile('debug', message, args);
   }
 
   info(message: string, ...args: any[]): void {
     if (!this.silent && this.shouldLog('info')) {
       console.log(chalk.blue(`ℹ ${message}`), ...args);
     }
+    this.writeToFile('info', message, args);
   }
 
   warn(message: string, ...args: any[]): void {
     if (!this.silent && this.shouldLog('warn')) {
       console.warn(chalk.yellow(`⚠ ${message}`), ...args);
     }
+    this.writeToFile('warn', message, args);
   }
 
   error(message: string, ...args: any[]): void {
     if (!this.silent && this.shouldLog('error')) {
       console.error(chalk.red(`✖ ${message}`), ...args);
     }
+    this.writeToFile('error', message, args);
   }
 
   success(message: string, ...args: any[]): void {
     if (!this.silent && this.shouldLog('success')) {
       console.log(chalk.green(`✓ ${message}`), ...args);
     }
+    this.writeToFile('success', message, args);
+  }
+
+  private writeToFile(level: LogLevel, message: string, args: any[]): void {
+    if (!this.logFile || !this.shouldLog(level)) return;
+    try {
+      appendFileSync(this.logFile, `${new Date().toISOString()} ${level.toUpperCase()} ${format(message, ...args)}\n`);
+    } catch {
+      // Logging must never break the command
+    }
   }
 
   private shouldLog(level: LogLevel): boolean {
@@ -0,0 +1,12 @@
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+
+/**
+ * Expand a leading `~` to the user's home directory and resolve the result
+ * against the current working directory
+ */
+export function expandHome(path: string): string {
+  if (path === '~') return homedir();
+  if (path.startsWith('~/')) return join(homedir(), path.slice(2));
+  return resolve(path);
+}
@@ -0,0 +1,304 @@
+import { readFileSync } from 'fs';
+import { readFile, readdir } from 'fs/promises';
+import { spawn } from 'child_process';
+import type { MetricSummary, ResourceSummary, ResourceUsage } from '../types/benchmark.js';
+import { mean, stdDev } from './statistics.js';
+
+/** USER_HZ; fixed at 100 on every mainstream Linux architecture */
+const CLOCK_TICKS_PER_SECOND = 100;
+
+const DEFAULT_INTERVAL_MS = 20;
+
+interface ProcessReading {
+  cpuUserTicks: number;
+  cpuSystemTicks: number;
+  readBytes: number;
+  writeBytes: number;
+}
+
+async function readProcFile(pid: number | 'self', file: string): Promise<string | null> {
+  try {
+    return await readFile(`/proc/${pid}/${file}`, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fields of /proc/<pid>/stat after the parenthesised command name (which
+ * may contain spaces); index 0 is field 3 (`state`)
+ */
+function statFields(stat: string): string[] {
+  return stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+}
+
+/**
+ * CPU ticks of the children this process has waited for (`cutime`/`cstime`)
+ */
+function reapedTicks(stat: string | null): { user: number; system: number } | null {
+  if (!stat) return null;
+  const fields = statFields(stat);
+  return { user: parseInt(fields[13]), system: parseInt(fields[14]) };
+}
+
+/**
+ * Direct children of every thread of `pid`
+ */
+async function childPids(pid: number): Promise<number[]> {
+  let tasks: string[];
+  try {
+    tasks = await readdir(`/proc/${pid}/task`);
+  } catch {
+    return [];
+  }
+  const children = await Promise.all(tasks.map((tid) => readProcFile(pid, `task/${tid}/children`)));
+  return children.flatMap((c) => (c ? c.trim().split(/\s+/).filter(Boolean).map(Number) : []));
+}
+
+function statusKb(status: string, field: string): number {
+  const match = status.match(new RegExp(`^${field}:\\s+(\\d+) kB`, 'm'));
+  return match ? parseInt(match[1]) * 1024 : 0;
+}
+
+/**
+ * Track memory, CPU and I/O of a process and all of its descendants
+ *
+ * Polls /proc while the process runs, asynchronously so the event loop that
+ * times the sample is not blocked by the reads. CPU and I/O counters keep
+ * the last value seen per process, so descendants that exited are still
+ * counted up to their last poll.
+ *
+ * CPU time spent after the last poll is recovered when the process exits:
+ * children this process waited for add their CPU time to its own `cutime`
+ * and `cstime`. That total is only attributable while a single monitor is
+ * running in the process. On platforms without /proc, `stop()` resolves to
+ * undefined.
+ */
+export class ResourceMonitor {
+  /** Monitors running in this process */
+  private static readonly active = new Set<ResourceMonitor>();
+
+  private readonly readings = new Map<number, ProcessReading>();
+  private peakRssBytes = 0;
+  private peakOpenFds = 0;
+  private timer: NodeJS.Timeout | null = null;
+  private polling: Promise<void> | null = null;
+  private polls = 0;
+  private reapedAtStart: { user: number; system: number } | null = null;
+  /** No other monitor ran at the same time, so reaped CPU time is ours */
+  private exclusive = false;
+
+  constructor(
+    private readonly rootPid: number,
+    private readonly intervalMs = DEFAULT_INTERVAL_MS
+  ) {}
+
+  /** Whether resource monitoring works on this platform */
+  static isSupported(): boolean {
+    return process.platform === 'linux';
+  }
+
+  /**
+   * Start polling (the first poll starts immediately)
+   */
+  start(): void {
+    if (!ResourceMonitor.isSupported() || this.timer) return;
+    for (const other of ResourceMonitor.active) other.exclusive = false;
+    this.exclusive = ResourceMonitor.active.size === 0;
+    ResourceMonitor.active.add(this);
+
+    // Read before the child can be reaped; a single small read
+    try {
+      this.reapedAtStart = reapedTicks(readFileSync('/proc/self/stat', 'utf-8'));
+    } catch {
+      this.reapedAtStart = null;
+    }
+
+    this.schedulePoll();
+    this.timer = setInterval(() => this.schedulePoll(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling and return the usage observed, including CPU time of the
+   * process tree up to its exit where that is attributable
+   */
+  async stop(): Promise<ResourceUsage | undefined> {
+    if (!this.timer) return undefined;
+    clearInterval(this.timer);
+    this.timer = null;
+    ResourceMonitor.active.delete(this);
+    await this.polling;
+    await this.poll();
+    if (this.polls === 0 || this.readings.size === 0) return undefined;
+
+    let cpuUserTicks = 0;
+    let cpuSystemTicks = 0;
+    let readBytes = 0;
+    let writeBytes = 0;
+    for (const reading of this.readings.values()) {
+      cpuUserTicks += reading.cpuUserTicks;
+      cpuSystemTicks += reading.cpuSystemTicks;
+      readBytes += reading.readBytes;
+      writeBytes += reading.writeBytes;
+    }
+
+    // Reaped totals cover the root and every descendant it waited for up to
+    // their exit; polls also cover descendants nobody waited for
+    const reaped = this.exclusive ? reapedTicks(await readProcFile('self', 'stat')) : null;
+    if (reaped && this.reapedAtStart) {
+      cpuUserTicks = Math.max(cpuUserTicks, reaped.user - this.reapedAtStart.user);
+      cpuSystemTicks = Math.max(cpuSystemTicks, reaped.system - this.reapedAtStart.system);
+    }
+
+    const ticksToMs = 1000 / CLOCK_TICKS_PER_SECOND;
+    return {
+      peakRssBytes: this.peakRssBytes,
+      userCpuMs: cpuUserTicks * ticksToMs,
+      systemCpuMs: cpuSystemTicks * ticksToMs,
+      peakOpenFds: this.peakOpenFds,
+      readBytes,
+      writeBytes,
+    };
+  }
+
+  /** Poll unless the previous poll is still reading */
+  private schedulePoll(): void {
+    if (this.polling) return;
+    this.polling = this.poll().finally(() => {
+      this.polling = null;
+    });
+  }
+
+  private async poll(): Promise<void> {
+    this.polls++;
+    let treeRss = 0;
+    let treeFds = 0;
+
+    const pending = [this.rootPid];
+    const seen = new Set<number>();
+    while (pending.length > 0) {
+      const pid = pending.pop()!;
+      if (seen.has(pid)) continue;
+      seen.add(pid);
+
+      const [stat, status, io] = await Promise.all([
+        readProcFile(pid, 'stat'),
+        readProcFile(pid, 'status'),
+        readProcFile(pid, 'io'),
+      ]);
+      if (!stat || !status) continue;
+
+      const fields = statFields(stat);
+      const ioField = (name: string) => parseInt((io ?? '').match(new RegExp(`^${name}: (\\d+)`, 'm'))?.[1] ?? '0');
+
+      this.readings.set(pid, {
+        cpuUserTicks: parseInt(fields[11]),
+        cpuSystemTicks: parseInt(fields[12]),
+        readBytes: ioField('rchar'),
+        writeBytes: ioField('wchar'),
+      });
+
+      treeRss += statusKb(status, 'VmRSS');
+      // The high-water mark catches single-process peaks between polls
+      this.peakRssBytes = Math.max(this.peakRssBytes, statusKb(status, 'VmHWM'));
+
+      try {
+        treeFds += (await readdir(`/proc/${pid}/fd`)).length;
+      } catch {
+        // Process exited or fd table is not readable
+      }
+
+      pending.push(...(await childPids(pid)));
+    }
+
+    this.peakRssBytes = Math.max(this.peakRssBytes, treeRss);
+    this.peakOpenFds = Math.max(this.peakOpenFds, treeFds);
+  }
+}
+
+function summarizeMetric(values: number[]): MetricSummary {
+  return {
+    avg: Math.round(mean(values)),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    stdDev: Math.round(stdDev(values)),
+  };
+}
+
+/**
+ * Aggregate per-sample resource usage into the per-version summary
+ *
+ * Samples without resource data are ignored; returns undefined if none have it.
+ */
+export function summarizeResources(
+  samples: Array<ResourceUsage | undefined>
+): ResourceSummary | undefined {
+  const usable = samples.filter((s): s is ResourceUsage => s !== undefined);
+  if (usable.length === 0) return undefined;
+
+  const metric = (key: keyof ResourceUsage) => summarizeMetric(usable.map((s) => s[key]));
+  return {
+    peakRssBytes: metric('peakRssBytes'),
+    userCpuMs: metric('userCpuMs'),
+    systemCpuMs: metric('systemCpuMs'),
+    peakOpenFds: metric('peakOpenFds'),
+    readBytes: metric('readBytes'),
+    writeBytes: metric('writeBytes'),
+  };
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('ResourceMonitor', () => {
+    it.skipIf(!ResourceMonitor.isSupported())('should measure a child process tree', async () => {
+      // Parent allocates ~50MB and spawns a grandchild that outlives a few polls
+      const script = `
+        const buf = Buffer.alloc(50 * 1024 * 1024, 1);
+        const c = require('child_process').spawn(process.execPath, ['-e', 'setTimeout(() => {}, 300)']);
+        c.on('exit', () => process.exit(buf[0] - 1));
+      `;
+      const proc = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+      const monitor = new ResourceMonitor(proc.pid!, 10);
+      monitor.start();
+      await new Promise((resolve) => proc.on('close', resolve));
+      const usage = await monitor.stop();
+
+      expect(usage).toBeDefined();
+      expect(usage!.peakRssBytes).toBeGreaterThan(50 * 1024 * 1024);
+      expect(usage!.userCpuMs + usage!.systemCpuMs).toBeGreaterThan(0);
+      expect(usage!.peakOpenFds).toBeGreaterThan(0);
+      expect(usage!.readBytes).toBeGreaterThan(0);
+    });
+
+    it.skipIf(!ResourceMonitor.isSupported())('should count CPU time after the last poll', async () => {
+      const script = 'const end = Date.now() + 300; while (Date.now() < end);';
+      const proc = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+      // Only the first poll happens while the process runs
+      const monitor = new ResourceMonitor(proc.pid!, 60_000);
+      monitor.start();
+      await new Promise((resolve) => proc.on('close', resolve));
+      const usage = await monitor.stop();
+
+      expect(usage!.userCpuMs + usage!.systemCpuMs).toBeGreaterThanOrEqual(200);
+    });
+  });
+
+  describe('summarizeResources', () => {
+    const usage = (peakRssBytes: number): ResourceUsage => ({
+      peakRssBytes, userCpuMs: 10, systemCpuMs: 5, peakOpenFds: 20, readBytes: 0, writeBytes: 0,
+    });
+
+    it('should aggregate samples and skip missing ones', () => {
+      const summary = summarizeResources([usage(100), undefined, usage(300)]);
+      expect(summary?.peakRssBytes).toEqual({ avg: 200, min: 100, max: 300, stdDev: 100 });
+      expect(summary?.userCpuMs.avg).toBe(10);
+    });
+
+    it('should return undefined without data', () => {
+      expect(summarizeResources([undefined])).toBeUndefined();
+    });
+  });
+}
@@ -0,0 +1,131 @@
+import { mkdtemp, mkdir, cp, readFile, writeFile, rm, realpath } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { expandHome } from './paths.js';
+import { logger } from './logger.js';
+
+export interface SandboxOptions {
+  /** Directory copied into the sandbox HOME before every sample */
+  template?: string;
+  /** Mark the sandbox working directory as trusted and onboarding as done */
+  seedTrust?: boolean;
+}
+
+export interface Sandbox {
+  /** Throwaway HOME directory */
+  home: string;
+  /** Throwaway working directory for the Claude process */
+  cwd: string;
+  /** Environment overrides that redirect config lookups into the sandbox */
+  env: Record<string, string>;
+  /** Delete the sandbox */
+  dispose(): Promise<void>;
+}
+
+/**
+ * Pre-accept the trust dialog for `cwd` in the sandbox's `~/.claude.json`
+ *
+ * Keys from a template's `.claude.json` are preserved.
+ */
+async function seedTrust(home: string, cwd: string): Promise<void> {
+  const configPath = join(home, '.claude.json');
+  let config: Record<string, any> = {};
+  if (existsSync(configPath)) {
+    try {
+      config = JSON.parse(await readFile(configPath, 'utf-8'));
+    } catch {
+      logger.warn(`Ignoring unreadable template file ${configPath}`);
+    }
+  }
+
+  config.hasCompletedOnboarding = true;
+  config.projects = {
+    ...config.projects,
+    [cwd]: {
+      ...config.projects?.[cwd],
+      hasTrustDialogAccepted: true,
+      hasCompletedProjectOnboarding: true,
+    },
+  };
+
+  await writeFile(configPath, JSON.stringify(config, null, 2));
+}
+
+/**
+ * Create a throwaway HOME and working directory for one benchmark sample
+ *
+ * Sessions, caches and config written by the benchmarked process stay in
+ * the sandbox and are removed by `dispose()`, leaving the user's own
+ * `~/.claude` untouched.
+ */
+export async function createSandbox(options: SandboxOptions = {}): Promise<Sandbox> {
+  const { template, seedTrust: shouldSeedTrust = true } = options;
+
+  // realpath: Claude keys projects by the resolved cwd (e.g. /private/var on macOS)
+  const root = await realpath(await mkdtemp(join(tmpdir(), 'cvm-bench-')));
+  const home = join(root, 'home');
+  const cwd = join(root, 'work');
+
+  try {
+    await mkdir(cwd, { recursive: true });
+    if (template) {
+      await cp(expandHome(template), home, { recursive: true });
+    } else {
+      await mkdir(home, { recursive: true });
+    }
+
+    if (shouldSeedTrust) {
+      await seedTrust(home, cwd);
+    }
+  } catch (error) {
+    await rm(root, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    home,
+    cwd,
+    env: {
+      HOME: home,
+      USERPROFILE: home,
+      XDG_CONFIG_HOME: join(home, '.config'),
+      XDG_CACHE_HOME: join(home, '.cache'),
+      XDG_DATA_HOME: join(home, '.local', 'share'),
+    },
+    dispose: () => rm(root, { recursive: true, force: true }),
+  };
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('createSandbox', () => {
+    it('should seed trust for the sandbox cwd and clean up', async () => {
+      const sandbox = await createSandbox();
+      const config = JSON.parse(await readFile(join(sandbox.home, '.claude.json'), 'utf-8'));
+      expect(config.projects[sandbox.cwd].hasTrustDialogAccepted).toBe(true);
+      expect(sandbox.env.HOME).toBe(sandbox.home);
+      await sandbox.dispose();
+      expect(existsSync(sandbox.home)).toBe(false);
+    });
+
+    it('should copy the template and keep its settings', async () => {
+      const template = await mkdtemp(join(tmpdir(), 'cvm-bench-template-'));
+      try {
+        await mkdir(join(template, '.claude'));
+        await writeFile(join(template, '.claude', 'settings.json'), '{"theme":"dark"}');
+        await writeFile(join(template, '.claude.json'), '{"numStartups":5}');
+
+        const sandbox = await createSandbox({ template });
+        expect(existsSync(join(sandbox.home, '.claude', 'settings.json'))).toBe(true);
+        const config = JSON.parse(await readFile(join(sandbox.home, '.claude.json'), 'utf-8'));
+        expect(config).toMatchObject({ numStartups: 5, hasCompletedOnboarding: true });
+        await sandbox.dispose();
+      } finally {
+        await rm(template, { recursive: true, force: true });
+      }
+    });
+  });
+}
@@ -0,0 +1,323 @@
+/**
+ * Semantic versions and range expressions
+ *
+ * Supports the npm range syntax used for Claude Code versions: comparators
+ * (`>=1.0.24 <2.0.0`), caret and tilde ranges (`^2.0`, `~1.0.30`),
+ * X-ranges (`2.x`, `2.0`), hyphen ranges (`1.0.0 - 2.0.0`) and unions
+ * separated by `||` or commas.
+ */
+
+export interface ParsedVersion {
+  major: number;
+  minor: number;
+  patch: number;
+  /** Dot-separated prerelease identifiers, e.g. `['beta', '1']` */
+  prerelease?: string[];
+}
+
+type Operator = '<' | '<=' | '>' | '>=' | '=';
+
+interface Comparator {
+  operator: Operator;
+  version: ParsedVersion;
+}
+
+/** Comparator sets joined by OR; the comparators of a set are joined by AND */
+export type VersionRange = Comparator[][];
+
+export class RangeSyntaxError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RangeSyntaxError';
+  }
+}
+
+/**
+ * Parse semantic version string into comparable parts
+ */
+export function parseVersion(version: string): ParsedVersion {
+  const [core, ...pre] = version.split('-');
+  const [major, minor, patch] = core.split('.').map(Number);
+  return pre.length > 0
+    ? { major, minor, patch, prerelease: pre.join('-').split('.') }
+    : { major, minor, patch };
+}
+
+function comparePrerelease(a?: string[], b?: string[]): number {
+  // A release sorts after all of its prereleases
+  if (!a || !b) return (a ? -1 : 0) - (b ? -1 : 0);
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    const numA = /^\d+$/.test(a[i]);
+    const numB = /^\d+$/.test(b[i]);
+    if (numA && numB) {
+      const diff = Number(a[i]) - Number(b[i]);
+      if (diff !== 0) return diff;
+    } else if (numA !== numB) {
+      return numA ? -1 : 1;
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+function compareParsed(a: ParsedVersion, b: ParsedVersion): number {
+  if (a.major !== b.major) return a.major - b.major;
+  if (a.minor !== b.minor) return a.minor - b.minor;
+  if (a.patch !== b.patch) return a.patch - b.patch;
+  return comparePrerelease(a.prerelease, b.prerelease);
+}
+
+/**
+ * Whether a string is a semantic version (as opposed to a target label)
+ */
+export function isVersion(value: string): boolean {
+  return /^\d+\.\d+\.\d+(-[\w.-]+)?$/.test(value);
+}
+
+/**
+ * Compare two semantic versions
+ * Returns: -1 if a < b, 0 if a === b, 1 if a > b
+ *
+ * Target labels that are not versions (e.g. `local`) sort after all
+ * versions, by name. Runtime matrix labels (`2.0.42@node22.11.0`) sort by
+ * version, then by runtime.
+ */
+export function compareVersions(a: string, b: string): number {
+  const [baseA, runtimeA] = a.split('@');
+  const [baseB, runtimeB] = b.split('@');
+  if (baseA === baseB && runtimeA !== runtimeB) {
+    if (!runtimeA || !runtimeB) return runtimeA ? 1 : -1;
+    return compareVersions(runtimeA.replace(/^node/, ''), runtimeB.replace(/^node/, ''));
+  }
+
+  const aIsVersion = isVersion(baseA);
+  const bIsVersion = isVersion(baseB);
+  if (!aIsVersion || !bIsVersion) {
+    if (aIsVersion !== bIsVersion) return aIsVersion ? -1 : 1;
+    return baseA < baseB ? -1 : baseA > baseB ? 1 : 0;
+  }
+  return compareParsed(parseVersion(baseA), parseVersion(baseB));
+}
+
+/** Partial version as written in a range; missing or `x` parts are null */
+interface PartialVersion {
+  major: number | null;
+  minor: number | null;
+  patch: number | null;
+  prerelease?: string[];
+}
+
+function parsePartial(text: string, expression: string): PartialVersion {
+  const match = text.match(/^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([\w.-]+))?$/);
+  if (!match) {
+    throw new RangeSyntaxError(`Invalid version "${text}" in range "${expression}"`);
+  }
+  const part = (value?: string) => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+  const partial: PartialVersion = { major: part(match[1]), minor: part(match[2]), patch: part(match[3]) };
+  // A wildcard makes every later part a wildcard (`1.x.3` is `1.x`)
+  if (partial.major === null) partial.minor = null;
+  if (partial.minor === null) partial.patch = null;
+  if (match[4] && partial.patch !== null) partial.prerelease = match[4].split('.');
+  return partial;
+}
+
+function version(major: number, minor: number, patch: number, prerelease?: string[]): ParsedVersion {
+  return prerelease ? { major, minor, patch, prerelease } : { major, minor, patch };
+}
+
+/** Lowest version matched by a partial (`2.0` → 2.0.0) */
+function floor(p: PartialVersion): ParsedVersion {
+  return version(p.major ?? 0, p.minor ?? 0, p.patch ?? 0, p.prerelease);
+}
+
+/** First version above everything a partial matches (`2.0` → 2.1.0), null for `*` */
+function ceiling(p: PartialVersion): ParsedVersion | null {
+  if (p.major === null) return null;
+  if (p.minor === null) return version(p.major + 1, 0, 0);
+  if (p.patch === null) return version(p.major, p.minor + 1, 0);
+  return null;
+}
+
+function caret(p: PartialVersion): Comparator[] {
+  const lower: Comparator = { operator: '>=', version: floor(p) };
+  if (p.major === null) return [];
+  if (p.major > 0 || p.minor === null) return [lower, { operator: '<', version: version(p.major + 1, 0, 0) }];
+  if (p.minor > 0 || p.patch === null) return [lower, { operator: '<', version: version(0, p.minor + 1, 0) }];
+  return [lower, { operator: '<', version: version(0, 0, p.patch + 1) }];
+}
+
+function tilde(p: PartialVersion): Comparator[] {
+  if (p.major === null) return [];
+  const upper = p.minor === null ? version(p.major + 1, 0, 0) : version(p.major, p.minor + 1, 0);
+  return [{ operator: '>=', version: floor(p) }, { operator: '<', version: upper }];
+}
+
+function primitive(operator: Operator, p: PartialVersion): Comparator[] {
+  const upper = ceiling(p);
+  // Full versions compare directly
+  if (p.patch !== null) return [{ operator, version: floor(p) }];
+  // Partial versions stand for every version they match
+  switch (operator) {
+    case '=':
+      return [{ operator: '>=', version: floor(p) }, ...(upper ? [{ operator: '<' as const, version: upper }] : [])];
+    case '>=':
+      return [{ operator: '>=', version: floor(p) }];
+    case '<':
+      return p.major === null ? [{ operator: '<', version: version(0, 0, 0) }] : [{ operator: '<', version: floor(p) }];
+    case '>':
+      return upper ? [{ operator: '>=', version: upper }] : [{ operator: '<', version: version(0, 0, 0) }];
+    case '<=':
+      return upper ? [{ operator: '<', version: upper }] : [];
+  }
+}
+
+function parseComparatorSet(text: string, expression: string): Comparator[] {
+  const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    const from = parsePartial(hyphen[1], expression);
+    const to = parsePartial(hyphen[2], expression);
+    const upper = ceiling(to);
+    return [
+      { operator: '>=', version: floor(from) },
+      ...(to.patch !== null
+        ? [{ operator: '<=' as const, version: floor(to) }]
+        : upper ? [{ operator: '<' as const, version: upper }] : []),
+    ];
+  }
+
+  // Allow a space between an operator and its version (`>= 1.0.0`)
+  const tokens = text.replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+  return tokens.flatMap((token) => {
+    const match = token.match(/^(<=|>=|<|>|=|\^|~>?)?(.+)$/)!;
+    const partial = parsePartial(match[2], expression);
+    const operator = match[1] ?? '=';
+    if (operator === '^') return caret(partial);
+    if (operator.startsWith('~')) return tilde(partial);
+    return primitive(operator as Operator, partial);
+  });
+}
+
+/**
+ * Parse a range expression; throws a RangeSyntaxError on invalid input
+ */
+export function parseRange(expression: string): VersionRange {
+  const sets = expression.split(/\|\||,/).map((set) => set.trim());
+  if (sets.some((set) => set === '') && expression.trim() !== '') {
+    throw new RangeSyntaxError(`Empty alternative in range "${expression}"`);
+  }
+  return sets.map((set) => parseComparatorSet(set || '*', expression));
+}
+
+/**
+ * Whether a range expression is valid
+ */
+export function isValidRange(expression: string): boolean {
+  try {
+    parseRange(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function test(comparator: Comparator, v: ParsedVersion): boolean {
+  const diff = compareParsed(v, comparator.version);
+  switch (comparator.operator) {
+    case '<': return diff < 0;
+    case '<=': return diff <= 0;
+    case '>': return diff > 0;
+    case '>=': return diff >= 0;
+    case '=': return diff === 0;
+  }
+}
+
+/**
+ * Whether a version lies in a range
+ *
+ * Like npm, prereleases only match when `includePrerelease` is set or when a
+ * comparator of the same set names a prerelease of the same
+ * major.minor.patch, so `>=2.0.0-beta.1` matches `2.0.0-beta.2` but `>=1.0.0`
+ * does not match `2.0.0-beta.2`.
+ */
+export function satisfies(
+  v: string,
+  range: VersionRange | string,
+  options: { includePrerelease?: boolean } = {}
+): boolean {
+  const parsed = parseVersion(v);
+  const sets = typeof range === 'string' ? parseRange(range) : range;
+
+  return sets.some((set) => {
+    if (!set.every((comparator) => test(comparator, parsed))) return false;
+    if (!parsed.prerelease || options.includePrerelease) return true;
+    return set.some(({ version: c }) =>
+      c.prerelease && c.major === parsed.major && c.minor === parsed.minor && c.patch === parsed.patch
+    );
+  });
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  const matching = (range: string, versions: string[], includePrerelease = false) =>
+    versions.filter((v) => satisfies(v, range, { includePrerelease }));
+
+  const versions = ['0.2.9', '0.2.120', '1.0.0', '1.0.24', '1.0.30', '1.0.44', '1.1.0', '2.0.0', '2.0.42', '2.1.3', '3.0.0'];
+
+  describe('compareVersions with prereleases', () => {
+    it('should sort prereleases before their release', () => {
+      const sorted = ['2.0.0', '2.0.0-beta.10', '2.0.0-alpha', '2.0.0-beta.2', '1.9.9']
+        .sort(compareVersions);
+      expect(sorted).toEqual(['1.9.9', '2.0.0-alpha', '2.0.0-beta.2', '2.0.0-beta.10', '2.0.0']);
+    });
+
+    it('should sort target labels after versions', () => {
+      expect(['local', '2.0.1', 'feature', '1.0.0'].sort(compareVersions)).toEqual(['1.0.0', '2.0.1', 'feature', 'local']);
+    });
+
+    it('should sort runtime matrix labels by version, then runtime', () => {
+      expect(['2.0.1@node22.11.0', '2.0.10@node9.0.0', '2.0.1@node18.20.4', '2.0.1'].sort(compareVersions))
+        .toEqual(['2.0.1', '2.0.1@node18.20.4', '2.0.1@node22.11.0', '2.0.10@node9.0.0']);
+    });
+  });
+
+  describe('satisfies', () => {
+    it('should intersect comparators', () => {
+      expect(matching('>=1.0.24 <2.0.0', versions)).toEqual(['1.0.24', '1.0.30', '1.0.44', '1.1.0']);
+      expect(matching('> 1.0.30 <= 2.0.0', versions)).toEqual(['1.0.44', '1.1.0', '2.0.0']);
+    });
+
+    it('should expand caret, tilde and X-ranges', () => {
+      expect(matching('^2.0', versions)).toEqual(['2.0.0', '2.0.42', '2.1.3']);
+      expect(matching('^0.2.9', versions)).toEqual(['0.2.9', '0.2.120']);
+      expect(matching('~1.0.30', versions)).toEqual(['1.0.30', '1.0.44']);
+      expect(matching('1.x', versions)).toEqual(['1.0.0', '1.0.24', '1.0.30', '1.0.44', '1.1.0']);
+      expect(matching('2.0', versions)).toEqual(['2.0.0', '2.0.42']);
+      expect(matching('<2', versions)).toHaveLength(7);
+      expect(matching('*', versions)).toEqual(versions);
+    });
+
+    it('should support hyphen ranges and unions', () => {
+      expect(matching('1.0.24 - 1.0.44', versions)).toEqual(['1.0.24', '1.0.30', '1.0.44']);
+      expect(matching('0.2.9, ~1.0.40 || >=3', versions)).toEqual(['0.2.9', '1.0.44', '3.0.0']);
+    });
+
+    it('should only match prereleases when asked', () => {
+      const withPre = ['2.0.0-beta.1', '2.0.0-beta.2', '2.0.0', '2.1.0-rc.1'];
+      expect(matching('>=1.0.0', withPre)).toEqual(['2.0.0']);
+      expect(matching('>=2.0.0-beta.2', withPre)).toEqual(['2.0.0-beta.2', '2.0.0']);
+      expect(matching('>=1.0.0', withPre, true)).toEqual(withPre);
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(() => parseRange('>=banana')).toThrow(RangeSyntaxError);
+      expect(() => parseRange('1.0.0,,2.0.0')).toThrow(/Empty alternative/);
+      expect(isValidRange('^2.0 || ~1.0.30')).toBe(true);
+    });
+  });
+}
@@ -0,0 +1,244 @@
+import type { OutlierStrategy } from '../types/config.js';
+import type { SampleStatistics, StartupTimeline } from '../types/benchmark.js';
+
+/**
+ * Arithmetic mean
+ */
+export function mean(values: number[]): number {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Population standard deviation
+ */
+export function stdDev(values: number[]): number {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((a, b) => a + Math.pow(b - m, 2), 0) / values.length);
+}
+
+/**
+ * Percentile with linear interpolation between closest ranks (p in 0-100)
+ */
+export function percentile(values: number[], p: number): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length === 1) return sorted[0];
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Median (50th percentile)
+ */
+export function median(values: number[]): number {
+  return percentile(values, 50);
+}
+
+/**
+ * Median absolute deviation
+ */
+export function medianAbsoluteDeviation(values: number[]): number {
+  const m = median(values);
+  return median(values.map((v) => Math.abs(v - m)));
+}
+
+/**
+ * Split samples into kept values and rejected outliers
+ *
+ * The `mad` strategy uses the modified z-score (Iglewicz & Hoaglin) and
+ * rejects samples scoring above 3.5. Fewer than three samples, or a zero
+ * MAD, never reject anything.
+ */
+export function rejectOutliers(
+  values: number[],
+  strategy: OutlierStrategy
+): { kept: number[]; outliers: number[] } {
+  if (strategy === 'none' || values.length < 3) {
+    return { kept: [...values], outliers: [] };
+  }
+
+  const m = median(values);
+  const mad = medianAbsoluteDeviation(values);
+  if (mad === 0) {
+    return { kept: [...values], outliers: [] };
+  }
+
+  const kept: number[] = [];
+  const outliers: number[] = [];
+  for (const v of values) {
+    (Math.abs((0.6745 * (v - m)) / mad) > 3.5 ? outliers : kept).push(v);
+  }
+  return { kept, outliers };
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so bootstrap intervals are reproducible
+ */
+function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Percentile bootstrap confidence interval for the mean
+ */
+export function bootstrapConfidenceInterval(
+  values: number[],
+  options: { confidence?: number; iterations?: number; seed?: number } = {}
+): { lower: number; upper: number } {
+  const { confidence = 0.95, iterations = 1000, seed = 42 } = options;
+
+  if (values.length < 2) {
+    return { lower: values[0], upper: values[0] };
+  }
+
+  const random = createRandom(seed);
+  const means: number[] = [];
+  for (let i = 0; i < iterations; i++) {
+    let sum = 0;
+    for (let j = 0; j < values.length; j++) {
+      sum += values[Math.floor(random() * values.length)];
+    }
+    means.push(sum / values.length);
+  }
+
+  const alpha = (1 - confidence) / 2;
+  return {
+    lower: percentile(means, alpha * 100),
+    upper: percentile(means, (1 - alpha) * 100),
+  };
+}
+
+export interface SampleSummary {
+  avgTime: number;
+  minTime: number;
+  maxTime: number;
+  stdDev: number;
+  stats: SampleStatistics;
+}
+
+/**
+ * Summarize timing samples into the fields stored on benchmark results
+ *
+ * Outliers are rejected first (per `strategy`), so every field — including
+ * the legacy avg/min/max/stdDev — describes the kept samples.
+ */
+export function summarizeSamples(
+  samples: number[],
+  strategy: OutlierStrategy = 'none'
+): SampleSummary {
+  if (samples.length === 0) {
+    throw new Error('Cannot summarize an empty sample set');
+  }
+
+  const { kept, outliers } = rejectOutliers(samples, strategy);
+  const ci = bootstrapConfidenceInterval(kept);
+
+  return {
+    avgTime: Math.round(mean(kept)),
+    minTime: Math.min(...kept),
+    maxTime: Math.max(...kept),
+    stdDev: Math.round(stdDev(kept)),
+    stats: {
+      sampleCount: kept.length,
+      median: Math.round(median(kept)),
+      p90: Math.round(percentile(kept, 90)),
+      p95: Math.round(percentile(kept, 95)),
+      ci95: { lower: Math.round(ci.lower), upper: Math.round(ci.upper) },
+      outliers,
+      outlierStrategy: strategy,
+    },
+  };
+}
+
+/**
+ * Median of each startup milestone across samples
+ *
+ * A milestone is included when at least one sample reached it; returns
+ * undefined when no sample has a timeline.
+ */
+export function summarizeTimeline(
+  timelines: Array<StartupTimeline | undefined>
+): StartupTimeline | undefined {
+  const usable = timelines.filter((t): t is StartupTimeline => t !== undefined);
+  if (usable.length === 0) return undefined;
+
+  const summary: StartupTimeline = {};
+  const milestones = new Set(usable.flatMap((t) => Object.keys(t) as Array<keyof StartupTimeline>));
+  for (const milestone of milestones) {
+    const values = usable.map((t) => t[milestone]).filter((v): v is number => v !== undefined);
+    summary[milestone] = Math.round(median(values));
+  }
+  return summary;
+}
+
+// Inline vitest tests
+if (import.meta.vitest != null) {
+  const { describe, it, expect } = import.meta.vitest;
+
+  describe('percentile', () => {
+    it('should interpolate between ranks', () => {
+      expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+      expect(percentile([10, 20, 30, 40, 50], 90)).toBe(46);
+      expect(median([5, 1, 3])).toBe(3);
+    });
+  });
+
+  describe('rejectOutliers', () => {
+    it('should reject samples far from the median', () => {
+      const { kept, outliers } = rejectOutliers([1000, 1010, 990, 1005, 4000], 'mad');
+      expect(outliers).toEqual([4000]);
+      expect(kept).toHaveLength(4);
+    });
+
+    it('should keep everything with strategy none or too few samples', () => {
+      expect(rejectOutliers([1000, 4000, 1010], 'none').outliers).toEqual([]);
+      expect(rejectOutliers([1000, 4000], 'mad').outliers).toEqual([]);
+    });
+  });
+
+  describe('bootstrapConfidenceInterval', () => {
+    it('should be deterministic and bracket the mean', () => {
+      const values = [900, 950, 1000, 1050, 1100];
+      const a = bootstrapConfidenceInterval(values);
+      expect(a).toEqual(bootstrapConfidenceInterval(values));
+      expect(a.lower).toBeLessThanOrEqual(1000);
+      expect(a.upper).toBeGreaterThanOrEqual(1000);
+    });
+  });
+
+  describe('summarizeSamples', () => {
+    it('should match the legacy fields without outlier rejection', () => {
+      const summary = summarizeSamples([100, 200, 300]);
+      expect(summary).toMatchObject({ avgTime: 200, minTime: 100, maxTime: 300, stdDev: 82 });
+      expect(summary.stats.median).toBe(200);
+    });
+
+    it('should compute legacy fields over kept samples', () => {
+      const summary = summarizeSamples([1000, 1010, 990, 1005, 4000], 'mad');
+      expect(summary.maxTime).toBe(1010);
+      expect(summary.stats.outliers).toEqual([4000]);
+      expect(summary.stats.sampleCount).toBe(4);
+    });
+  });
+
+  describe('summarizeTimeline', () => {
+    it('should take the median of each milestone', () => {
+      const summary = summarizeTimeline([
+        { firstByte: 100, ready: 900 },
+        { firstByte: 120, ready: 1000, trustPrompt: 300 },
+        undefined,
+        { firstByte: 110, ready: 950 },
+      ]);
+      expect(summary).toEqual({ firstByte: 110, ready: 950, trustPrompt: 300 });
+      expect(summarizeTimeline([undefined])).toBeUndefined();
+    });
+  });
+}
@@ -1,31 +1,58 @@
-import type { BenchmarkConfig } from '../types/config.js';
+import type { BenchmarkConfig, VersionSample } from '../types/config.js';
+import { DEFAULT_CONFIG } from '../types/config.js';
+import { compareVersions, parseVersion, parseRange, satisfies } from './semver.js';
+
+export { compareVersions, parseVersion };
 
 /**
- * Parse semantic version string into comparable parts
+ * Sort versions in ascending order
  */
-export function parseVersion(version: string): { major: number; minor: number; patch: number } {
-  const [major, minor, patch] = version.split('.').map(Number);
-  return { major, minor, patch };
+export function sortVersions(versions: string[]): string[] {
+  return [...versions].sort(compareVersions);
 }
 
 /**
- * Compare two semantic versions
- * Returns: -1 if a < b, 0 if a === b, 1 if a > b
+ * Thin out sorted versions for quick sweeps across history
+ *
+ * @param baseline Latest stored result per version (ms), for `changed`
  */
-export function compareVersions(a: string, b: string): number {
-  const vA = parseVersion(a);
-  const vB = parseVersion(b);
+export function sampleVersions(
+  versions: string[],
+  sample: VersionSample,
+  baseline: Map<string, number> = new Map()
+): string[] {
+  let sampled = versions;
 
-  if (vA.major !== vB.major) return vA.major - vB.major;
-  if (vA.minor !== vB.minor) return vA.minor - vB.minor;
-  return vA.patch - vB.patch;
-}
+  // Keep both sides of every jump between neighbours with stored results
+  if (sample.changed) {
+    const { percent } = sample.changed;
+    const measured = sampled.filter((v) => baseline.has(v));
+    const differs = (a?: string, b?: string) => {
+      if (!a || !b) return false;
+      const before = baseline.get(a)!;
+      return before > 0 && (Math.abs(baseline.get(b)! - before) / before) * 100 > percent;
+    };
+    const changed = new Set(measured.filter((v, i) => differs(measured[i - 1], v) || differs(v, measured[i + 1])));
+    sampled = sampled.filter((v) => !baseline.has(v) || changed.has(v));
+  }
 
-/**
- * Sort versions in ascending order
- */
-export function sortVersions(versions: string[]): string[] {
-  return [...versions].sort(compareVersions);
+  if (sample.lastPatches) {
+    const byMinor = new Map<string, string[]>();
+    for (const v of sampled) {
+      const { major, minor } = parseVersion(v);
+      const key = `${major}.${minor}`;
+      byMinor.set(key, [...(byMinor.get(key) ?? []), v]);
+    }
+    const kept = new Set([...byMinor.values()].flatMap((patches) => patches.slice(-sample.lastPatches!)));
+    sampled = sampled.filter((v) => kept.has(v));
+  }
+
+  if (sample.every) {
+    const last = sampled.length - 1;
+    sampled = sampled.filter((_, i) => (last - i) % sample.every! === 0);
+  }
+
+  return sampled;
 }
 
 /**
@@ -33,14 +60,28 @@ export function sortVersions(versions: string[]): string[] {
  *
  * @param allVersions All available versions
  * @param config Benchmark configuration with version filters
+ * @param baseline Latest stored result per version (ms), for `sample.changed`
  * @returns Filtered and sorted versions to benchmark
  */
-export function filterVersions(allVersions: string[], config: BenchmarkConfig): string[] {
+export function filterVersions(
+  allVersions: string[],
+  config: BenchmarkConfig,
+  baseline?: Map<string, number>
+): string[] {
   let filtered = [...allVersions];
 
   // If include is specified, use only those versions
   if (config.versions.include && config.versions.include.length > 0) {
     filtered = filtered.filter(v => config.versions.include!.includes(v));
+  } else if (!config.versions.prerelease) {
+    // Prereleases only when asked for (or listed explicitly)
+    filtered = filtered.filter(v => !parseVersion(v).prerelease);
+  }
+
+  // Apply range expression
+  if (config.versions.range) {
+    const range = parseRange(config.versions.range);
+    filtered = filtered.filter(v => satisfies(v, range, { includePrerelease: config.versions.prerelease }));
   }
 
   // Apply min version filter
@@ -61,6 +102,11 @@ export function filterVersions(allVersions: string[], config: BenchmarkConfig):
   // Sort versions
   filtered = sortVersions(filtered);
 
+  // Apply sampling
+  if (config.versions.sample) {
+    filtered = sampleVersions(filtered, config.versions.sample, baseline);
+  }
+
   // Apply limit (take last N versions for "latest N")
   if (config.versions.limit) {
     filtered = filtered.slice(-config.versions.limit);
@@ -78,6 +124,9 @@ export function describeVersionFilter(config: BenchmarkConfig, totalVersions: nu
   if (config.versions.include && config.versions.include.length > 0) {
     filters.push(`include=${config.versions.include.join(', ')}`);
   }
+  if (config.versions.range) {
+    filters.push(`range=${config.versions.range}`);
+  }
   if (config.versions.min) {
     filters.push(`min=${config.versions.min}`);
   }
@@ -87,6 +136,16 @@ export function describeVersionFilter(config: BenchmarkConfig, totalVersions: nu
   if (config.versions.exclude.length > 0) {
     filters.push(`exclude=${config.versions.exclude.length} versions`);
   }
+  const { sample } = config.versions;
+  if (sample?.changed) {
+    filters.push(`changed>${sample.changed.percent}% ${sample.changed.metric}`);
+  }
+  if (sample?.lastPatches) {
+    filters.push(`last ${sample.lastPatches} patches per minor`);
+  }
+  if (sample?.every) {
+    filters.push(`every ${sample.every}th`);
+  }
   if (config.versions.limit) {
     filters.push(`limit=${config.versions.limit}`);
   }
@@ -147,69 +206,64 @@ if (import.meta.vitest != null) {
     const allVersions = ['0.2.120', '1.0.5', '1.0.24', '2.0.1', '2.0.10', '2.0.37', '2.0.50'];
 
     it('should filter by min version', () => {
-      const config = {
-        benchmark: { runsPerVersion: 3, timeout: 120000, runBoth: true },
-        versions: { min: '2.0.0', exclude: [] },
-        storage: { baseDir: '~/.cvm/benchmarks', cleanupSessions: true, keepErrorSessions: true },
-        reporting: { autoGenerate: true, outputDir: './reports', includeErrors: true },
-      };
+      const config = { ...DEFAULT_CONFIG, versions: { min: '2.0.0', exclude: [] } };
       const result = filterVersions(allVersions, config);
       expect(result).toEqual(['2.0.1', '2.0.10', '2.0.37', '2.0.50']);
     });
 
     it('should filter by max version', () => {
-      const config = {
-        benchmark: { runsPerVersion: 3, timeout: 120000, runBoth: true },
-        versions: { max: '1.0.24', exclude: [] },
-        storage: { baseDir: '~/.cvm/benchmarks', cleanupSessions: true, keepErrorSessions: true },
-        reporting: { autoGenerate: true, outputDir: './reports', includeErrors: true },
-      };
+      const config = { ...DEFAULT_CONFIG, versions: { max: '1.0.24', exclude: [] } };
       const result = filterVersions(allVersions, config);
       expect(result).toEqual(['0.2.120', '1.0.5', '1.0.24']);
     });
 
     it('should filter by min and max', () => {
-      const config = {
-        benchmark: { runsPerVersion: 3, timeout: 120000, runBoth: true },
-        versions: { min: '1.0.0', max: '2.0.10', exclude: [] },
-        storage: { baseDir: '~/.cvm/benchmarks', cleanupSessions: true, keepErrorSessions: true },
-        reporting: { autoGenerate: true, outputDir: './reports', includeErrors: true },
-      };
+      const config = { ...DEFAULT_CONFIG, versions: { min: '1.0.0', max: '2.0.10', exclude: [] } };
       const result = filterVersions(allVersions, config);
       expect(result).toEqual(['1.0.5', '1.0.24', '2.0.1', '2.0.10']);
     });
 
     it('should apply limit (latest N)', () => {
-      const config = {
-        benchmark: { runsPerVersion: 3, timeout: 120000, runBoth: true },
-        versions: { limit: 3, exclude: [] },
-        storage: { baseDir: '~/.cvm/benchmarks', cleanupSessions: true, keepErrorSessions: true },
-        reporting: { autoGenerate: true, outputDir: './reports', includeErrors: true },
-      };
+      const config = { ...DEFAULT_CONFIG, versions: { limit: 3, exclude: [] } };
       const result = filterVersions(allVersions, config);
       expect(result).toEqual(['2.0.10', '2.0.37', '2.0.50']);
     });
 
     it('should apply exclusions', () => {
-      const config = {
-        benchmark: { runsPerVersion: 3, timeout: 120000, runBoth: true },
-        versions: { exclude: ['1.0.5', '2.0.10'] },
-        storage: { baseDir: '~/.cvm/benchmarks', cleanupSessions: true, keepErrorSessions: true },
-        reporting: { autoGenerate: true, outputDir: './reports', includeErrors: true },
-      };
+      const config = { ...DEFAULT_CONFIG, versions: { exclude: ['1.0.5', '2.0.10'] } };
       const result = filterVersions(allVersions, config);
       expect(result).toEqual(['0.2.120', '1.0.24', '2.0.1', '2.0.37', '2.0.50']);
     });
 
+    it('should apply range expressions and skip prereleases', () => {
+      const config = { ...DEFAULT_CONFIG, versions: { range: '^1.0.20 || >=2.0.40', exclude: [] } };
+      expect(filterVersions([...allVersions, '2.0.51-beta.1'], config)).toEqual(['1.0.24', '2.0.50']);
+      const withPre = { ...config, versions: { ...config.versions, prerelease: true } };
+      expect(filterVersions([...allVersions, '2.0.51-beta.1'], withPre)).toEqual(['1.0.24', '2.0.50', '2.0.51-beta.1']);
+    });
+
     it('should prioritize include list', () => {
-      const config = {
-        benchmark: { runsPerVersion: 3, timeout: 120000, runBoth: true },
-        versions: { include: ['2.0.37', '2.0.50'], exclude: [] },
-        storage: { baseDir: '~/.cvm/benchmarks', cleanupSessions: true, keepErrorSessions: true },
-        reporting: { autoGenerate: true, outputDir: './reports', includeErrors: true },
-      };
+      const config = { ...DEFAULT_CONFIG, versions: { include: ['2.0.37', '2.0.50'], exclude: [] } };
       const result = filterVersions(allVersions, config);
       expect(result).toEqual(['2.0.37', '2.0.50']);
     });
   });
+
+  describe('sampleVersions', () => {
+    const history = ['1.0.1', '1.0.2', '1.0.3', '1.1.0', '1.1.1', '2.0.0', '2.0.1', '2.0.2'];
+
+    it('should keep every Nth version ending at the newest', () => {
+      expect(sampleVersions(history, { every: 3 })).toEqual(['1.0.2', '1.1.1', '2.0.2']);
+    });
+
+    it('should keep the last K patches per minor', () => {
+      expect(sampleVersions(history, { lastPatches: 1 })).toEqual(['1.0.3', '1.1.1', '2.0.2']);
+    });
+
+    it('should keep versions that differ from a neighbour', () => {
+      const baseline = new Map([['1.0.1', 500], ['1.0.2', 505], ['1.0.3', 700], ['1.1.0', 710], ['2.0.0', 702]]);
+      expect(sampleVersions(history, { changed: { metric: 'interactive', percent: 10 } }, baseline))
+        .toEqual(['1.0.2', '1.0.3', '1.1.1', '2.0.1', '2.0.2']);
+    });
+  });
 }
@@ -47,6 +47,11 @@ describe('Integration: Full Benchmark Suite', () => {
         runsPerVersion: SAMPLES,
         timeout: 120000,
         runBoth: true,
+        scenarios: ['version', 'interactive'],
+        warmupRuns: 0,
+        outlierStrategy: 'none',
+        concurrency: 1,
+        resources: false,
       },
       versions: {
         ...(FROM_VERSION && { min: FROM_VERSION }),
@@ -54,10 +59,41 @@ describe('Integration: Full Benchmark Suite', () => {
         ...(LIMIT && { limit: LIMIT }),
         exclude: [],
       },
+      targets: [],
+      runtimes: [],
+      install: {
+        concurrency: 2,
+        retries: 2,
+        retryDelayMs: 2000,
+        versionSizeMb: 100,
+        stream: false,
+      },
       storage: {
         baseDir: '~/.cvm/benchmarks',
         cleanupSessions: true,
         keepErrorSessions: true,
+        recordings: false,
+      },
+      sandbox: {
+        enabled: false,
+        seedTrust: true,
+      },
+      mockApi: {
+        enabled: false,
+        latencyMs: 0,
+        responseText: 'ok',
+      },
+      detectors: {
+        rules: [],
+      },
+      budgets: [],
+      registry: {},
+      watch: {
+        interval: '1h',
+        uninstall: false,
+      },
+      plugin: {
+        benchmarkAfterInstall: false,
       },
       reporting: {
         autoGenerate: true,